@@ -0,0 +1,65 @@
+'use strict';
+
+// Times overlay updates with a few hundred synthetic feed posts in jsdom.
+//   npm run bench                  - the current script
+//   npm run bench -- <script.js>   - any other version, e.g. from before incremental rendering:
+//     git show a77b2f7^:linkedin-comments-scanner_v0.6.0.js > /tmp/old.js && npm run bench -- /tmp/old.js
+// jsdom is slower than a browser - compare versions with each other, not with these numbers.
+
+const fs = require('fs');
+const { performance } = require('perf_hooks');
+const { loadScanner, createPost, settle } = require('../test/helpers/scanner');
+
+const POSTS = 300;
+const RUNS = 50;
+
+function measure(label, fn) {
+  const times = [];
+  fn(0); // Warm-up
+  for (let i = 1; i <= RUNS; i++) {
+    const start = performance.now();
+    fn(i);
+    times.push(performance.now() - start);
+  }
+  times.sort(function(a, b) { return a - b; });
+  const median = times[Math.floor(times.length / 2)];
+  const p95 = times[Math.floor(times.length * 0.95)];
+  console.log(label.padEnd(36) + 'median ' + median.toFixed(2).padStart(8) + ' ms   p95 ' + p95.toFixed(2).padStart(8) + ' ms');
+}
+
+async function main() {
+  const sourcePath = process.argv[2];
+  const posts = [];
+  for (let i = 1; i <= POSTS; i++) posts.push(createPost(i));
+
+  const page = loadScanner({
+    posts: posts,
+    source: sourcePath ? fs.readFileSync(sourcePath, 'utf8') : undefined,
+    setup(window) {
+      window.localStorage.setItem('scannerCommentThreshold', '0');
+    }
+  });
+  await settle(20);
+
+  const scanner = page.scanner;
+  scanner.scanPosts();
+  console.log((sourcePath || 'current script') + ': ' + POSTS + ' feed posts, ' + scanner.state.results.length + ' results, ' + RUNS + ' runs');
+
+  measure('updateOverlay() status line', function(i) {
+    scanner.updateOverlay('Scroll #' + i);
+  });
+  measure('updateOverlay() default status', function() {
+    scanner.updateOverlay();
+  });
+  measure('createOverlay() full build', function() {
+    scanner.createOverlay();
+  });
+
+  scanner.close();
+  page.window.close();
+}
+
+main().catch(function(e) {
+  console.error(e);
+  process.exitCode = 1;
+});
@@ -20,78 +20,3204 @@
 
   // Configuration constants
   const CONFIG = Object.freeze({
-    COMMENT_THRESHOLDS: [20, 50, 100, 200, 500],  // Selectable options
+    COMMENT_THRESHOLDS: [20, 50, 100, 200, 500],  // Preset buttons, any other number via the custom input
     DEFAULT_THRESHOLD: 100,
-    SCROLL_INTERVAL_MS: 4000,
+    SCROLL_INTERVAL_MS: 4000,         // Default pacing - the user's values live in ScanSettings
     OVERLAY_ID: 'commentOverlayResults',
     VERSION: '0.6.0',
+    API_VERSION: '1.0.0',             // window.linkedInScanner - bump the major version on breaking changes
+    EVENT_PREFIX: 'linkedinscanner:', // Public events are dispatched on document as e.g. "linkedinscanner:postfound"
     MAX_SCROLLS: 200,
     SCROLL_END_MARGIN: 150,           // Increased from 50
     SCROLL_DETECTION_DELAY: 2500,     // Increased from 1000
     CLICK_FEEDBACK_DURATION: 300,
-    MAX_SCROLL_RETRIES: 3,            // NEW: Retry before pausing
+    TOAST_DURATION_MS: 6000,
+    MAX_TOASTS: 3,
+    MAX_LOG_ENTRIES: 100,
+    WEBHOOK_MAX_QUEUE: 500,           // Oldest queued posts are dropped beyond this
+    WEBHOOK_BASE_BACKOFF_MS: 5000,    // Doubled after every failed push
+    WEBHOOK_MAX_BACKOFF_MS: 5 * 60 * 1000,
+    // Severity levels for toasts and the event log
+    LOG_LEVELS: {
+      info: { icon: 'ℹ️', color: '#0073b1' },
+      success: { icon: '✅', color: '#5cb85c' },
+      warning: { icon: '⚠️', color: '#f0ad4e' },
+      error: { icon: '❌', color: '#d9534f' }
+    },
+    OVERLAY_WIDTH: 500,
+    OVERLAY_MIN_WIDTH: 270,
+    OVERLAY_MIN_HEIGHT: 150,
+    OVERLAY_EDGE_MARGIN: 10,
+    OVERLAY_SNAP_DISTANCE: 40,        // Dropped this close to the left/right edge, the overlay docks to it
+    DRAG_THRESHOLD: 4,                // Pixels moved before a mousedown counts as a drag instead of a click
+    MAX_SCROLL_RETRIES: 3,            // NEW: Retry before pausing (infinite feeds - finite lists set their own)
     CONTENT_LOAD_TIMEOUT: 5000,       // NEW: Max wait for new content
+    LOAD_MORE_DELAY: 2000,            // Wait after clicking "Show new posts" before scanning
+    COMMENT_LOAD_DELAY: 1500,         // Deep scan: wait after opening comments or clicking "load more comments"
+    DEEP_SCAN_POSTS_PER_CYCLE: 2,     // Deep scan: posts opened per scan cycle - the rest waits for the next cycles
+    DB_NAME: 'linkedinCommentsScanner',
+    DB_VERSION: 3,
+    DB_SESSION_STORE: 'sessions',
+    DB_HISTORY_STORE: 'postHistory',    // Comment count observations per post, shared by all sessions
+    DB_ARCHIVE_STORE: 'archive',        // Review status per post, shared by all sessions
+    SESSION_SAVE_INTERVAL_MS: 10000,    // Session saves are batched - each one serializes every observed post
+    // Review statuses for the post archive - "new" means the post has no archive entry
+    ARCHIVE_STATUSES: {
+      new: { icon: '○', color: '#888' },
+      reviewed: { icon: '👁', color: '#0073b1' },
+      engaged: { icon: '💬', color: '#5cb85c' },
+      ignored: { icon: '🚫', color: '#6c757d' }
+    },
+    OBSERVATION_INTERVAL_MS: 10 * 60 * 1000,  // Re-read counts of a post still in the feed at most this often
+    MAX_OBSERVATIONS: 50,
+    VELOCITY_WINDOW_MS: 6 * 3600 * 1000,
+    MIN_VELOCITY_SPAN_MS: 5 * 60 * 1000,
+    RESULTS_PAGE_SIZE: 20,
+    SNIPPET_LENGTH: 280,              // Characters of post text shown before "Show more"
+    // Result list sort keys - "found" uses the order in which posts were found, labels live in the language packs
+    RESULT_SORTS: [
+      { key: 'found', descending: true },
+      { key: 'comments', descending: true, value: function(r) { return r.comments; } },
+      { key: 'reactions', descending: true, value: function(r) { return r.reactions; } },
+      { key: 'velocity', descending: true, value: function(r) { return Growth.getVelocity(r); } },
+      { key: 'author', descending: false, value: function(r) { return (r.author.name || '').toLowerCase() || null; } }
+    ],
+    MAX_LISTED_SESSIONS: 20,
+    MAX_DIFF_ROWS: 10,                // Per list in the import comparison
+    INSIGHT_COMMENT_BINS: [0, 20, 50, 100, 200, 500, 1000, 5000],  // Lower bounds of the comment histogram bars
+    INSIGHT_TOP_ITEMS: 10,            // Bars in the authors, hashtags and keywords charts
+    INSIGHT_CHART_WIDTH: 440,
+    // Conditions offered by the rule builder (combined with the comment threshold)
+    RULE_TYPES: [
+      { type: 'comments', numeric: true },
+      { type: 'reactions', numeric: true },
+      { type: 'reposts', numeric: true },
+      { type: 'commentRatio', numeric: true },
+      { type: 'postedWithin', numeric: false },
+      { type: 'authorNotIn', numeric: false }
+    ],
+    RULE_OPERATORS: ['>=', '>', '<=', '<', '='],
+    // Ordered fallback strategies per page element, tried until one finds something (see SelectorProfiles).
+    // The strategy name says what it relies on, so the health check can tell when LinkedIn's class names changed
+    SELECTOR_PROFILES: {
+      post: [
+        { strategy: 'class', selector: 'div.feed-shared-update-v2' },
+        { strategy: 'data', selector: '[data-urn*="urn:li:activity:"], [data-urn*="urn:li:ugcPost:"], [data-id*="urn:li:activity:"]' },
+        { strategy: 'aria', selector: '[role="article"]' },
+        { strategy: 'structure', heuristic: 'postsFromCountButtons' }
+      ],
+      // labels: the button's aria-label or text has to match that kind of label in the page's language pack
+      commentButton: [
+        { strategy: 'class', selector: 'button.social-details-social-counts__btn[aria-label]', labels: 'comment' },
+        { strategy: 'aria', selector: 'button[aria-label]', labels: 'comment' },
+        { strategy: 'structure', heuristic: 'countButtonsByText', labels: 'comment' }
+      ],
+      reactionsCount: [
+        { strategy: 'class', selector: '.social-details-social-counts__reactions-count' },
+        { strategy: 'data', selector: 'button[data-reaction-details] span[aria-hidden="true"]' },
+        { strategy: 'data', selector: 'button[data-reaction-details]' },
+        { strategy: 'aria', selector: 'button[aria-label]', labels: 'reaction' }
+      ],
+      repostButton: [
+        { strategy: 'class', selector: 'button.social-details-social-counts__btn[aria-label]', labels: 'repost' },
+        { strategy: 'aria', selector: 'button[aria-label]', labels: 'repost' }
+      ],
+      // Candidates only - the button text still has to be one of the language pack's loadMoreTexts
+      loadMoreButton: [
+        { strategy: 'class', selector: 'button.artdeco-button--secondary' },
+        { strategy: 'structure', selector: 'button, [role="button"]' }
+      ]
+    },
+    HEALTH_CHECK_INTERVAL_MS: 60 * 1000,
+    HEALTH_MIN_POSTS: 3,              // Fewer posts without counts can simply be brand-new posts
+    DIAGNOSTICS_SAMPLES: 3,
+    DIAGNOSTICS_MAX_SAMPLE_LENGTH: 20000,
     SELECTORS: {
-      POSTS: 'div.feed-shared-update-v2',
-      // Multi-language comment button selector
-      COMMENT_BUTTON: [
-        'button.social-details-social-counts__btn[aria-label*="Kommentar"]',  // DE
-        'button.social-details-social-counts__btn[aria-label*="comment"]',    // EN
-        'button.social-details-social-counts__btn[aria-label*="Comment"]',    // EN alt
-        'button.social-details-social-counts__btn[aria-label*="commentaire"]', // FR
-        'button.social-details-social-counts__btn[aria-label*="comentario"]', // ES
-        'button.social-details-social-counts__btn[aria-label*="commento"]',   // IT
-        'button.social-details-social-counts__btn[aria-label*="reactie"]',    // NL
-        'button.social-details-social-counts__btn[aria-label*="comentário"]'  // PT
-      ].join(', '),
       COMMENT_SPAN: 'span[aria-hidden="true"]',
-      FEED_CONTAINER: 'main.scaffold-layout__main',
-      // "Load more posts" button - multi-language
-      LOAD_MORE_BUTTON: 'button.artdeco-button--secondary',
-      LOAD_MORE_TEXTS: [
-        'Neue Beiträge anzeigen',    // DE
-        'Show new posts',             // EN
-        'Afficher les nouveaux posts', // FR
-        'Mostrar nuevas publicaciones', // ES
-        'Mostra nuovi post',          // IT
-        'Nieuwe berichten weergeven', // NL
-        'Mostrar novas publicações',  // PT
-        'Ver novas publicações'       // PT-BR
-      ]
+      // Post record fields (see PostExtractor) - ordered fallbacks, first match wins
+      AUTHOR_NAME: [
+        '.update-components-actor__title span[aria-hidden="true"]',
+        '.update-components-actor__name span[aria-hidden="true"]',
+        '.update-components-actor__title'
+      ],
+      AUTHOR_LINK: [
+        'a.update-components-actor__meta-link',
+        'a.update-components-actor__image',
+        '.update-components-actor a[href*="/in/"]',
+        '.update-components-actor a[href*="/company/"]'
+      ],
+      AUTHOR_HEADLINE: [
+        '.update-components-actor__description span[aria-hidden="true"]',
+        '.update-components-actor__description'
+      ],
+      POST_TIME: [
+        '.update-components-actor__sub-description span[aria-hidden="true"]',
+        '.update-components-actor__sub-description'
+      ],
+      POST_TEXT: [
+        '.update-components-text',
+        '.feed-shared-update-v2__description',
+        '.feed-shared-inline-show-more-text'
+      ],
+      HASHTAG_LINK: 'a[href*="/feed/hashtag/"], a[href*="keywords=%23"]',
+      MENTION_LINK: 'a[href*="/in/"], a[href*="/company/"]',
+      MEDIA_TYPES: [
+        // Order matters: more specific containers first, plain text as fallback
+        { type: 'poll', selector: '.update-components-poll' },
+        { type: 'document', selector: '.update-components-document, .document-s-container' },
+        { type: 'video', selector: '.update-components-linkedin-video, video' },
+        { type: 'article', selector: '.update-components-article' },
+        { type: 'image', selector: '.update-components-image' }
+      ],
+      // Preview image for the result snippet - ordered fallbacks, first match wins
+      THUMBNAIL: [
+        '.update-components-image img',
+        '.update-components-article img',
+        '.update-components-document img',
+        '.update-components-linkedin-video video[poster]'
+      ],
+      // Deep scan - comments below an expanded post, ordered fallbacks where it is a list
+      COMMENT_ITEM: 'article.comments-comment-entity, article.comments-comment-item',
+      COMMENT_REPLY_CONTAINER: '.comments-replies-list, .comments-comment-item__nested-items',
+      COMMENT_AUTHOR_NAME: [
+        '.comments-comment-meta__description-title',
+        '.comments-post-meta__name-text span[aria-hidden="true"]',
+        '.comments-post-meta__name-text'
+      ],
+      COMMENT_AUTHOR_LINK: [
+        'a.comments-comment-meta__description-container',
+        'a.comments-post-meta__actor-link',
+        'a.comments-comment-meta__image-link'
+      ],
+      COMMENT_AUTHOR_HEADLINE: [
+        '.comments-comment-meta__description-subtitle',
+        '.comments-post-meta__headline'
+      ],
+      COMMENT_TEXT: [
+        '.comments-comment-item__main-content',
+        '.comments-comment-entity__content .update-components-text',
+        '.update-components-text'
+      ],
+      COMMENT_TIME: [
+        'time.comments-comment-meta__data',
+        '.comments-comment-meta__data time',
+        'time'
+      ],
+      COMMENT_REACTIONS: [
+        '.comments-comment-social-bar__reactions-count--cr',
+        '.comments-comment-social-bar__reactions-count'
+      ],
+      COMMENT_REPLIES: [
+        '.comments-comment-social-bar__replies-count--cr',
+        '.comments-comment-social-bar__replies-count'
+      ],
+      LOAD_MORE_COMMENTS_BUTTON: 'button.comments-comments-list__load-more-comments-button, .comments-comments-list__load-more-comments-button--cr',
+      // "Show more results" at the end of finite lists (profile activity, company posts, search)
+      SHOW_MORE_RESULTS_BUTTON: 'button.scaffold-finite-scroll__load-button'
+    },
+    // Pages the scanner runs on - checked in order against the URL, so the hashtag feed wins over the home feed.
+    // idAttributes: where the post URN lives, first match wins; finite: the list ends instead of loading forever
+    PAGE_TYPES: [
+      {
+        type: 'hashtag', example: 'https://www.linkedin.com/feed/hashtag/<tag>/', pattern: /linkedin\.com\/feed\/hashtag\//,
+        container: ['main.scaffold-layout__main'],
+        idAttributes: ['data-urn', 'data-id'], loadMore: 'newPosts', finite: false
+      },
+      {
+        type: 'feed', example: 'https://www.linkedin.com/feed/', pattern: /linkedin\.com\/feed\/?([?#]|$)/,
+        container: ['main.scaffold-layout__main'],
+        idAttributes: ['data-id', 'data-urn'], loadMore: 'newPosts', finite: false
+      },
+      {
+        type: 'profile', example: 'https://www.linkedin.com/in/<name>/recent-activity/all/', pattern: /linkedin\.com\/in\/[^/]+\/recent-activity\//,
+        container: ['.scaffold-finite-scroll__content', 'main.scaffold-layout__main'],
+        idAttributes: ['data-urn', 'data-id'], loadMore: 'showMore', finite: true, maxRetries: 2
+      },
+      {
+        type: 'company', example: 'https://www.linkedin.com/company/<name>/posts/', pattern: /linkedin\.com\/company\/[^/]+\/posts\//,
+        container: ['.scaffold-finite-scroll__content', 'main.scaffold-layout__main'],
+        idAttributes: ['data-urn', 'data-id'], loadMore: 'showMore', finite: true, maxRetries: 2
+      },
+      {
+        type: 'search', example: 'https://www.linkedin.com/search/results/content/?keywords=...', pattern: /linkedin\.com\/search\/results\/content\//,
+        container: ['.search-results-container', 'main.scaffold-layout__main'],
+        idAttributes: ['data-urn', 'data-id'], loadMore: 'showMore', finite: true, maxRetries: 2
+      }
+    ],
+    // Post URNs across page types - feed, shared and ugc posts all open under /feed/update/<urn>
+    POST_URN_PATTERN: /urn:li:(?:activity|ugcPost|share):(\d+)/,
+    // Relative post age units - the words for them are in the language packs ("3h", "2 Std.", "5 mois", ...)
+    TIME_UNIT_MS: {
+      minute: 60 * 1000,
+      hour: 3600 * 1000,
+      day: 24 * 3600 * 1000,
+      week: 7 * 24 * 3600 * 1000,
+      month: 30 * 24 * 3600 * 1000,
+      year: 365 * 24 * 3600 * 1000
     }
   });
 
+  // Language packs - the page language picks one, English fills in whatever a pack leaves out.
+  // labels, loadMoreTexts, countSuffixes, zeroCountLabels and timeUnits are matched against lower-cased page
+  // text of that language only. stopWords are left out of the Insights keyword chart, whatever the page language.
+  // To add a language, copy the "en" pack under its two-letter code and translate it
+  const LANGUAGE_PACKS = {
+    en: {
+      name: 'English',
+      decimalComma: false,
+      labels: {
+        comment: /\bcomments?\b/i,
+        reaction: /\breactions?\b/i,
+        repost: /\breposts?\b/i
+      },
+      loadMoreTexts: ['Show new posts'],
+      countSuffixes: [
+        { pattern: /^k$/, factor: 1000 },
+        { pattern: /^m$/, factor: 1000000 },
+        { pattern: /^(b|bn)$/, factor: 1000000000 }
+      ],
+      zeroCountLabels: ['no comments', 'be the first to comment'],
+      timeUnits: {
+        minute: /^(m|min|mins|minute|minutes)$/,
+        hour: /^(h|hr|hrs|hour|hours)$/,
+        day: /^(d|day|days)$/,
+        week: /^(w|wk|wks|week|weeks)$/,
+        month: /^(mo|mos|month|months)$/,
+        year: /^(y|yr|yrs|year|years)$/
+      },
+      stopWords: [
+        'about', 'after', 'again', 'also', 'been', 'before', 'being', 'between', 'both', 'could', 'does', 'doing',
+        'down', 'during', 'each', 'even', 'every', 'from', 'further', 'have', 'having', 'here', 'into', 'just',
+        'like', 'make', 'many', 'more', 'most', 'much', 'must', 'only', 'other', 'over', 'same', 'should', 'some',
+        'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+        'under', 'until', 'very', 'want', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with',
+        'would', 'your', 'yours', 'know', 'think', 'today', 'people', 'really', 'because', 'time', 'year', 'years'
+      ],
+      ui: {
+        appName: 'Comments Scanner',
+        title: 'Comments Scanner v{version}',
+        collapse: 'Collapse to a badge',
+        expandHint: 'Click to expand, drag to move',
+        resizeHint: 'Drag to resize',
+        dismissHint: 'Click to dismiss',
+        apply: 'Apply',
+        save: 'Save',
+        add: 'Add',
+        page: {
+          feed: 'Home feed',
+          hashtag: 'Hashtag feed',
+          profile: 'Profile activity',
+          company: 'Company posts',
+          search: 'Content search',
+          unsupported: "Comments Scanner doesn't support this page.\n\nOpen one of these in this tab and start the Comments Scanner again:",
+          showMoreResults: 'Show more results'
+        },
+        status: {
+          found: 'Found: {count} posts with {threshold}+ comments',
+          rules: ' ({combinator} {count} rules)',
+          filteredOut: ' | Filtered out: {count}',
+          reviewedHidden: ' | Already reviewed: {count}',
+          scan: 'Scroll #{scroll} — Found {found} new | Total: {total}',
+          refiltered: '{message} — {added} restored, {removed} removed | Total: {total}',
+          waiting: 'Waiting for content... (retry {retry}/{max})',
+          clicked: 'Clicked "{label}" - loading more posts...',
+          autoPaused: 'Auto-paused after {reason} | Found: {count}',
+          stopped: 'Paused: {reason} | Found: {count}'
+        },
+        scan: {
+          foundNew: 'Found {found} new posts (total {total})',
+          clicked: 'Clicked "{label}"',
+          paused: 'Scan paused',
+          resumed: 'Scan resumed',
+          autoPaused: "Auto-scrolling paused after {reason}. Found {count} posts with {threshold}+ comments. Click 'Resume' to continue.",
+          stopped: "Scanner stopped: {reason}. Found {count} posts so far. Scroll down manually and click 'Resume' to continue, or export the results.",
+          deepScan: 'Deep scan: {count} comments from post {postId}'
+        },
+        reason: {
+          scrolls: '{count} scrolls',
+          matches: '{count} new matches',
+          minutes: '{count} minutes',
+          age: 'reaching posts older than {days} days',
+          endOfFeed: 'end of feed reached (after {count} retries)',
+          endOfList: 'end of list reached (after {count} retries)',
+          scrollBlocked: 'scroll blocked (after {count} retries)'
+        },
+        health: {
+          noPosts: 'No posts found on this page - LinkedIn may have changed its layout.',
+          noCounts: '{count} posts found, but none of their comment or reaction counts could be read - LinkedIn may have changed its layout.',
+          fallback: 'Some page elements were only found through fallback selectors.',
+          exportHint: 'Export diagnostics from the warning and attach them to a bug report.',
+          recovered: 'Page layout check passed again.',
+          exportDiagnostics: 'Export diagnostics',
+          diagnosticsHint: 'Selector matches and anonymized post markup for bug reports',
+          downloaded: 'Diagnostics downloaded - names and post texts are masked, please check before sharing.'
+        },
+        controls: {
+          pause: 'Pause',
+          resume: 'Resume',
+          clipboard: 'Clipboard',
+          download: '{format} Download',
+          exportOptions: 'Export options',
+          hideExportOptions: 'Hide export options',
+          showPosts: 'Show posts',
+          hidePosts: 'Hide posts',
+          scanSettings: 'Scan settings',
+          hideScanSettings: 'Hide scan settings',
+          webhook: 'Webhook',
+          webhookOn: 'Webhook (on)',
+          hideWebhook: 'Hide webhook',
+          log: 'Log',
+          hideLog: 'Hide log',
+          sessions: 'Sessions',
+          hideSessions: 'Hide sessions',
+          archive: 'Archive ({count})',
+          hideArchive: 'Hide archive',
+          import: 'Import',
+          hideImport: 'Hide import',
+          insights: 'Insights',
+          hideInsights: 'Hide insights',
+          rules: 'Rules ({count})',
+          hideRules: 'Hide rules',
+          filters: 'Filters ({count})',
+          hideFilters: 'Hide filters'
+        },
+        threshold: {
+          label: 'Min. Comments:',
+          custom: 'Custom',
+          changed: 'Threshold set to {threshold}+ comments'
+        },
+        rules: {
+          match: 'Match',
+          all: 'all conditions (AND)',
+          any: 'any condition (OR)',
+          threshold: 'comments >= {threshold} (threshold)',
+          value: 'Value',
+          invalid: 'Invalid rule value: "{value}"',
+          updated: 'Filter rules updated',
+          types: {
+            comments: 'Comments',
+            reactions: 'Reactions',
+            reposts: 'Reposts',
+            commentRatio: 'Comments/reactions ratio',
+            postedWithin: 'Posted within (hours)',
+            authorNotIn: 'Author not in (comma-separated)'
+          },
+          describe: {
+            comments: 'comments {operator} {value}',
+            reactions: 'reactions {operator} {value}',
+            reposts: 'reposts {operator} {value}',
+            commentRatio: 'comments/reactions {operator} {value}',
+            postedWithin: 'posted within last {value}h',
+            authorNotIn: 'author not in {value}'
+          }
+        },
+        filters: {
+          title: 'Content filters (one term per line)',
+          include: 'Include',
+          exclude: 'Exclude',
+          keywords: 'Keywords',
+          hashtags: 'Hashtags',
+          authors: 'Authors',
+          authorPlaceholder: 'Name or profile URL',
+          regex: 'Keywords are regular expressions',
+          updated: 'Filters updated'
+        },
+        exportOptions: {
+          format: 'Format',
+          formatChanged: 'Export format: {format}',
+          columns: 'Columns (clipboard and download)',
+          downloadComments: 'Download {count} comments (CSV)',
+          delimiter: 'Delimiter',
+          comma: 'Comma',
+          semicolon: 'Semicolon',
+          tab: 'Tab',
+          lineEnding: 'Line ending',
+          crlf: 'CRLF (Windows)',
+          dates: 'Dates',
+          numbers: 'Numbers',
+          plain: 'Plain',
+          local: 'Local ({locale})'
+        },
+        exports: {
+          copied: 'Copied {count} results to clipboard!',
+          copiedText: 'Copied to clipboard!',
+          copyFailed: 'Copy failed. Please copy manually from console.',
+          downloaded: 'Downloaded {count} results.',
+          noComments: 'No scanned comments yet - set "Deep scan comments" under Scan settings.',
+          downloadedComments: 'Downloaded {count} comments.',
+          downloadFailed: 'Download failed. Check console for data.'
+        },
+        webhook: {
+          enabled: 'Push new results as JSON (POST)',
+          url: 'Endpoint URL',
+          headerName: 'Auth header',
+          headerValue: 'Header value',
+          batchSize: 'Posts per request',
+          queued: 'Queued: {count}',
+          retrying: ' (retrying)',
+          test: 'Test connection',
+          urlRequired: 'Enter an http(s) endpoint URL to enable the webhook.',
+          urlMissing: 'Enter an endpoint URL first.',
+          testSucceeded: 'Webhook test succeeded (HTTP {status}).',
+          testFailed: 'Webhook test failed: {error}. The endpoint must allow CORS requests from linkedin.com.',
+          saved: 'Webhook settings saved',
+          queueFull: 'Webhook queue full - dropped {count} oldest posts',
+          pushed: 'Pushed {count} posts to {url}',
+          pushFailed: 'Webhook push failed ({error}) - {count} posts queued, retrying in {seconds}s'
+        },
+        log: {
+          title: 'Event log',
+          desktop: 'Browser notification when a scan stops',
+          empty: 'No events yet.',
+          unsupported: 'This browser does not support notifications.',
+          denied: 'Notifications were not allowed by the browser.'
+        },
+        scanSettings: {
+          title: 'Pacing and stop conditions (0 = off)',
+          invalid: 'Please enter a number for every setting (at least 1 second interval and 1 scroll).',
+          saved: 'Scan settings saved',
+          fields: {
+            intervalSeconds: 'Scroll every (seconds)',
+            jitterSeconds: 'Random extra delay up to (seconds)',
+            maxScrolls: 'Pause after scrolls',
+            stopAfterMatches: 'Stop after new matches',
+            stopAfterMinutes: 'Stop after minutes',
+            stopAtAgeDays: 'Stop at posts older than (days)',
+            deepScanPages: 'Deep scan comments, "load more" clicks'
+          }
+        },
+        sessions: {
+          title: 'Saved sessions',
+          empty: 'No saved sessions yet.',
+          row: '{started} — {threshold}+ — {count} posts',
+          current: ' (current)',
+          open: 'Open',
+          export: 'Export',
+          delete: 'Delete',
+          confirmDelete: 'Delete this saved session?',
+          keep: 'Keep',
+          unavailable: 'Saved sessions are not available in this browser',
+          opened: 'Opened session from {started} | Total: {count}',
+          resume: 'Resume your last Comments Scanner session?',
+          resumeDetails: 'Page: {page} · Started: {started} · Found: {count} posts with {threshold}+ comments',
+          resumeWaiting: 'Resume the last session or start a new one to begin scanning',
+          startNew: 'New session'
+        },
+        archive: {
+          title: 'Post archive (kept across sessions)',
+          statuses: {
+            new: 'New',
+            reviewed: 'Reviewed',
+            engaged: 'Engaged',
+            ignored: 'Ignored'
+          },
+          statusHint: 'Review status - remembered in later scans',
+          since: '{status} since {date}',
+          changed: 'Post {postId} marked as {status}',
+          empty: 'No posts marked yet - pick a status on a result.',
+          hideReviewed: 'Hide posts that already have a status',
+          hidden: 'Reviewed posts hidden',
+          shown: 'Reviewed posts shown',
+          export: 'Export archive',
+          import: 'Import archive',
+          importHint: 'Merge an exported archive file - the most recent status per post wins',
+          exported: '{count} archive entries downloaded.',
+          imported: 'Imported {count} of {total} archive entries.',
+          invalid: '"{file}" is not a Comments Scanner archive file.',
+          updated: 'Archive imported'
+        },
+        imports: {
+          title: 'Import previous exports (CSV, JSON, JSON Lines)',
+          drop: 'Drop exported files here or click to choose',
+          imported: 'Imported {posts} posts from {files} files: {added} new, {updated} updated',
+          failed: '"{file}" could not be imported: {error}',
+          compared: 'Compared with {count} imported posts',
+          newPosts: 'New since import ({count})',
+          newRow: '{comments} comments, {reactions} reactions',
+          grownPosts: 'Counts grew ({count})',
+          grownRow: 'comments {before} → {comments} (+{delta}), reactions {reactionsBefore} → {reactions}',
+          none: 'None yet.',
+          more: '… and {count} more',
+          clear: 'Clear comparison',
+          cleared: 'Comparison with the imported files cleared'
+        },
+        insights: {
+          title: 'Insights',
+          empty: 'No results yet.',
+          summary: '{posts} posts from {authors} authors · median {comments} comments, {reactions} reactions',
+          charts: {
+            comments: 'Posts by comment count',
+            authors: 'Top authors (qualifying posts)',
+            hours: 'Posting time of day',
+            weekdays: 'Posting day of week',
+            hashtags: 'Most frequent hashtags',
+            keywords: 'Most frequent keywords',
+            media: 'Average comments by media type'
+          },
+          mediaNote: '· {reactions} reactions',
+          datedPosts: 'Based on {count} posts whose LinkedIn date is precise enough',
+          noData: 'Not enough data yet.',
+          exportHint: 'Download this chart as {format}',
+          exported: '{file} downloaded.',
+          exportFailed: 'Chart export failed - the browser could not draw the image.'
+        },
+        results: {
+          search: 'Search author, text, hashtag…',
+          sortDirection: 'Toggle sort direction',
+          sorts: {
+            found: 'Time found',
+            comments: 'Comments',
+            reactions: 'Reactions',
+            velocity: 'Comment velocity',
+            author: 'Author'
+          },
+          noMatch: 'No results match "{search}".',
+          previous: '‹ Prev',
+          next: 'Next ›',
+          page: 'Page {page} / {pages} ({count} posts)',
+          open: 'Open Post ID: {postId} — {comments} comments',
+          pin: 'Pin to top',
+          unpin: 'Unpin',
+          copyLink: 'Copy link',
+          remove: 'Remove from results',
+          pinned: 'Pinned post {postId}',
+          unpinned: 'Unpinned post {postId}',
+          linkCopied: 'Copied link to post {postId}',
+          removed: 'Removed post {postId} | Total: {total}',
+          unknownAuthor: 'Unknown author',
+          reactions: '{count} reactions',
+          reposts: '{count} reposts',
+          velocity: '{velocity} comments/h',
+          observations: ' ({count} observations since {since})',
+          scannedComments: '{count} comments scanned',
+          mostLiked: ' — most liked: {names}',
+          showMore: 'Show more',
+          showLess: 'Show less'
+        },
+        media: {
+          text: 'text',
+          image: 'image',
+          video: 'video',
+          document: 'document',
+          article: 'article',
+          poll: 'poll'
+        }
+      }
+    },
+    de: {
+      name: 'Deutsch',
+      decimalComma: true,
+      labels: {
+        comment: /\bkommentare?\b/i,
+        reaction: /\breaktion(en)?\b/i,
+        repost: /\b(reposts?|mal geteilt)\b/i
+      },
+      loadMoreTexts: ['Neue Beiträge anzeigen'],
+      countSuffixes: [
+        { pattern: /^(k|tsd)$/, factor: 1000 },
+        { pattern: /^(m|mio)$/, factor: 1000000 },
+        { pattern: /^(md|mrd)$/, factor: 1000000000 }
+      ],
+      zeroCountLabels: ['keine kommentare'],
+      timeUnits: {
+        minute: /^(min|minute|minuten)$/,
+        hour: /^(std|stunde|stunden)$/,
+        day: /^(t|tg|tag|tage|tagen)$/,
+        week: /^(w|wo|woche|wochen)$/,
+        month: /^(mon|monat|monate|monaten)$/,
+        year: /^(j|jahr|jahre|jahren)$/
+      },
+      stopWords: [
+        'aber', 'alle', 'allem', 'allen', 'aller', 'alles', 'also', 'andere', 'anderen', 'auch', 'bereits', 'beim',
+        'bist', 'dabei', 'damit', 'dann', 'darauf', 'darum', 'dass', 'dein', 'deine', 'denn', 'diese', 'diesem',
+        'diesen', 'dieser', 'dieses', 'doch', 'durch', 'eine', 'einem', 'einen', 'einer', 'eines', 'etwas', 'euch',
+        'habe', 'haben', 'hast', 'hatte', 'heute', 'hier', 'ihre', 'ihren', 'immer', 'jetzt', 'kann', 'keine',
+        'mehr', 'mein', 'meine', 'mich', 'muss', 'nach', 'nicht', 'noch', 'oder', 'ohne', 'schon', 'sehr', 'sein',
+        'seine', 'sich', 'sind', 'soll', 'über', 'unsere', 'unter', 'viel', 'viele', 'wenn', 'werden', 'wieder',
+        'will', 'wird', 'wurde', 'zwischen', 'sowie', 'einfach'
+      ],
+      ui: {
+        collapse: 'Zu einem Badge verkleinern',
+        expandHint: 'Klicken zum Aufklappen, ziehen zum Verschieben',
+        resizeHint: 'Ziehen, um die Größe zu ändern',
+        dismissHint: 'Klicken zum Schließen',
+        apply: 'Übernehmen',
+        save: 'Speichern',
+        add: 'Hinzufügen',
+        page: {
+          feed: 'Startseiten-Feed',
+          hashtag: 'Hashtag-Feed',
+          profile: 'Profilaktivitäten',
+          company: 'Unternehmensbeiträge',
+          search: 'Beitragssuche',
+          unsupported: 'Der Comments Scanner unterstützt diese Seite nicht.\n\nÖffne eine dieser Seiten in diesem Tab und starte den Comments Scanner erneut:',
+          showMoreResults: 'Weitere Ergebnisse anzeigen'
+        },
+        status: {
+          found: 'Gefunden: {count} Beiträge mit {threshold}+ Kommentaren',
+          rules: ' ({combinator} {count} Regeln)',
+          filteredOut: ' | Ausgefiltert: {count}',
+          reviewedHidden: ' | Bereits gesichtet: {count}',
+          scan: 'Scroll #{scroll} — {found} neu gefunden | Gesamt: {total}',
+          refiltered: '{message} — {added} wiederhergestellt, {removed} entfernt | Gesamt: {total}',
+          waiting: 'Warte auf Inhalte... (Versuch {retry}/{max})',
+          clicked: '"{label}" geklickt - weitere Beiträge werden geladen...',
+          autoPaused: 'Automatisch pausiert nach {reason} | Gefunden: {count}',
+          stopped: 'Pausiert: {reason} | Gefunden: {count}'
+        },
+        scan: {
+          foundNew: '{found} neue Beiträge gefunden (insgesamt {total})',
+          clicked: '"{label}" geklickt',
+          paused: 'Scan pausiert',
+          resumed: 'Scan fortgesetzt',
+          autoPaused: "Automatisches Scrollen pausiert nach {reason}. {count} Beiträge mit {threshold}+ Kommentaren gefunden. Klicke auf 'Fortsetzen', um weiterzumachen.",
+          stopped: "Scanner angehalten: {reason}. Bisher {count} Beiträge gefunden. Scrolle manuell weiter und klicke auf 'Fortsetzen' oder exportiere die Ergebnisse.",
+          deepScan: 'Tiefenscan: {count} Kommentare aus Beitrag {postId}'
+        },
+        reason: {
+          scrolls: '{count} Scrolls',
+          matches: '{count} neuen Treffern',
+          minutes: '{count} Minuten',
+          age: 'Erreichen von Beiträgen älter als {days} Tage',
+          endOfFeed: 'Ende des Feeds erreicht (nach {count} Versuchen)',
+          endOfList: 'Ende der Liste erreicht (nach {count} Versuchen)',
+          scrollBlocked: 'Scrollen blockiert (nach {count} Versuchen)'
+        },
+        health: {
+          noPosts: 'Keine Beiträge auf dieser Seite gefunden - LinkedIn hat eventuell sein Layout geändert.',
+          noCounts: '{count} Beiträge gefunden, aber keine ihrer Kommentar- oder Reaktionszahlen konnte gelesen werden - LinkedIn hat eventuell sein Layout geändert.',
+          fallback: 'Einige Seitenelemente wurden nur über Ersatz-Selektoren gefunden.',
+          exportHint: 'Exportiere die Diagnose über die Warnung und hänge sie an einen Fehlerbericht an.',
+          recovered: 'Die Layout-Prüfung ist wieder erfolgreich.',
+          exportDiagnostics: 'Diagnose exportieren',
+          diagnosticsHint: 'Selektor-Treffer und anonymisiertes Beitrags-Markup für Fehlerberichte',
+          downloaded: 'Diagnose heruntergeladen - Namen und Beitragstexte sind maskiert, bitte vor dem Teilen prüfen.'
+        },
+        controls: {
+          pause: 'Pause',
+          resume: 'Fortsetzen',
+          clipboard: 'Zwischenablage',
+          download: '{format} herunterladen',
+          exportOptions: 'Exportoptionen',
+          hideExportOptions: 'Exportoptionen ausblenden',
+          showPosts: 'Beiträge zeigen',
+          hidePosts: 'Beiträge ausblenden',
+          scanSettings: 'Scan-Einstellungen',
+          hideScanSettings: 'Scan-Einstellungen ausblenden',
+          webhook: 'Webhook',
+          webhookOn: 'Webhook (an)',
+          hideWebhook: 'Webhook ausblenden',
+          log: 'Protokoll',
+          hideLog: 'Protokoll ausblenden',
+          sessions: 'Sitzungen',
+          hideSessions: 'Sitzungen ausblenden',
+          archive: 'Archiv ({count})',
+          hideArchive: 'Archiv ausblenden',
+          import: 'Import',
+          hideImport: 'Import ausblenden',
+          insights: 'Auswertung',
+          hideInsights: 'Auswertung ausblenden',
+          rules: 'Regeln ({count})',
+          hideRules: 'Regeln ausblenden',
+          filters: 'Filter ({count})',
+          hideFilters: 'Filter ausblenden'
+        },
+        threshold: {
+          label: 'Min. Kommentare:',
+          custom: 'Eigene',
+          changed: 'Schwelle auf {threshold}+ Kommentare gesetzt'
+        },
+        rules: {
+          match: 'Erfüllt',
+          all: 'alle Bedingungen (AND)',
+          any: 'eine Bedingung (OR)',
+          threshold: 'Kommentare >= {threshold} (Schwelle)',
+          value: 'Wert',
+          invalid: 'Ungültiger Regelwert: "{value}"',
+          updated: 'Filterregeln aktualisiert',
+          types: {
+            comments: 'Kommentare',
+            reactions: 'Reaktionen',
+            reposts: 'Reposts',
+            commentRatio: 'Verhältnis Kommentare/Reaktionen',
+            postedWithin: 'Veröffentlicht innerhalb (Stunden)',
+            authorNotIn: 'Autor nicht in (kommagetrennt)'
+          },
+          describe: {
+            comments: 'Kommentare {operator} {value}',
+            reactions: 'Reaktionen {operator} {value}',
+            reposts: 'Reposts {operator} {value}',
+            commentRatio: 'Kommentare/Reaktionen {operator} {value}',
+            postedWithin: 'veröffentlicht in den letzten {value} Std.',
+            authorNotIn: 'Autor nicht in {value}'
+          }
+        },
+        filters: {
+          title: 'Inhaltsfilter (ein Begriff pro Zeile)',
+          include: 'Einschließen',
+          exclude: 'Ausschließen',
+          keywords: 'Stichwörter',
+          hashtags: 'Hashtags',
+          authors: 'Autoren',
+          authorPlaceholder: 'Name oder Profil-URL',
+          regex: 'Stichwörter sind reguläre Ausdrücke',
+          updated: 'Filter aktualisiert'
+        },
+        exportOptions: {
+          format: 'Format',
+          formatChanged: 'Exportformat: {format}',
+          columns: 'Spalten (Zwischenablage und Download)',
+          downloadComments: '{count} Kommentare herunterladen (CSV)',
+          delimiter: 'Trennzeichen',
+          comma: 'Komma',
+          semicolon: 'Semikolon',
+          tab: 'Tabulator',
+          lineEnding: 'Zeilenende',
+          crlf: 'CRLF (Windows)',
+          dates: 'Datum',
+          numbers: 'Zahlen',
+          plain: 'Unformatiert',
+          local: 'Lokal ({locale})'
+        },
+        exports: {
+          copied: '{count} Ergebnisse in die Zwischenablage kopiert!',
+          copiedText: 'In die Zwischenablage kopiert!',
+          copyFailed: 'Kopieren fehlgeschlagen. Bitte manuell aus der Konsole kopieren.',
+          downloaded: '{count} Ergebnisse heruntergeladen.',
+          noComments: 'Noch keine gescannten Kommentare - "Tiefenscan Kommentare" unter Scan-Einstellungen setzen.',
+          downloadedComments: '{count} Kommentare heruntergeladen.',
+          downloadFailed: 'Download fehlgeschlagen. Die Daten stehen in der Konsole.'
+        },
+        webhook: {
+          enabled: 'Neue Ergebnisse als JSON senden (POST)',
+          url: 'Endpunkt-URL',
+          headerName: 'Auth-Header',
+          headerValue: 'Header-Wert',
+          batchSize: 'Beiträge pro Anfrage',
+          queued: 'In der Warteschlange: {count}',
+          retrying: ' (neuer Versuch)',
+          test: 'Verbindung testen',
+          urlRequired: 'Gib eine http(s)-Endpunkt-URL ein, um den Webhook zu aktivieren.',
+          urlMissing: 'Gib zuerst eine Endpunkt-URL ein.',
+          testSucceeded: 'Webhook-Test erfolgreich (HTTP {status}).',
+          testFailed: 'Webhook-Test fehlgeschlagen: {error}. Der Endpunkt muss CORS-Anfragen von linkedin.com erlauben.',
+          saved: 'Webhook-Einstellungen gespeichert',
+          queueFull: 'Webhook-Warteschlange voll - {count} älteste Beiträge verworfen',
+          pushed: '{count} Beiträge an {url} gesendet',
+          pushFailed: 'Webhook-Senden fehlgeschlagen ({error}) - {count} Beiträge in der Warteschlange, neuer Versuch in {seconds}s'
+        },
+        log: {
+          title: 'Ereignisprotokoll',
+          desktop: 'Browser-Benachrichtigung, wenn ein Scan stoppt',
+          empty: 'Noch keine Ereignisse.',
+          unsupported: 'Dieser Browser unterstützt keine Benachrichtigungen.',
+          denied: 'Benachrichtigungen wurden vom Browser nicht erlaubt.'
+        },
+        scanSettings: {
+          title: 'Tempo und Stoppbedingungen (0 = aus)',
+          invalid: 'Bitte für jede Einstellung eine Zahl eingeben (mindestens 1 Sekunde Intervall und 1 Scroll).',
+          saved: 'Scan-Einstellungen gespeichert',
+          fields: {
+            intervalSeconds: 'Scrollen alle (Sekunden)',
+            jitterSeconds: 'Zufällige Zusatzpause bis (Sekunden)',
+            maxScrolls: 'Pause nach Scrolls',
+            stopAfterMatches: 'Stopp nach neuen Treffern',
+            stopAfterMinutes: 'Stopp nach Minuten',
+            stopAtAgeDays: 'Stopp bei Beiträgen älter als (Tage)',
+            deepScanPages: 'Tiefenscan Kommentare, "Mehr laden"-Klicks'
+          }
+        },
+        sessions: {
+          title: 'Gespeicherte Sitzungen',
+          empty: 'Noch keine gespeicherten Sitzungen.',
+          row: '{started} — {threshold}+ — {count} Beiträge',
+          current: ' (aktuell)',
+          open: 'Öffnen',
+          export: 'Exportieren',
+          delete: 'Löschen',
+          confirmDelete: 'Diese gespeicherte Sitzung löschen?',
+          keep: 'Behalten',
+          unavailable: 'Gespeicherte Sitzungen sind in diesem Browser nicht verfügbar',
+          opened: 'Sitzung vom {started} geöffnet | Gesamt: {count}',
+          resume: 'Letzte Comments-Scanner-Sitzung fortsetzen?',
+          resumeDetails: 'Seite: {page} · Gestartet: {started} · Gefunden: {count} Beiträge mit {threshold}+ Kommentaren',
+          resumeWaiting: 'Setze die letzte Sitzung fort oder starte eine neue, um mit dem Scan zu beginnen',
+          startNew: 'Neue Sitzung'
+        },
+        archive: {
+          title: 'Beitragsarchiv (bleibt über Sitzungen erhalten)',
+          statuses: {
+            new: 'Neu',
+            reviewed: 'Gesichtet',
+            engaged: 'Interagiert',
+            ignored: 'Ignoriert'
+          },
+          statusHint: 'Status - wird bei späteren Scans berücksichtigt',
+          since: '{status} seit {date}',
+          changed: 'Beitrag {postId} als {status} markiert',
+          empty: 'Noch keine Beiträge markiert - wähle einen Status bei einem Ergebnis.',
+          hideReviewed: 'Beiträge mit Status ausblenden',
+          hidden: 'Gesichtete Beiträge ausgeblendet',
+          shown: 'Gesichtete Beiträge eingeblendet',
+          export: 'Archiv exportieren',
+          import: 'Archiv importieren',
+          importHint: 'Exportierte Archivdatei zusammenführen - der neueste Status pro Beitrag gewinnt',
+          exported: '{count} Archiveinträge heruntergeladen.',
+          imported: '{count} von {total} Archiveinträgen importiert.',
+          invalid: '"{file}" ist keine Archivdatei des Comments Scanners.',
+          updated: 'Archiv importiert'
+        },
+        imports: {
+          title: 'Frühere Exporte importieren (CSV, JSON, JSON Lines)',
+          drop: 'Exportierte Dateien hier ablegen oder klicken zum Auswählen',
+          imported: '{posts} Beiträge aus {files} Dateien importiert: {added} neu, {updated} aktualisiert',
+          failed: '"{file}" konnte nicht importiert werden: {error}',
+          compared: 'Verglichen mit {count} importierten Beiträgen',
+          newPosts: 'Neu seit dem Import ({count})',
+          newRow: '{comments} Kommentare, {reactions} Reaktionen',
+          grownPosts: 'Zahlen gestiegen ({count})',
+          grownRow: 'Kommentare {before} → {comments} (+{delta}), Reaktionen {reactionsBefore} → {reactions}',
+          none: 'Noch keine.',
+          more: '… und {count} weitere',
+          clear: 'Vergleich zurücksetzen',
+          cleared: 'Vergleich mit den importierten Dateien zurückgesetzt'
+        },
+        insights: {
+          title: 'Auswertung',
+          empty: 'Noch keine Ergebnisse.',
+          summary: '{posts} Beiträge von {authors} Autoren · Median {comments} Kommentare, {reactions} Reaktionen',
+          charts: {
+            comments: 'Beiträge nach Kommentaranzahl',
+            authors: 'Top-Autoren (passende Beiträge)',
+            hours: 'Veröffentlichung nach Uhrzeit',
+            weekdays: 'Veröffentlichung nach Wochentag',
+            hashtags: 'Häufigste Hashtags',
+            keywords: 'Häufigste Stichwörter',
+            media: 'Durchschnittliche Kommentare nach Medientyp'
+          },
+          mediaNote: '· {reactions} Reaktionen',
+          datedPosts: 'Basierend auf {count} Beiträgen mit ausreichend genauem LinkedIn-Datum',
+          noData: 'Noch nicht genug Daten.',
+          exportHint: 'Dieses Diagramm als {format} herunterladen',
+          exported: '{file} heruntergeladen.',
+          exportFailed: 'Diagramm-Export fehlgeschlagen - der Browser konnte das Bild nicht zeichnen.'
+        },
+        results: {
+          search: 'Autor, Text, Hashtag suchen…',
+          sortDirection: 'Sortierrichtung umkehren',
+          sorts: {
+            found: 'Fundzeit',
+            comments: 'Kommentare',
+            reactions: 'Reaktionen',
+            velocity: 'Kommentartempo',
+            author: 'Autor'
+          },
+          noMatch: 'Keine Ergebnisse für "{search}".',
+          previous: '‹ Zurück',
+          next: 'Weiter ›',
+          page: 'Seite {page} / {pages} ({count} Beiträge)',
+          open: 'Beitrag öffnen ID: {postId} — {comments} Kommentare',
+          pin: 'Oben anheften',
+          unpin: 'Lösen',
+          copyLink: 'Link kopieren',
+          remove: 'Aus den Ergebnissen entfernen',
+          pinned: 'Beitrag {postId} angeheftet',
+          unpinned: 'Beitrag {postId} gelöst',
+          linkCopied: 'Link zu Beitrag {postId} kopiert',
+          removed: 'Beitrag {postId} entfernt | Gesamt: {total}',
+          unknownAuthor: 'Unbekannter Autor',
+          reactions: '{count} Reaktionen',
+          reposts: '{count} Reposts',
+          velocity: '{velocity} Kommentare/Std.',
+          observations: ' ({count} Beobachtungen seit {since})',
+          scannedComments: '{count} Kommentare gescannt',
+          mostLiked: ' — meiste Likes: {names}',
+          showMore: 'Mehr anzeigen',
+          showLess: 'Weniger anzeigen'
+        },
+        media: {
+          text: 'Text',
+          image: 'Bild',
+          video: 'Video',
+          document: 'Dokument',
+          article: 'Artikel',
+          poll: 'Umfrage'
+        }
+      }
+    },
+    fr: {
+      name: 'Français',
+      decimalComma: true,
+      labels: {
+        comment: /\bcommentaires?\b/i,
+        reaction: /\bréactions?\b/i,
+        repost: /\b(republications?|reposts?)\b/i
+      },
+      loadMoreTexts: ['Afficher les nouveaux posts'],
+      countSuffixes: [
+        { pattern: /^k$/, factor: 1000 },
+        { pattern: /^(m|mn)$/, factor: 1000000 },
+        { pattern: /^(md|mrd)$/, factor: 1000000000 }
+      ],
+      zeroCountLabels: ['aucun commentaire'],
+      timeUnits: {
+        minute: /^(min|minute|minutes)$/,
+        hour: /^(h|heure|heures)$/,
+        day: /^(j|jour|jours)$/,
+        week: /^(sem|semaine|semaines)$/,
+        month: /^(m|mois)$/,
+        year: /^(a|an|ans|année|années)$/
+      },
+      ui: {
+        collapse: 'Réduire en badge',
+        expandHint: 'Cliquer pour agrandir, glisser pour déplacer',
+        resizeHint: 'Glisser pour redimensionner',
+        dismissHint: 'Cliquer pour fermer',
+        apply: 'Appliquer',
+        save: 'Enregistrer',
+        add: 'Ajouter',
+        page: {
+          feed: "Fil d'actualité",
+          hashtag: 'Fil du hashtag',
+          profile: 'Activité du profil',
+          company: "Posts de l'entreprise",
+          search: 'Recherche de contenus',
+          unsupported: "Comments Scanner ne prend pas en charge cette page.\n\nOuvrez l'une de ces pages dans cet onglet et relancez Comments Scanner :",
+          showMoreResults: 'Afficher plus de résultats'
+        },
+        status: {
+          found: 'Trouvés : {count} posts avec {threshold}+ commentaires',
+          rules: ' ({combinator} {count} règles)',
+          filteredOut: ' | Filtrés : {count}',
+          scan: 'Défilement n°{scroll} — {found} nouveaux | Total : {total}',
+          refiltered: '{message} — {added} rétablis, {removed} retirés | Total : {total}',
+          waiting: 'En attente du contenu... (essai {retry}/{max})',
+          clicked: 'Clic sur "{label}" - chargement de posts...',
+          autoPaused: 'Pause automatique après {reason} | Trouvés : {count}',
+          stopped: 'En pause : {reason} | Trouvés : {count}'
+        },
+        scan: {
+          foundNew: '{found} nouveaux posts trouvés (total {total})',
+          clicked: 'Clic sur "{label}"',
+          paused: 'Analyse en pause',
+          resumed: 'Analyse reprise',
+          autoPaused: "Défilement automatique en pause après {reason}. {count} posts avec {threshold}+ commentaires trouvés. Cliquez sur 'Reprendre' pour continuer.",
+          stopped: "Analyse arrêtée : {reason}. {count} posts trouvés jusqu'ici. Faites défiler manuellement et cliquez sur 'Reprendre', ou exportez les résultats.",
+          deepScan: 'Analyse approfondie : {count} commentaires du post {postId}'
+        },
+        reason: {
+          scrolls: '{count} défilements',
+          matches: '{count} nouveaux résultats',
+          minutes: '{count} minutes',
+          age: "l'arrivée à des posts de plus de {days} jours",
+          endOfFeed: 'fin du fil atteinte (après {count} essais)',
+          endOfList: 'fin de la liste atteinte (après {count} essais)',
+          scrollBlocked: 'défilement bloqué (après {count} essais)'
+        },
+        health: {
+          noPosts: 'Aucun post trouvé sur cette page - LinkedIn a peut-être modifié sa mise en page.',
+          noCounts: "{count} posts trouvés, mais aucun nombre de commentaires ou de réactions n'a pu être lu - LinkedIn a peut-être modifié sa mise en page.",
+          fallback: 'Certains éléments de la page ont été trouvés uniquement via des sélecteurs de secours.',
+          exportHint: "Exportez le diagnostic depuis l'avertissement et joignez-le à un rapport de bug.",
+          recovered: 'La vérification de la mise en page réussit de nouveau.',
+          exportDiagnostics: 'Exporter le diagnostic',
+          diagnosticsHint: 'Correspondances des sélecteurs et balisage anonymisé des posts pour les rapports de bug',
+          downloaded: 'Diagnostic téléchargé - les noms et textes des posts sont masqués, vérifiez-le avant de le partager.'
+        },
+        controls: {
+          pause: 'Pause',
+          resume: 'Reprendre',
+          clipboard: 'Presse-papiers',
+          download: 'Télécharger {format}',
+          exportOptions: "Options d'export",
+          hideExportOptions: "Masquer les options d'export",
+          showPosts: 'Afficher les posts',
+          hidePosts: 'Masquer les posts',
+          scanSettings: "Réglages d'analyse",
+          hideScanSettings: "Masquer les réglages d'analyse",
+          webhook: 'Webhook',
+          webhookOn: 'Webhook (actif)',
+          hideWebhook: 'Masquer le webhook',
+          log: 'Journal',
+          hideLog: 'Masquer le journal',
+          sessions: 'Sessions',
+          hideSessions: 'Masquer les sessions',
+          rules: 'Règles ({count})',
+          hideRules: 'Masquer les règles',
+          filters: 'Filtres ({count})',
+          hideFilters: 'Masquer les filtres'
+        },
+        threshold: {
+          label: 'Commentaires min. :',
+          custom: 'Autre',
+          changed: 'Seuil fixé à {threshold}+ commentaires'
+        },
+        rules: {
+          match: 'Respecter',
+          all: 'toutes les conditions (AND)',
+          any: "l'une des conditions (OR)",
+          threshold: 'commentaires >= {threshold} (seuil)',
+          value: 'Valeur',
+          invalid: 'Valeur de règle invalide : "{value}"',
+          updated: 'Règles de filtre mises à jour',
+          types: {
+            comments: 'Commentaires',
+            reactions: 'Réactions',
+            reposts: 'Republications',
+            commentRatio: 'Ratio commentaires/réactions',
+            postedWithin: 'Publié depuis moins de (heures)',
+            authorNotIn: 'Auteur absent de (séparés par des virgules)'
+          },
+          describe: {
+            comments: 'commentaires {operator} {value}',
+            reactions: 'réactions {operator} {value}',
+            reposts: 'republications {operator} {value}',
+            commentRatio: 'commentaires/réactions {operator} {value}',
+            postedWithin: 'publié dans les {value} dernières heures',
+            authorNotIn: 'auteur absent de {value}'
+          }
+        },
+        filters: {
+          title: 'Filtres de contenu (un terme par ligne)',
+          include: 'Inclure',
+          exclude: 'Exclure',
+          keywords: 'Mots-clés',
+          hashtags: 'Hashtags',
+          authors: 'Auteurs',
+          authorPlaceholder: 'Nom ou URL du profil',
+          regex: 'Les mots-clés sont des expressions régulières',
+          updated: 'Filtres mis à jour'
+        },
+        exportOptions: {
+          format: 'Format',
+          formatChanged: "Format d'export : {format}",
+          columns: 'Colonnes (presse-papiers et téléchargement)',
+          downloadComments: 'Télécharger {count} commentaires (CSV)',
+          delimiter: 'Séparateur',
+          comma: 'Virgule',
+          semicolon: 'Point-virgule',
+          tab: 'Tabulation',
+          lineEnding: 'Fin de ligne',
+          crlf: 'CRLF (Windows)',
+          dates: 'Dates',
+          numbers: 'Nombres',
+          plain: 'Brut',
+          local: 'Local ({locale})'
+        },
+        exports: {
+          copied: '{count} résultats copiés dans le presse-papiers !',
+          copiedText: 'Copié dans le presse-papiers !',
+          copyFailed: 'Échec de la copie. Copiez manuellement depuis la console.',
+          downloaded: '{count} résultats téléchargés.',
+          noComments: 'Aucun commentaire analysé - réglez "Analyse approfondie des commentaires" dans les réglages d\'analyse.',
+          downloadedComments: '{count} commentaires téléchargés.',
+          downloadFailed: 'Échec du téléchargement. Les données sont dans la console.'
+        },
+        webhook: {
+          enabled: 'Envoyer les nouveaux résultats en JSON (POST)',
+          url: 'URL du point de terminaison',
+          headerName: "En-tête d'authentification",
+          headerValue: "Valeur de l'en-tête",
+          batchSize: 'Posts par requête',
+          queued: "En file d'attente : {count}",
+          retrying: ' (nouvel essai)',
+          test: 'Tester la connexion',
+          urlRequired: 'Saisissez une URL http(s) pour activer le webhook.',
+          urlMissing: "Saisissez d'abord une URL.",
+          testSucceeded: 'Test du webhook réussi (HTTP {status}).',
+          testFailed: 'Échec du test du webhook : {error}. Le point de terminaison doit autoriser les requêtes CORS depuis linkedin.com.',
+          saved: 'Réglages du webhook enregistrés',
+          queueFull: "File d'attente du webhook pleine - {count} posts les plus anciens supprimés",
+          pushed: '{count} posts envoyés à {url}',
+          pushFailed: "Échec de l'envoi webhook ({error}) - {count} posts en attente, nouvel essai dans {seconds} s"
+        },
+        log: {
+          title: 'Journal des événements',
+          desktop: "Notification du navigateur à l'arrêt d'une analyse",
+          empty: 'Aucun événement pour le moment.',
+          unsupported: 'Ce navigateur ne prend pas en charge les notifications.',
+          denied: "Le navigateur n'a pas autorisé les notifications."
+        },
+        scanSettings: {
+          title: "Rythme et conditions d'arrêt (0 = désactivé)",
+          invalid: 'Saisissez un nombre pour chaque réglage (intervalle d\'au moins 1 seconde et 1 défilement).',
+          saved: "Réglages d'analyse enregistrés",
+          fields: {
+            intervalSeconds: 'Défiler toutes les (secondes)',
+            jitterSeconds: "Délai aléatoire supplémentaire jusqu'à (secondes)",
+            maxScrolls: 'Pause après défilements',
+            stopAfterMatches: 'Arrêt après nouveaux résultats',
+            stopAfterMinutes: 'Arrêt après minutes',
+            stopAtAgeDays: 'Arrêt aux posts de plus de (jours)',
+            deepScanPages: 'Analyse approfondie des commentaires, clics "voir plus"'
+          }
+        },
+        sessions: {
+          title: 'Sessions enregistrées',
+          empty: 'Aucune session enregistrée.',
+          row: '{started} — {threshold}+ — {count} posts',
+          current: ' (en cours)',
+          open: 'Ouvrir',
+          export: 'Exporter',
+          delete: 'Supprimer',
+          confirmDelete: 'Supprimer cette session enregistrée ?',
+          keep: 'Conserver',
+          unavailable: 'Les sessions enregistrées ne sont pas disponibles dans ce navigateur',
+          opened: 'Session du {started} ouverte | Total : {count}',
+          resume: 'Reprendre votre dernière session Comments Scanner ?',
+          resumeDetails: 'Page : {page} · Démarrée : {started} · Trouvés : {count} posts avec {threshold}+ commentaires',
+          resumeWaiting: 'Reprenez la dernière session ou démarrez-en une nouvelle pour lancer l\'analyse',
+          startNew: 'Nouvelle session'
+        },
+        results: {
+          search: 'Rechercher auteur, texte, hashtag…',
+          sortDirection: "Inverser l'ordre de tri",
+          sorts: {
+            found: 'Ordre de découverte',
+            comments: 'Commentaires',
+            reactions: 'Réactions',
+            velocity: 'Vitesse des commentaires',
+            author: 'Auteur'
+          },
+          noMatch: 'Aucun résultat pour "{search}".',
+          previous: '‹ Préc.',
+          next: 'Suiv. ›',
+          page: 'Page {page} / {pages} ({count} posts)',
+          open: 'Ouvrir le post ID : {postId} — {comments} commentaires',
+          pin: 'Épingler en haut',
+          unpin: 'Désépingler',
+          copyLink: 'Copier le lien',
+          remove: 'Retirer des résultats',
+          pinned: 'Post {postId} épinglé',
+          unpinned: 'Post {postId} désépinglé',
+          linkCopied: 'Lien du post {postId} copié',
+          removed: 'Post {postId} retiré | Total : {total}',
+          unknownAuthor: 'Auteur inconnu',
+          reactions: '{count} réactions',
+          reposts: '{count} republications',
+          velocity: '{velocity} commentaires/h',
+          observations: ' ({count} observations depuis le {since})',
+          scannedComments: '{count} commentaires analysés',
+          mostLiked: ' — les plus aimés : {names}',
+          showMore: 'Voir plus',
+          showLess: 'Voir moins'
+        },
+        media: {
+          text: 'texte',
+          image: 'image',
+          video: 'vidéo',
+          document: 'document',
+          article: 'article',
+          poll: 'sondage'
+        }
+      }
+    },
+    es: {
+      name: 'Español',
+      decimalComma: true,
+      labels: {
+        comment: /\bcomentarios?\b/i,
+        reaction: /\breacci(ón|ones)/i,
+        repost: /\b(veces compartido|compartidos?|reposts?)\b/i
+      },
+      loadMoreTexts: ['Mostrar nuevas publicaciones'],
+      countSuffixes: [
+        { pattern: /^(k|mil)$/, factor: 1000 },
+        { pattern: /^(m|mill)$/, factor: 1000000 },
+        { pattern: /^(mm|b)$/, factor: 1000000000 }
+      ],
+      zeroCountLabels: ['sin comentarios'],
+      timeUnits: {
+        minute: /^(min|minuto|minutos)$/,
+        hour: /^(h|hora|horas)$/,
+        day: /^(d|día|días)$/,
+        week: /^(sem|semana|semanas)$/,
+        month: /^(m|mes|meses)$/,
+        year: /^(a|año|años)$/
+      },
+      ui: {
+        collapse: 'Reducir a una insignia',
+        expandHint: 'Haz clic para ampliar, arrastra para mover',
+        resizeHint: 'Arrastra para cambiar el tamaño',
+        dismissHint: 'Haz clic para cerrar',
+        apply: 'Aplicar',
+        save: 'Guardar',
+        add: 'Añadir',
+        page: {
+          feed: 'Feed de inicio',
+          hashtag: 'Feed del hashtag',
+          profile: 'Actividad del perfil',
+          company: 'Publicaciones de la empresa',
+          search: 'Búsqueda de contenido',
+          unsupported: 'Comments Scanner no funciona en esta página.\n\nAbre una de estas páginas en esta pestaña e inicia Comments Scanner de nuevo:',
+          showMoreResults: 'Mostrar más resultados'
+        },
+        status: {
+          found: 'Encontradas: {count} publicaciones con {threshold}+ comentarios',
+          rules: ' ({combinator} {count} reglas)',
+          filteredOut: ' | Filtradas: {count}',
+          scan: 'Desplazamiento n.º {scroll} — {found} nuevas | Total: {total}',
+          refiltered: '{message} — {added} restauradas, {removed} quitadas | Total: {total}',
+          waiting: 'Esperando contenido... (intento {retry}/{max})',
+          clicked: 'Clic en "{label}" - cargando más publicaciones...',
+          autoPaused: 'Pausa automática tras {reason} | Encontradas: {count}',
+          stopped: 'En pausa: {reason} | Encontradas: {count}'
+        },
+        scan: {
+          foundNew: '{found} publicaciones nuevas encontradas (total {total})',
+          clicked: 'Clic en "{label}"',
+          paused: 'Escaneo en pausa',
+          resumed: 'Escaneo reanudado',
+          autoPaused: "Desplazamiento automático en pausa tras {reason}. Encontradas {count} publicaciones con {threshold}+ comentarios. Haz clic en 'Reanudar' para continuar.",
+          stopped: "Escáner detenido: {reason}. {count} publicaciones encontradas hasta ahora. Desplázate manualmente y haz clic en 'Reanudar', o exporta los resultados.",
+          deepScan: 'Escaneo profundo: {count} comentarios de la publicación {postId}'
+        },
+        reason: {
+          scrolls: '{count} desplazamientos',
+          matches: '{count} coincidencias nuevas',
+          minutes: '{count} minutos',
+          age: 'llegar a publicaciones de más de {days} días',
+          endOfFeed: 'fin del feed alcanzado (tras {count} intentos)',
+          endOfList: 'fin de la lista alcanzado (tras {count} intentos)',
+          scrollBlocked: 'desplazamiento bloqueado (tras {count} intentos)'
+        },
+        health: {
+          noPosts: 'No se encontraron publicaciones en esta página - puede que LinkedIn haya cambiado su diseño.',
+          noCounts: 'Se encontraron {count} publicaciones, pero no se pudo leer ningún número de comentarios o reacciones - puede que LinkedIn haya cambiado su diseño.',
+          fallback: 'Algunos elementos de la página solo se encontraron con selectores alternativos.',
+          exportHint: 'Exporta el diagnóstico desde el aviso y adjúntalo a un informe de error.',
+          recovered: 'La comprobación del diseño vuelve a ser correcta.',
+          exportDiagnostics: 'Exportar diagnóstico',
+          diagnosticsHint: 'Coincidencias de selectores y marcado anonimizado de publicaciones para informes de error',
+          downloaded: 'Diagnóstico descargado - los nombres y textos están ocultos, revísalo antes de compartirlo.'
+        },
+        controls: {
+          pause: 'Pausa',
+          resume: 'Reanudar',
+          clipboard: 'Portapapeles',
+          download: 'Descargar {format}',
+          exportOptions: 'Opciones de exportación',
+          hideExportOptions: 'Ocultar opciones de exportación',
+          showPosts: 'Mostrar publicaciones',
+          hidePosts: 'Ocultar publicaciones',
+          scanSettings: 'Ajustes de escaneo',
+          hideScanSettings: 'Ocultar ajustes de escaneo',
+          webhook: 'Webhook',
+          webhookOn: 'Webhook (activo)',
+          hideWebhook: 'Ocultar webhook',
+          log: 'Registro',
+          hideLog: 'Ocultar registro',
+          sessions: 'Sesiones',
+          hideSessions: 'Ocultar sesiones',
+          rules: 'Reglas ({count})',
+          hideRules: 'Ocultar reglas',
+          filters: 'Filtros ({count})',
+          hideFilters: 'Ocultar filtros'
+        },
+        threshold: {
+          label: 'Mín. comentarios:',
+          custom: 'Otro',
+          changed: 'Umbral fijado en {threshold}+ comentarios'
+        },
+        rules: {
+          match: 'Cumplir',
+          all: 'todas las condiciones (AND)',
+          any: 'alguna condición (OR)',
+          threshold: 'comentarios >= {threshold} (umbral)',
+          value: 'Valor',
+          invalid: 'Valor de regla no válido: "{value}"',
+          updated: 'Reglas de filtro actualizadas',
+          types: {
+            comments: 'Comentarios',
+            reactions: 'Reacciones',
+            reposts: 'Compartidos',
+            commentRatio: 'Proporción comentarios/reacciones',
+            postedWithin: 'Publicado en las últimas (horas)',
+            authorNotIn: 'Autor no incluido en (separados por comas)'
+          },
+          describe: {
+            comments: 'comentarios {operator} {value}',
+            reactions: 'reacciones {operator} {value}',
+            reposts: 'compartidos {operator} {value}',
+            commentRatio: 'comentarios/reacciones {operator} {value}',
+            postedWithin: 'publicado en las últimas {value} h',
+            authorNotIn: 'autor no incluido en {value}'
+          }
+        },
+        filters: {
+          title: 'Filtros de contenido (un término por línea)',
+          include: 'Incluir',
+          exclude: 'Excluir',
+          keywords: 'Palabras clave',
+          hashtags: 'Hashtags',
+          authors: 'Autores',
+          authorPlaceholder: 'Nombre o URL del perfil',
+          regex: 'Las palabras clave son expresiones regulares',
+          updated: 'Filtros actualizados'
+        },
+        exportOptions: {
+          format: 'Formato',
+          formatChanged: 'Formato de exportación: {format}',
+          columns: 'Columnas (portapapeles y descarga)',
+          downloadComments: 'Descargar {count} comentarios (CSV)',
+          delimiter: 'Separador',
+          comma: 'Coma',
+          semicolon: 'Punto y coma',
+          tab: 'Tabulador',
+          lineEnding: 'Fin de línea',
+          crlf: 'CRLF (Windows)',
+          dates: 'Fechas',
+          numbers: 'Números',
+          plain: 'Sin formato',
+          local: 'Local ({locale})'
+        },
+        exports: {
+          copied: '¡{count} resultados copiados al portapapeles!',
+          copiedText: '¡Copiado al portapapeles!',
+          copyFailed: 'No se pudo copiar. Cópialo manualmente desde la consola.',
+          downloaded: '{count} resultados descargados.',
+          noComments: 'Aún no hay comentarios escaneados - configura "Escaneo profundo de comentarios" en los ajustes de escaneo.',
+          downloadedComments: '{count} comentarios descargados.',
+          downloadFailed: 'La descarga falló. Los datos están en la consola.'
+        },
+        webhook: {
+          enabled: 'Enviar resultados nuevos como JSON (POST)',
+          url: 'URL del endpoint',
+          headerName: 'Cabecera de autenticación',
+          headerValue: 'Valor de la cabecera',
+          batchSize: 'Publicaciones por petición',
+          queued: 'En cola: {count}',
+          retrying: ' (reintentando)',
+          test: 'Probar conexión',
+          urlRequired: 'Introduce una URL http(s) para activar el webhook.',
+          urlMissing: 'Introduce primero una URL.',
+          testSucceeded: 'Prueba del webhook correcta (HTTP {status}).',
+          testFailed: 'La prueba del webhook falló: {error}. El endpoint debe permitir peticiones CORS desde linkedin.com.',
+          saved: 'Ajustes del webhook guardados',
+          queueFull: 'Cola del webhook llena - se descartaron las {count} publicaciones más antiguas',
+          pushed: '{count} publicaciones enviadas a {url}',
+          pushFailed: 'Falló el envío del webhook ({error}) - {count} publicaciones en cola, reintento en {seconds} s'
+        },
+        log: {
+          title: 'Registro de eventos',
+          desktop: 'Notificación del navegador cuando se detiene un escaneo',
+          empty: 'Aún no hay eventos.',
+          unsupported: 'Este navegador no admite notificaciones.',
+          denied: 'El navegador no permitió las notificaciones.'
+        },
+        scanSettings: {
+          title: 'Ritmo y condiciones de parada (0 = desactivado)',
+          invalid: 'Introduce un número en cada ajuste (intervalo de al menos 1 segundo y 1 desplazamiento).',
+          saved: 'Ajustes de escaneo guardados',
+          fields: {
+            intervalSeconds: 'Desplazar cada (segundos)',
+            jitterSeconds: 'Retraso aleatorio extra de hasta (segundos)',
+            maxScrolls: 'Pausa tras desplazamientos',
+            stopAfterMatches: 'Parar tras coincidencias nuevas',
+            stopAfterMinutes: 'Parar tras minutos',
+            stopAtAgeDays: 'Parar en publicaciones de más de (días)',
+            deepScanPages: 'Escaneo profundo de comentarios, clics en "cargar más"'
+          }
+        },
+        sessions: {
+          title: 'Sesiones guardadas',
+          empty: 'Aún no hay sesiones guardadas.',
+          row: '{started} — {threshold}+ — {count} publicaciones',
+          current: ' (actual)',
+          open: 'Abrir',
+          export: 'Exportar',
+          delete: 'Eliminar',
+          confirmDelete: '¿Eliminar esta sesión guardada?',
+          keep: 'Conservar',
+          unavailable: 'Las sesiones guardadas no están disponibles en este navegador',
+          opened: 'Sesión del {started} abierta | Total: {count}',
+          resume: '¿Reanudar tu última sesión de Comments Scanner?',
+          resumeDetails: 'Página: {page} · Iniciada: {started} · Encontradas: {count} publicaciones con {threshold}+ comentarios',
+          resumeWaiting: 'Reanuda la última sesión o empieza una nueva para comenzar el escaneo',
+          startNew: 'Nueva sesión'
+        },
+        results: {
+          search: 'Buscar autor, texto, hashtag…',
+          sortDirection: 'Invertir el orden',
+          sorts: {
+            found: 'Momento del hallazgo',
+            comments: 'Comentarios',
+            reactions: 'Reacciones',
+            velocity: 'Ritmo de comentarios',
+            author: 'Autor'
+          },
+          noMatch: 'Ningún resultado para "{search}".',
+          previous: '‹ Anterior',
+          next: 'Siguiente ›',
+          page: 'Página {page} / {pages} ({count} publicaciones)',
+          open: 'Abrir publicación ID: {postId} — {comments} comentarios',
+          pin: 'Fijar arriba',
+          unpin: 'Dejar de fijar',
+          copyLink: 'Copiar enlace',
+          remove: 'Quitar de los resultados',
+          pinned: 'Publicación {postId} fijada',
+          unpinned: 'Publicación {postId} ya no está fijada',
+          linkCopied: 'Enlace de la publicación {postId} copiado',
+          removed: 'Publicación {postId} quitada | Total: {total}',
+          unknownAuthor: 'Autor desconocido',
+          reactions: '{count} reacciones',
+          reposts: '{count} veces compartido',
+          velocity: '{velocity} comentarios/h',
+          observations: ' ({count} observaciones desde {since})',
+          scannedComments: '{count} comentarios escaneados',
+          mostLiked: ' — más valorados: {names}',
+          showMore: 'Ver más',
+          showLess: 'Ver menos'
+        },
+        media: {
+          text: 'texto',
+          image: 'imagen',
+          video: 'vídeo',
+          document: 'documento',
+          article: 'artículo',
+          poll: 'encuesta'
+        }
+      }
+    },
+    it: {
+      name: 'Italiano',
+      decimalComma: true,
+      labels: {
+        comment: /\bcomment[oi]\b/i,
+        reaction: /\breazion[ei]\b/i,
+        repost: /\b(diffusion[ei]|repost)\b/i
+      },
+      loadMoreTexts: ['Mostra nuovi post'],
+      countSuffixes: [
+        { pattern: /^(k|mila)$/, factor: 1000 },
+        { pattern: /^(m|mln|mio)$/, factor: 1000000 },
+        { pattern: /^(mld|mrd)$/, factor: 1000000000 }
+      ],
+      zeroCountLabels: ['nessun commento'],
+      timeUnits: {
+        minute: /^(min|minuto|minuti)$/,
+        hour: /^(h|ora|ore)$/,
+        day: /^(g|gg|giorno|giorni)$/,
+        week: /^(sett|settimana|settimane)$/,
+        month: /^(m|mese|mesi)$/,
+        year: /^(a|anno|anni)$/
+      },
+      ui: {
+        collapse: 'Riduci a badge',
+        expandHint: 'Clicca per espandere, trascina per spostare',
+        resizeHint: 'Trascina per ridimensionare',
+        dismissHint: 'Clicca per chiudere',
+        apply: 'Applica',
+        save: 'Salva',
+        add: 'Aggiungi',
+        page: {
+          feed: 'Feed della home',
+          hashtag: "Feed dell'hashtag",
+          profile: 'Attività del profilo',
+          company: "Post dell'azienda",
+          search: 'Ricerca contenuti',
+          unsupported: 'Comments Scanner non supporta questa pagina.\n\nApri una di queste pagine in questa scheda e avvia di nuovo Comments Scanner:',
+          showMoreResults: 'Mostra altri risultati'
+        },
+        status: {
+          found: 'Trovati: {count} post con {threshold}+ commenti',
+          rules: ' ({combinator} {count} regole)',
+          filteredOut: ' | Filtrati: {count}',
+          scan: 'Scorrimento n. {scroll} — {found} nuovi | Totale: {total}',
+          refiltered: '{message} — {added} ripristinati, {removed} rimossi | Totale: {total}',
+          waiting: 'In attesa di contenuti... (tentativo {retry}/{max})',
+          clicked: 'Clic su "{label}" - caricamento di altri post...',
+          autoPaused: 'Pausa automatica dopo {reason} | Trovati: {count}',
+          stopped: 'In pausa: {reason} | Trovati: {count}'
+        },
+        scan: {
+          foundNew: '{found} nuovi post trovati (totale {total})',
+          clicked: 'Clic su "{label}"',
+          paused: 'Scansione in pausa',
+          resumed: 'Scansione ripresa',
+          autoPaused: "Scorrimento automatico in pausa dopo {reason}. Trovati {count} post con {threshold}+ commenti. Clicca su 'Riprendi' per continuare.",
+          stopped: "Scanner fermato: {reason}. Finora trovati {count} post. Scorri manualmente e clicca su 'Riprendi', oppure esporta i risultati.",
+          deepScan: 'Scansione approfondita: {count} commenti dal post {postId}'
+        },
+        reason: {
+          scrolls: '{count} scorrimenti',
+          matches: '{count} nuove corrispondenze',
+          minutes: '{count} minuti',
+          age: 'il raggiungimento di post più vecchi di {days} giorni',
+          endOfFeed: 'fine del feed raggiunta (dopo {count} tentativi)',
+          endOfList: 'fine della lista raggiunta (dopo {count} tentativi)',
+          scrollBlocked: 'scorrimento bloccato (dopo {count} tentativi)'
+        },
+        health: {
+          noPosts: 'Nessun post trovato in questa pagina - LinkedIn potrebbe aver cambiato il layout.',
+          noCounts: '{count} post trovati, ma non è stato possibile leggere alcun numero di commenti o reazioni - LinkedIn potrebbe aver cambiato il layout.',
+          fallback: 'Alcuni elementi della pagina sono stati trovati solo tramite selettori di riserva.',
+          exportHint: "Esporta la diagnostica dall'avviso e allegala a una segnalazione di bug.",
+          recovered: 'Il controllo del layout è di nuovo superato.',
+          exportDiagnostics: 'Esporta diagnostica',
+          diagnosticsHint: 'Corrispondenze dei selettori e markup anonimizzato dei post per le segnalazioni di bug',
+          downloaded: 'Diagnostica scaricata - nomi e testi dei post sono mascherati, controllala prima di condividerla.'
+        },
+        controls: {
+          pause: 'Pausa',
+          resume: 'Riprendi',
+          clipboard: 'Appunti',
+          download: 'Scarica {format}',
+          exportOptions: 'Opzioni di esportazione',
+          hideExportOptions: 'Nascondi opzioni di esportazione',
+          showPosts: 'Mostra post',
+          hidePosts: 'Nascondi post',
+          scanSettings: 'Impostazioni scansione',
+          hideScanSettings: 'Nascondi impostazioni scansione',
+          webhook: 'Webhook',
+          webhookOn: 'Webhook (attivo)',
+          hideWebhook: 'Nascondi webhook',
+          log: 'Registro',
+          hideLog: 'Nascondi registro',
+          sessions: 'Sessioni',
+          hideSessions: 'Nascondi sessioni',
+          rules: 'Regole ({count})',
+          hideRules: 'Nascondi regole',
+          filters: 'Filtri ({count})',
+          hideFilters: 'Nascondi filtri'
+        },
+        threshold: {
+          label: 'Min. commenti:',
+          custom: 'Altro',
+          changed: 'Soglia impostata a {threshold}+ commenti'
+        },
+        rules: {
+          match: 'Soddisfa',
+          all: 'tutte le condizioni (AND)',
+          any: 'una condizione (OR)',
+          threshold: 'commenti >= {threshold} (soglia)',
+          value: 'Valore',
+          invalid: 'Valore della regola non valido: "{value}"',
+          updated: 'Regole di filtro aggiornate',
+          types: {
+            comments: 'Commenti',
+            reactions: 'Reazioni',
+            reposts: 'Diffusioni',
+            commentRatio: 'Rapporto commenti/reazioni',
+            postedWithin: 'Pubblicato entro (ore)',
+            authorNotIn: 'Autore non in (separati da virgola)'
+          },
+          describe: {
+            comments: 'commenti {operator} {value}',
+            reactions: 'reazioni {operator} {value}',
+            reposts: 'diffusioni {operator} {value}',
+            commentRatio: 'commenti/reazioni {operator} {value}',
+            postedWithin: 'pubblicato nelle ultime {value} ore',
+            authorNotIn: 'autore non in {value}'
+          }
+        },
+        filters: {
+          title: 'Filtri dei contenuti (un termine per riga)',
+          include: 'Includi',
+          exclude: 'Escludi',
+          keywords: 'Parole chiave',
+          hashtags: 'Hashtag',
+          authors: 'Autori',
+          authorPlaceholder: 'Nome o URL del profilo',
+          regex: 'Le parole chiave sono espressioni regolari',
+          updated: 'Filtri aggiornati'
+        },
+        exportOptions: {
+          format: 'Formato',
+          formatChanged: 'Formato di esportazione: {format}',
+          columns: 'Colonne (appunti e download)',
+          downloadComments: 'Scarica {count} commenti (CSV)',
+          delimiter: 'Separatore',
+          comma: 'Virgola',
+          semicolon: 'Punto e virgola',
+          tab: 'Tabulazione',
+          lineEnding: 'Fine riga',
+          crlf: 'CRLF (Windows)',
+          dates: 'Date',
+          numbers: 'Numeri',
+          plain: 'Semplice',
+          local: 'Locale ({locale})'
+        },
+        exports: {
+          copied: '{count} risultati copiati negli appunti!',
+          copiedText: 'Copiato negli appunti!',
+          copyFailed: 'Copia non riuscita. Copia manualmente dalla console.',
+          downloaded: '{count} risultati scaricati.',
+          noComments: 'Ancora nessun commento scansionato - imposta "Scansione approfondita commenti" nelle impostazioni scansione.',
+          downloadedComments: '{count} commenti scaricati.',
+          downloadFailed: 'Download non riuscito. I dati sono nella console.'
+        },
+        webhook: {
+          enabled: 'Invia i nuovi risultati come JSON (POST)',
+          url: 'URL endpoint',
+          headerName: 'Header di autenticazione',
+          headerValue: "Valore dell'header",
+          batchSize: 'Post per richiesta',
+          queued: 'In coda: {count}',
+          retrying: ' (nuovo tentativo)',
+          test: 'Prova connessione',
+          urlRequired: 'Inserisci un URL http(s) per attivare il webhook.',
+          urlMissing: 'Inserisci prima un URL.',
+          testSucceeded: 'Test del webhook riuscito (HTTP {status}).',
+          testFailed: "Test del webhook non riuscito: {error}. L'endpoint deve consentire richieste CORS da linkedin.com.",
+          saved: 'Impostazioni webhook salvate',
+          queueFull: 'Coda del webhook piena - scartati i {count} post più vecchi',
+          pushed: '{count} post inviati a {url}',
+          pushFailed: 'Invio webhook non riuscito ({error}) - {count} post in coda, nuovo tentativo tra {seconds} s'
+        },
+        log: {
+          title: 'Registro eventi',
+          desktop: 'Notifica del browser quando una scansione si ferma',
+          empty: 'Ancora nessun evento.',
+          unsupported: 'Questo browser non supporta le notifiche.',
+          denied: 'Il browser non ha consentito le notifiche.'
+        },
+        scanSettings: {
+          title: 'Ritmo e condizioni di arresto (0 = disattivato)',
+          invalid: 'Inserisci un numero per ogni impostazione (intervallo di almeno 1 secondo e 1 scorrimento).',
+          saved: 'Impostazioni scansione salvate',
+          fields: {
+            intervalSeconds: 'Scorri ogni (secondi)',
+            jitterSeconds: 'Ritardo casuale aggiuntivo fino a (secondi)',
+            maxScrolls: 'Pausa dopo scorrimenti',
+            stopAfterMatches: 'Ferma dopo nuove corrispondenze',
+            stopAfterMinutes: 'Ferma dopo minuti',
+            stopAtAgeDays: 'Ferma ai post più vecchi di (giorni)',
+            deepScanPages: 'Scansione approfondita commenti, clic su "carica altri"'
+          }
+        },
+        sessions: {
+          title: 'Sessioni salvate',
+          empty: 'Ancora nessuna sessione salvata.',
+          row: '{started} — {threshold}+ — {count} post',
+          current: ' (attuale)',
+          open: 'Apri',
+          export: 'Esporta',
+          delete: 'Elimina',
+          confirmDelete: 'Eliminare questa sessione salvata?',
+          keep: 'Mantieni',
+          unavailable: 'Le sessioni salvate non sono disponibili in questo browser',
+          opened: 'Aperta la sessione del {started} | Totale: {count}',
+          resume: 'Riprendere l\'ultima sessione di Comments Scanner?',
+          resumeDetails: 'Pagina: {page} · Avviata: {started} · Trovati: {count} post con {threshold}+ commenti',
+          resumeWaiting: 'Riprendi l\'ultima sessione o avviane una nuova per iniziare la scansione',
+          startNew: 'Nuova sessione'
+        },
+        results: {
+          search: 'Cerca autore, testo, hashtag…',
+          sortDirection: "Inverti l'ordinamento",
+          sorts: {
+            found: 'Ordine di ritrovamento',
+            comments: 'Commenti',
+            reactions: 'Reazioni',
+            velocity: 'Velocità dei commenti',
+            author: 'Autore'
+          },
+          noMatch: 'Nessun risultato per "{search}".',
+          previous: '‹ Prec.',
+          next: 'Succ. ›',
+          page: 'Pagina {page} / {pages} ({count} post)',
+          open: 'Apri post ID: {postId} — {comments} commenti',
+          pin: 'Fissa in alto',
+          unpin: 'Sblocca',
+          copyLink: 'Copia link',
+          remove: 'Rimuovi dai risultati',
+          pinned: 'Post {postId} fissato',
+          unpinned: 'Post {postId} sbloccato',
+          linkCopied: 'Link al post {postId} copiato',
+          removed: 'Post {postId} rimosso | Totale: {total}',
+          unknownAuthor: 'Autore sconosciuto',
+          reactions: '{count} reazioni',
+          reposts: '{count} diffusioni',
+          velocity: '{velocity} commenti/h',
+          observations: ' ({count} osservazioni dal {since})',
+          scannedComments: '{count} commenti scansionati',
+          mostLiked: ' — più apprezzati: {names}',
+          showMore: 'Mostra di più',
+          showLess: 'Mostra meno'
+        },
+        media: {
+          text: 'testo',
+          image: 'immagine',
+          video: 'video',
+          document: 'documento',
+          article: 'articolo',
+          poll: 'sondaggio'
+        }
+      }
+    },
+    nl: {
+      name: 'Nederlands',
+      decimalComma: true,
+      // "reacties" are reactions here - comments are "opmerkingen"
+      labels: {
+        comment: /\bopmerkingen?\b/i,
+        reaction: /\breacties?\b/i,
+        repost: /\b(reposts?|keer gedeeld)\b/i
+      },
+      loadMoreTexts: ['Nieuwe berichten weergeven'],
+      countSuffixes: [
+        { pattern: /^(k|dzd)$/, factor: 1000 },
+        { pattern: /^(m|mln|mn)$/, factor: 1000000 },
+        { pattern: /^(mld|md)$/, factor: 1000000000 }
+      ],
+      zeroCountLabels: ['geen opmerkingen'],
+      timeUnits: {
+        minute: /^(m|min|minuut|minuten)$/,
+        hour: /^(u|uur|uren)$/,
+        day: /^(d|dag|dagen)$/,
+        week: /^(w|wk|week|weken)$/,
+        month: /^(mnd|maand|maanden)$/,
+        year: /^(j|jr|jaar|jaren)$/
+      },
+      ui: {
+        collapse: 'Inklappen tot badge',
+        expandHint: 'Klik om uit te klappen, sleep om te verplaatsen',
+        resizeHint: 'Sleep om het formaat te wijzigen',
+        dismissHint: 'Klik om te sluiten',
+        apply: 'Toepassen',
+        save: 'Opslaan',
+        add: 'Toevoegen',
+        page: {
+          feed: 'Startfeed',
+          hashtag: 'Hashtagfeed',
+          profile: 'Profielactiviteit',
+          company: 'Bedrijfsberichten',
+          search: 'Zoeken naar content',
+          unsupported: 'Comments Scanner werkt niet op deze pagina.\n\nOpen een van deze pagina\'s in dit tabblad en start Comments Scanner opnieuw:',
+          showMoreResults: 'Meer resultaten weergeven'
+        },
+        status: {
+          found: 'Gevonden: {count} berichten met {threshold}+ opmerkingen',
+          rules: ' ({combinator} {count} regels)',
+          filteredOut: ' | Weggefilterd: {count}',
+          scan: 'Scroll #{scroll} — {found} nieuw | Totaal: {total}',
+          refiltered: '{message} — {added} hersteld, {removed} verwijderd | Totaal: {total}',
+          waiting: 'Wachten op content... (poging {retry}/{max})',
+          clicked: 'Op "{label}" geklikt - meer berichten laden...',
+          autoPaused: 'Automatisch gepauzeerd na {reason} | Gevonden: {count}',
+          stopped: 'Gepauzeerd: {reason} | Gevonden: {count}'
+        },
+        scan: {
+          foundNew: '{found} nieuwe berichten gevonden (totaal {total})',
+          clicked: 'Op "{label}" geklikt',
+          paused: 'Scan gepauzeerd',
+          resumed: 'Scan hervat',
+          autoPaused: "Automatisch scrollen gepauzeerd na {reason}. {count} berichten met {threshold}+ opmerkingen gevonden. Klik op 'Hervatten' om door te gaan.",
+          stopped: "Scanner gestopt: {reason}. Tot nu toe {count} berichten gevonden. Scroll handmatig verder en klik op 'Hervatten', of exporteer de resultaten.",
+          deepScan: 'Diepe scan: {count} opmerkingen van bericht {postId}'
+        },
+        reason: {
+          scrolls: '{count} scrolls',
+          matches: '{count} nieuwe treffers',
+          minutes: '{count} minuten',
+          age: 'het bereiken van berichten ouder dan {days} dagen',
+          endOfFeed: 'einde van de feed bereikt (na {count} pogingen)',
+          endOfList: 'einde van de lijst bereikt (na {count} pogingen)',
+          scrollBlocked: 'scrollen geblokkeerd (na {count} pogingen)'
+        },
+        health: {
+          noPosts: 'Geen berichten gevonden op deze pagina - LinkedIn heeft mogelijk de lay-out gewijzigd.',
+          noCounts: '{count} berichten gevonden, maar geen enkel aantal opmerkingen of reacties kon worden gelezen - LinkedIn heeft mogelijk de lay-out gewijzigd.',
+          fallback: 'Sommige pagina-elementen zijn alleen via reserveselectors gevonden.',
+          exportHint: 'Exporteer de diagnose via de waarschuwing en voeg die toe aan een bugmelding.',
+          recovered: 'De lay-outcontrole slaagt weer.',
+          exportDiagnostics: 'Diagnose exporteren',
+          diagnosticsHint: 'Selectortreffers en geanonimiseerde berichtopmaak voor bugmeldingen',
+          downloaded: 'Diagnose gedownload - namen en berichtteksten zijn gemaskeerd, controleer vóór het delen.'
+        },
+        controls: {
+          pause: 'Pauzeren',
+          resume: 'Hervatten',
+          clipboard: 'Klembord',
+          download: '{format} downloaden',
+          exportOptions: 'Exportopties',
+          hideExportOptions: 'Exportopties verbergen',
+          showPosts: 'Berichten tonen',
+          hidePosts: 'Berichten verbergen',
+          scanSettings: 'Scaninstellingen',
+          hideScanSettings: 'Scaninstellingen verbergen',
+          webhook: 'Webhook',
+          webhookOn: 'Webhook (aan)',
+          hideWebhook: 'Webhook verbergen',
+          log: 'Logboek',
+          hideLog: 'Logboek verbergen',
+          sessions: 'Sessies',
+          hideSessions: 'Sessies verbergen',
+          rules: 'Regels ({count})',
+          hideRules: 'Regels verbergen',
+          filters: 'Filters ({count})',
+          hideFilters: 'Filters verbergen'
+        },
+        threshold: {
+          label: 'Min. opmerkingen:',
+          custom: 'Eigen',
+          changed: 'Drempel ingesteld op {threshold}+ opmerkingen'
+        },
+        rules: {
+          match: 'Voldoet aan',
+          all: 'alle voorwaarden (AND)',
+          any: 'een van de voorwaarden (OR)',
+          threshold: 'opmerkingen >= {threshold} (drempel)',
+          value: 'Waarde',
+          invalid: 'Ongeldige regelwaarde: "{value}"',
+          updated: 'Filterregels bijgewerkt',
+          types: {
+            comments: 'Opmerkingen',
+            reactions: 'Reacties',
+            reposts: 'Reposts',
+            commentRatio: 'Verhouding opmerkingen/reacties',
+            postedWithin: 'Geplaatst binnen (uur)',
+            authorNotIn: 'Auteur niet in (kommagescheiden)'
+          },
+          describe: {
+            comments: 'opmerkingen {operator} {value}',
+            reactions: 'reacties {operator} {value}',
+            reposts: 'reposts {operator} {value}',
+            commentRatio: 'opmerkingen/reacties {operator} {value}',
+            postedWithin: 'geplaatst in de laatste {value} uur',
+            authorNotIn: 'auteur niet in {value}'
+          }
+        },
+        filters: {
+          title: 'Contentfilters (één term per regel)',
+          include: 'Opnemen',
+          exclude: 'Uitsluiten',
+          keywords: 'Trefwoorden',
+          hashtags: 'Hashtags',
+          authors: 'Auteurs',
+          authorPlaceholder: 'Naam of profiel-URL',
+          regex: 'Trefwoorden zijn reguliere expressies',
+          updated: 'Filters bijgewerkt'
+        },
+        exportOptions: {
+          format: 'Formaat',
+          formatChanged: 'Exportformaat: {format}',
+          columns: 'Kolommen (klembord en download)',
+          downloadComments: '{count} opmerkingen downloaden (CSV)',
+          delimiter: 'Scheidingsteken',
+          comma: 'Komma',
+          semicolon: 'Puntkomma',
+          tab: 'Tab',
+          lineEnding: 'Regeleinde',
+          crlf: 'CRLF (Windows)',
+          dates: 'Datums',
+          numbers: 'Getallen',
+          plain: 'Ongeformatteerd',
+          local: 'Lokaal ({locale})'
+        },
+        exports: {
+          copied: '{count} resultaten naar het klembord gekopieerd!',
+          copiedText: 'Naar het klembord gekopieerd!',
+          copyFailed: 'Kopiëren mislukt. Kopieer handmatig uit de console.',
+          downloaded: '{count} resultaten gedownload.',
+          noComments: 'Nog geen gescande opmerkingen - stel "Diepe scan opmerkingen" in bij Scaninstellingen.',
+          downloadedComments: '{count} opmerkingen gedownload.',
+          downloadFailed: 'Download mislukt. De gegevens staan in de console.'
+        },
+        webhook: {
+          enabled: 'Nieuwe resultaten als JSON versturen (POST)',
+          url: 'Endpoint-URL',
+          headerName: 'Auth-header',
+          headerValue: 'Headerwaarde',
+          batchSize: 'Berichten per verzoek',
+          queued: 'In wachtrij: {count}',
+          retrying: ' (nieuwe poging)',
+          test: 'Verbinding testen',
+          urlRequired: 'Voer een http(s)-endpoint-URL in om de webhook in te schakelen.',
+          urlMissing: 'Voer eerst een endpoint-URL in.',
+          testSucceeded: 'Webhooktest geslaagd (HTTP {status}).',
+          testFailed: 'Webhooktest mislukt: {error}. Het endpoint moet CORS-verzoeken van linkedin.com toestaan.',
+          saved: 'Webhookinstellingen opgeslagen',
+          queueFull: 'Webhookwachtrij vol - {count} oudste berichten verwijderd',
+          pushed: '{count} berichten verstuurd naar {url}',
+          pushFailed: 'Webhook versturen mislukt ({error}) - {count} berichten in wachtrij, nieuwe poging over {seconds}s'
+        },
+        log: {
+          title: 'Gebeurtenissenlogboek',
+          desktop: 'Browsermelding wanneer een scan stopt',
+          empty: 'Nog geen gebeurtenissen.',
+          unsupported: 'Deze browser ondersteunt geen meldingen.',
+          denied: 'Meldingen zijn niet toegestaan door de browser.'
+        },
+        scanSettings: {
+          title: 'Tempo en stopvoorwaarden (0 = uit)',
+          invalid: 'Voer voor elke instelling een getal in (minstens 1 seconde interval en 1 scroll).',
+          saved: 'Scaninstellingen opgeslagen',
+          fields: {
+            intervalSeconds: 'Scrollen elke (seconden)',
+            jitterSeconds: 'Willekeurige extra vertraging tot (seconden)',
+            maxScrolls: 'Pauzeren na scrolls',
+            stopAfterMatches: 'Stoppen na nieuwe treffers',
+            stopAfterMinutes: 'Stoppen na minuten',
+            stopAtAgeDays: 'Stoppen bij berichten ouder dan (dagen)',
+            deepScanPages: 'Diepe scan opmerkingen, klikken op "meer laden"'
+          }
+        },
+        sessions: {
+          title: 'Opgeslagen sessies',
+          empty: 'Nog geen opgeslagen sessies.',
+          row: '{started} — {threshold}+ — {count} berichten',
+          current: ' (huidige)',
+          open: 'Openen',
+          export: 'Exporteren',
+          delete: 'Verwijderen',
+          confirmDelete: 'Deze opgeslagen sessie verwijderen?',
+          keep: 'Behouden',
+          unavailable: 'Opgeslagen sessies zijn niet beschikbaar in deze browser',
+          opened: 'Sessie van {started} geopend | Totaal: {count}',
+          resume: 'Je laatste Comments Scanner-sessie hervatten?',
+          resumeDetails: 'Pagina: {page} · Gestart: {started} · Gevonden: {count} berichten met {threshold}+ opmerkingen',
+          resumeWaiting: 'Hervat de laatste sessie of start een nieuwe om met scannen te beginnen',
+          startNew: 'Nieuwe sessie'
+        },
+        results: {
+          search: 'Zoek auteur, tekst, hashtag…',
+          sortDirection: 'Sorteervolgorde omdraaien',
+          sorts: {
+            found: 'Tijdstip gevonden',
+            comments: 'Opmerkingen',
+            reactions: 'Reacties',
+            velocity: 'Opmerkingentempo',
+            author: 'Auteur'
+          },
+          noMatch: 'Geen resultaten voor "{search}".',
+          previous: '‹ Vorige',
+          next: 'Volgende ›',
+          page: 'Pagina {page} / {pages} ({count} berichten)',
+          open: 'Bericht openen ID: {postId} — {comments} opmerkingen',
+          pin: 'Bovenaan vastzetten',
+          unpin: 'Losmaken',
+          copyLink: 'Link kopiëren',
+          remove: 'Uit de resultaten verwijderen',
+          pinned: 'Bericht {postId} vastgezet',
+          unpinned: 'Bericht {postId} losgemaakt',
+          linkCopied: 'Link naar bericht {postId} gekopieerd',
+          removed: 'Bericht {postId} verwijderd | Totaal: {total}',
+          unknownAuthor: 'Onbekende auteur',
+          reactions: '{count} reacties',
+          reposts: '{count} reposts',
+          velocity: '{velocity} opmerkingen/uur',
+          observations: ' ({count} waarnemingen sinds {since})',
+          scannedComments: '{count} opmerkingen gescand',
+          mostLiked: ' — meest geliket: {names}',
+          showMore: 'Meer weergeven',
+          showLess: 'Minder weergeven'
+        },
+        media: {
+          text: 'tekst',
+          image: 'afbeelding',
+          video: 'video',
+          document: 'document',
+          article: 'artikel',
+          poll: 'peiling'
+        }
+      }
+    },
+    pt: {
+      name: 'Português',
+      decimalComma: true,
+      labels: {
+        comment: /\bcomentários?\b/i,
+        reaction: /\brea(ção|ções)/i,
+        repost: /\b(compartilhamentos?|reposts?)\b/i
+      },
+      loadMoreTexts: ['Mostrar novas publicações', 'Ver novas publicações'],
+      countSuffixes: [
+        { pattern: /^(k|mil)$/, factor: 1000 },
+        { pattern: /^(m|mi|mln)$/, factor: 1000000 },
+        { pattern: /^(b|bi)$/, factor: 1000000000 }
+      ],
+      zeroCountLabels: ['nenhum comentário', 'sem comentários'],
+      timeUnits: {
+        minute: /^(min|minuto|minutos)$/,
+        hour: /^(h|hora|horas)$/,
+        day: /^(d|dia|dias)$/,
+        week: /^(sem|semana|semanas)$/,
+        month: /^(m|mês|meses)$/,
+        year: /^(a|ano|anos)$/
+      },
+      ui: {
+        collapse: 'Recolher para um selo',
+        expandHint: 'Clique para expandir, arraste para mover',
+        resizeHint: 'Arraste para redimensionar',
+        dismissHint: 'Clique para fechar',
+        apply: 'Aplicar',
+        save: 'Salvar',
+        add: 'Adicionar',
+        page: {
+          feed: 'Feed inicial',
+          hashtag: 'Feed da hashtag',
+          profile: 'Atividade do perfil',
+          company: 'Publicações da empresa',
+          search: 'Pesquisa de conteúdo',
+          unsupported: 'O Comments Scanner não funciona nesta página.\n\nAbra uma destas páginas nesta aba e inicie o Comments Scanner novamente:',
+          showMoreResults: 'Mostrar mais resultados'
+        },
+        status: {
+          found: 'Encontradas: {count} publicações com {threshold}+ comentários',
+          rules: ' ({combinator} {count} regras)',
+          filteredOut: ' | Filtradas: {count}',
+          scan: 'Rolagem nº {scroll} — {found} novas | Total: {total}',
+          refiltered: '{message} — {added} restauradas, {removed} removidas | Total: {total}',
+          waiting: 'Aguardando conteúdo... (tentativa {retry}/{max})',
+          clicked: 'Clique em "{label}" - carregando mais publicações...',
+          autoPaused: 'Pausa automática após {reason} | Encontradas: {count}',
+          stopped: 'Pausado: {reason} | Encontradas: {count}'
+        },
+        scan: {
+          foundNew: '{found} novas publicações encontradas (total {total})',
+          clicked: 'Clique em "{label}"',
+          paused: 'Varredura pausada',
+          resumed: 'Varredura retomada',
+          autoPaused: "Rolagem automática pausada após {reason}. Encontradas {count} publicações com {threshold}+ comentários. Clique em 'Retomar' para continuar.",
+          stopped: "Scanner parado: {reason}. {count} publicações encontradas até agora. Role manualmente e clique em 'Retomar', ou exporte os resultados.",
+          deepScan: 'Varredura detalhada: {count} comentários da publicação {postId}'
+        },
+        reason: {
+          scrolls: '{count} rolagens',
+          matches: '{count} novas correspondências',
+          minutes: '{count} minutos',
+          age: 'chegar a publicações com mais de {days} dias',
+          endOfFeed: 'fim do feed alcançado (após {count} tentativas)',
+          endOfList: 'fim da lista alcançado (após {count} tentativas)',
+          scrollBlocked: 'rolagem bloqueada (após {count} tentativas)'
+        },
+        health: {
+          noPosts: 'Nenhuma publicação encontrada nesta página - o LinkedIn pode ter mudado o layout.',
+          noCounts: '{count} publicações encontradas, mas nenhum número de comentários ou reações pôde ser lido - o LinkedIn pode ter mudado o layout.',
+          fallback: 'Alguns elementos da página só foram encontrados por seletores alternativos.',
+          exportHint: 'Exporte o diagnóstico pelo aviso e anexe-o a um relatório de bug.',
+          recovered: 'A verificação do layout voltou a passar.',
+          exportDiagnostics: 'Exportar diagnóstico',
+          diagnosticsHint: 'Correspondências de seletores e marcação anonimizada das publicações para relatórios de bug',
+          downloaded: 'Diagnóstico baixado - nomes e textos estão mascarados, confira antes de compartilhar.'
+        },
+        controls: {
+          pause: 'Pausar',
+          resume: 'Retomar',
+          clipboard: 'Área de transferência',
+          download: 'Baixar {format}',
+          exportOptions: 'Opções de exportação',
+          hideExportOptions: 'Ocultar opções de exportação',
+          showPosts: 'Mostrar publicações',
+          hidePosts: 'Ocultar publicações',
+          scanSettings: 'Configurações da varredura',
+          hideScanSettings: 'Ocultar configurações da varredura',
+          webhook: 'Webhook',
+          webhookOn: 'Webhook (ativo)',
+          hideWebhook: 'Ocultar webhook',
+          log: 'Registro',
+          hideLog: 'Ocultar registro',
+          sessions: 'Sessões',
+          hideSessions: 'Ocultar sessões',
+          rules: 'Regras ({count})',
+          hideRules: 'Ocultar regras',
+          filters: 'Filtros ({count})',
+          hideFilters: 'Ocultar filtros'
+        },
+        threshold: {
+          label: 'Mín. comentários:',
+          custom: 'Outro',
+          changed: 'Limite definido em {threshold}+ comentários'
+        },
+        rules: {
+          match: 'Atender a',
+          all: 'todas as condições (AND)',
+          any: 'qualquer condição (OR)',
+          threshold: 'comentários >= {threshold} (limite)',
+          value: 'Valor',
+          invalid: 'Valor de regra inválido: "{value}"',
+          updated: 'Regras de filtro atualizadas',
+          types: {
+            comments: 'Comentários',
+            reactions: 'Reações',
+            reposts: 'Compartilhamentos',
+            commentRatio: 'Proporção comentários/reações',
+            postedWithin: 'Publicado há no máximo (horas)',
+            authorNotIn: 'Autor fora de (separados por vírgula)'
+          },
+          describe: {
+            comments: 'comentários {operator} {value}',
+            reactions: 'reações {operator} {value}',
+            reposts: 'compartilhamentos {operator} {value}',
+            commentRatio: 'comentários/reações {operator} {value}',
+            postedWithin: 'publicado nas últimas {value} h',
+            authorNotIn: 'autor fora de {value}'
+          }
+        },
+        filters: {
+          title: 'Filtros de conteúdo (um termo por linha)',
+          include: 'Incluir',
+          exclude: 'Excluir',
+          keywords: 'Palavras-chave',
+          hashtags: 'Hashtags',
+          authors: 'Autores',
+          authorPlaceholder: 'Nome ou URL do perfil',
+          regex: 'Palavras-chave são expressões regulares',
+          updated: 'Filtros atualizados'
+        },
+        exportOptions: {
+          format: 'Formato',
+          formatChanged: 'Formato de exportação: {format}',
+          columns: 'Colunas (área de transferência e download)',
+          downloadComments: 'Baixar {count} comentários (CSV)',
+          delimiter: 'Separador',
+          comma: 'Vírgula',
+          semicolon: 'Ponto e vírgula',
+          tab: 'Tabulação',
+          lineEnding: 'Fim de linha',
+          crlf: 'CRLF (Windows)',
+          dates: 'Datas',
+          numbers: 'Números',
+          plain: 'Simples',
+          local: 'Local ({locale})'
+        },
+        exports: {
+          copied: '{count} resultados copiados para a área de transferência!',
+          copiedText: 'Copiado para a área de transferência!',
+          copyFailed: 'Falha ao copiar. Copie manualmente a partir do console.',
+          downloaded: '{count} resultados baixados.',
+          noComments: 'Ainda não há comentários varridos - defina "Varredura detalhada de comentários" nas configurações da varredura.',
+          downloadedComments: '{count} comentários baixados.',
+          downloadFailed: 'Falha no download. Os dados estão no console.'
+        },
+        webhook: {
+          enabled: 'Enviar novos resultados como JSON (POST)',
+          url: 'URL do endpoint',
+          headerName: 'Cabeçalho de autenticação',
+          headerValue: 'Valor do cabeçalho',
+          batchSize: 'Publicações por requisição',
+          queued: 'Na fila: {count}',
+          retrying: ' (tentando novamente)',
+          test: 'Testar conexão',
+          urlRequired: 'Informe uma URL http(s) para ativar o webhook.',
+          urlMissing: 'Informe primeiro uma URL.',
+          testSucceeded: 'Teste do webhook bem-sucedido (HTTP {status}).',
+          testFailed: 'Falha no teste do webhook: {error}. O endpoint precisa permitir requisições CORS de linkedin.com.',
+          saved: 'Configurações do webhook salvas',
+          queueFull: 'Fila do webhook cheia - {count} publicações mais antigas descartadas',
+          pushed: '{count} publicações enviadas para {url}',
+          pushFailed: 'Falha no envio do webhook ({error}) - {count} publicações na fila, nova tentativa em {seconds}s'
+        },
+        log: {
+          title: 'Registro de eventos',
+          desktop: 'Notificação do navegador quando uma varredura para',
+          empty: 'Ainda não há eventos.',
+          unsupported: 'Este navegador não suporta notificações.',
+          denied: 'O navegador não permitiu notificações.'
+        },
+        scanSettings: {
+          title: 'Ritmo e condições de parada (0 = desligado)',
+          invalid: 'Informe um número em cada configuração (intervalo de pelo menos 1 segundo e 1 rolagem).',
+          saved: 'Configurações da varredura salvas',
+          fields: {
+            intervalSeconds: 'Rolar a cada (segundos)',
+            jitterSeconds: 'Atraso aleatório extra de até (segundos)',
+            maxScrolls: 'Pausar após rolagens',
+            stopAfterMatches: 'Parar após novas correspondências',
+            stopAfterMinutes: 'Parar após minutos',
+            stopAtAgeDays: 'Parar em publicações com mais de (dias)',
+            deepScanPages: 'Varredura detalhada de comentários, cliques em "carregar mais"'
+          }
+        },
+        sessions: {
+          title: 'Sessões salvas',
+          empty: 'Ainda não há sessões salvas.',
+          row: '{started} — {threshold}+ — {count} publicações',
+          current: ' (atual)',
+          open: 'Abrir',
+          export: 'Exportar',
+          delete: 'Excluir',
+          confirmDelete: 'Excluir esta sessão salva?',
+          keep: 'Manter',
+          unavailable: 'Sessões salvas não estão disponíveis neste navegador',
+          opened: 'Sessão de {started} aberta | Total: {count}',
+          resume: 'Retomar sua última sessão do Comments Scanner?',
+          resumeDetails: 'Página: {page} · Iniciada: {started} · Encontradas: {count} publicações com {threshold}+ comentários',
+          resumeWaiting: 'Retome a última sessão ou inicie uma nova para começar a varredura',
+          startNew: 'Nova sessão'
+        },
+        results: {
+          search: 'Pesquisar autor, texto, hashtag…',
+          sortDirection: 'Inverter a ordenação',
+          sorts: {
+            found: 'Momento encontrado',
+            comments: 'Comentários',
+            reactions: 'Reações',
+            velocity: 'Ritmo de comentários',
+            author: 'Autor'
+          },
+          noMatch: 'Nenhum resultado para "{search}".',
+          previous: '‹ Anterior',
+          next: 'Próxima ›',
+          page: 'Página {page} / {pages} ({count} publicações)',
+          open: 'Abrir publicação ID: {postId} — {comments} comentários',
+          pin: 'Fixar no topo',
+          unpin: 'Desafixar',
+          copyLink: 'Copiar link',
+          remove: 'Remover dos resultados',
+          pinned: 'Publicação {postId} fixada',
+          unpinned: 'Publicação {postId} desafixada',
+          linkCopied: 'Link da publicação {postId} copiado',
+          removed: 'Publicação {postId} removida | Total: {total}',
+          unknownAuthor: 'Autor desconhecido',
+          reactions: '{count} reações',
+          reposts: '{count} compartilhamentos',
+          velocity: '{velocity} comentários/h',
+          observations: ' ({count} observações desde {since})',
+          scannedComments: '{count} comentários varridos',
+          mostLiked: ' — mais curtidos: {names}',
+          showMore: 'Ver mais',
+          showLess: 'Ver menos'
+        },
+        media: {
+          text: 'texto',
+          image: 'imagem',
+          video: 'vídeo',
+          document: 'documento',
+          article: 'artigo',
+          poll: 'enquete'
+        }
+      }
+    },
+    pl: {
+      name: 'Polski',
+      decimalComma: true,
+      labels: {
+        comment: /\bkomentarz/i,
+        reaction: /\breakcj/i,
+        repost: /\b(repost|udostępnie)/i
+      },
+      loadMoreTexts: ['Pokaż nowe posty'],
+      countSuffixes: [
+        { pattern: /^(k|tys)$/, factor: 1000 },
+        { pattern: /^(m|mln)$/, factor: 1000000 },
+        { pattern: /^(mld)$/, factor: 1000000000 }
+      ],
+      zeroCountLabels: ['brak komentarzy'],
+      timeUnits: {
+        minute: /^(min|minut|minuty|minutę)$/,
+        hour: /^(godz|g|godzina|godziny|godzin)$/,
+        day: /^(d|dzień|dni)$/,
+        week: /^(tydz|tyg|tydzień|tygodnie|tygodni)$/,
+        month: /^(mies|miesiąc|miesiące|miesięcy)$/,
+        year: /^(r|rok|lata|lat)$/
+      },
+      ui: {
+        collapse: 'Zwiń do plakietki',
+        expandHint: 'Kliknij, aby rozwinąć, przeciągnij, aby przesunąć',
+        resizeHint: 'Przeciągnij, aby zmienić rozmiar',
+        dismissHint: 'Kliknij, aby zamknąć',
+        apply: 'Zastosuj',
+        save: 'Zapisz',
+        add: 'Dodaj',
+        page: {
+          feed: 'Strona główna',
+          hashtag: 'Kanał hashtagu',
+          profile: 'Aktywność profilu',
+          company: 'Posty firmy',
+          search: 'Wyszukiwanie treści',
+          unsupported: 'Comments Scanner nie obsługuje tej strony.\n\nOtwórz jedną z tych stron w tej karcie i uruchom Comments Scanner ponownie:',
+          showMoreResults: 'Pokaż więcej wyników'
+        },
+        status: {
+          found: 'Znaleziono: {count} postów z {threshold}+ komentarzami',
+          rules: ' ({combinator} {count} reguł)',
+          filteredOut: ' | Odfiltrowano: {count}',
+          scan: 'Przewinięcie nr {scroll} — nowe: {found} | Razem: {total}',
+          refiltered: '{message} — przywrócono {added}, usunięto {removed} | Razem: {total}',
+          waiting: 'Oczekiwanie na treści... (próba {retry}/{max})',
+          clicked: 'Kliknięto "{label}" - ładowanie kolejnych postów...',
+          autoPaused: 'Automatyczna pauza po: {reason} | Znaleziono: {count}',
+          stopped: 'Wstrzymano: {reason} | Znaleziono: {count}'
+        },
+        scan: {
+          foundNew: 'Znaleziono nowe posty: {found} (razem {total})',
+          clicked: 'Kliknięto "{label}"',
+          paused: 'Skanowanie wstrzymane',
+          resumed: 'Skanowanie wznowione',
+          autoPaused: "Automatyczne przewijanie wstrzymane po: {reason}. Znaleziono {count} postów z {threshold}+ komentarzami. Kliknij 'Wznów', aby kontynuować.",
+          stopped: "Skaner zatrzymany: {reason}. Dotąd znaleziono {count} postów. Przewiń ręcznie i kliknij 'Wznów' albo wyeksportuj wyniki.",
+          deepScan: 'Głębokie skanowanie: {count} komentarzy z posta {postId}'
+        },
+        reason: {
+          scrolls: 'przewinięcia: {count}',
+          matches: 'nowe trafienia: {count}',
+          minutes: 'minuty: {count}',
+          age: 'dotarcie do postów starszych niż {days} dni',
+          endOfFeed: 'osiągnięto koniec kanału (po {count} próbach)',
+          endOfList: 'osiągnięto koniec listy (po {count} próbach)',
+          scrollBlocked: 'przewijanie zablokowane (po {count} próbach)'
+        },
+        health: {
+          noPosts: 'Nie znaleziono postów na tej stronie - LinkedIn mógł zmienić układ.',
+          noCounts: 'Znaleziono {count} postów, ale nie udało się odczytać liczby komentarzy ani reakcji - LinkedIn mógł zmienić układ.',
+          fallback: 'Niektóre elementy strony znaleziono tylko za pomocą zapasowych selektorów.',
+          exportHint: 'Wyeksportuj diagnostykę z ostrzeżenia i dołącz ją do zgłoszenia błędu.',
+          recovered: 'Kontrola układu strony znów przechodzi.',
+          exportDiagnostics: 'Eksportuj diagnostykę',
+          diagnosticsHint: 'Trafienia selektorów i zanonimizowany kod postów do zgłoszeń błędów',
+          downloaded: 'Pobrano diagnostykę - nazwiska i treści postów są zamaskowane, sprawdź przed udostępnieniem.'
+        },
+        controls: {
+          pause: 'Pauza',
+          resume: 'Wznów',
+          clipboard: 'Schowek',
+          download: 'Pobierz {format}',
+          exportOptions: 'Opcje eksportu',
+          hideExportOptions: 'Ukryj opcje eksportu',
+          showPosts: 'Pokaż posty',
+          hidePosts: 'Ukryj posty',
+          scanSettings: 'Ustawienia skanowania',
+          hideScanSettings: 'Ukryj ustawienia skanowania',
+          webhook: 'Webhook',
+          webhookOn: 'Webhook (wł.)',
+          hideWebhook: 'Ukryj webhook',
+          log: 'Dziennik',
+          hideLog: 'Ukryj dziennik',
+          sessions: 'Sesje',
+          hideSessions: 'Ukryj sesje',
+          rules: 'Reguły ({count})',
+          hideRules: 'Ukryj reguły',
+          filters: 'Filtry ({count})',
+          hideFilters: 'Ukryj filtry'
+        },
+        threshold: {
+          label: 'Min. komentarzy:',
+          custom: 'Własny',
+          changed: 'Próg ustawiony na {threshold}+ komentarzy'
+        },
+        rules: {
+          match: 'Spełnij',
+          all: 'wszystkie warunki (AND)',
+          any: 'dowolny warunek (OR)',
+          threshold: 'komentarze >= {threshold} (próg)',
+          value: 'Wartość',
+          invalid: 'Nieprawidłowa wartość reguły: "{value}"',
+          updated: 'Zaktualizowano reguły filtrowania',
+          types: {
+            comments: 'Komentarze',
+            reactions: 'Reakcje',
+            reposts: 'Udostępnienia',
+            commentRatio: 'Stosunek komentarzy do reakcji',
+            postedWithin: 'Opublikowano w ciągu (godzin)',
+            authorNotIn: 'Autor spoza (oddzielonych przecinkami)'
+          },
+          describe: {
+            comments: 'komentarze {operator} {value}',
+            reactions: 'reakcje {operator} {value}',
+            reposts: 'udostępnienia {operator} {value}',
+            commentRatio: 'komentarze/reakcje {operator} {value}',
+            postedWithin: 'opublikowano w ciągu ostatnich {value} godz.',
+            authorNotIn: 'autor spoza {value}'
+          }
+        },
+        filters: {
+          title: 'Filtry treści (jedno wyrażenie w wierszu)',
+          include: 'Uwzględnij',
+          exclude: 'Wyklucz',
+          keywords: 'Słowa kluczowe',
+          hashtags: 'Hashtagi',
+          authors: 'Autorzy',
+          authorPlaceholder: 'Imię i nazwisko lub URL profilu',
+          regex: 'Słowa kluczowe są wyrażeniami regularnymi',
+          updated: 'Zaktualizowano filtry'
+        },
+        exportOptions: {
+          format: 'Format',
+          formatChanged: 'Format eksportu: {format}',
+          columns: 'Kolumny (schowek i pobieranie)',
+          downloadComments: 'Pobierz komentarze: {count} (CSV)',
+          delimiter: 'Separator',
+          comma: 'Przecinek',
+          semicolon: 'Średnik',
+          tab: 'Tabulator',
+          lineEnding: 'Koniec wiersza',
+          crlf: 'CRLF (Windows)',
+          dates: 'Daty',
+          numbers: 'Liczby',
+          plain: 'Bez formatowania',
+          local: 'Lokalny ({locale})'
+        },
+        exports: {
+          copied: 'Skopiowano wyniki do schowka: {count}!',
+          copiedText: 'Skopiowano do schowka!',
+          copyFailed: 'Kopiowanie nie powiodło się. Skopiuj ręcznie z konsoli.',
+          downloaded: 'Pobrano wyniki: {count}.',
+          noComments: 'Brak zeskanowanych komentarzy - ustaw "Głębokie skanowanie komentarzy" w ustawieniach skanowania.',
+          downloadedComments: 'Pobrano komentarze: {count}.',
+          downloadFailed: 'Pobieranie nie powiodło się. Dane są w konsoli.'
+        },
+        webhook: {
+          enabled: 'Wysyłaj nowe wyniki jako JSON (POST)',
+          url: 'URL punktu końcowego',
+          headerName: 'Nagłówek autoryzacji',
+          headerValue: 'Wartość nagłówka',
+          batchSize: 'Postów na żądanie',
+          queued: 'W kolejce: {count}',
+          retrying: ' (ponawianie)',
+          test: 'Testuj połączenie',
+          urlRequired: 'Podaj adres URL http(s), aby włączyć webhook.',
+          urlMissing: 'Najpierw podaj adres URL.',
+          testSucceeded: 'Test webhooka udany (HTTP {status}).',
+          testFailed: 'Test webhooka nie powiódł się: {error}. Punkt końcowy musi zezwalać na żądania CORS z linkedin.com.',
+          saved: 'Zapisano ustawienia webhooka',
+          queueFull: 'Kolejka webhooka pełna - odrzucono najstarsze posty: {count}',
+          pushed: 'Wysłano posty do {url}: {count}',
+          pushFailed: 'Wysyłanie webhooka nie powiodło się ({error}) - postów w kolejce: {count}, ponowna próba za {seconds} s'
+        },
+        log: {
+          title: 'Dziennik zdarzeń',
+          desktop: 'Powiadomienie przeglądarki po zatrzymaniu skanowania',
+          empty: 'Brak zdarzeń.',
+          unsupported: 'Ta przeglądarka nie obsługuje powiadomień.',
+          denied: 'Przeglądarka nie zezwoliła na powiadomienia.'
+        },
+        scanSettings: {
+          title: 'Tempo i warunki zatrzymania (0 = wył.)',
+          invalid: 'Podaj liczbę dla każdego ustawienia (co najmniej 1 sekunda odstępu i 1 przewinięcie).',
+          saved: 'Zapisano ustawienia skanowania',
+          fields: {
+            intervalSeconds: 'Przewijaj co (sekundy)',
+            jitterSeconds: 'Losowe dodatkowe opóźnienie do (sekundy)',
+            maxScrolls: 'Pauza po przewinięciach',
+            stopAfterMatches: 'Stop po nowych trafieniach',
+            stopAfterMinutes: 'Stop po minutach',
+            stopAtAgeDays: 'Stop na postach starszych niż (dni)',
+            deepScanPages: 'Głębokie skanowanie komentarzy, kliknięcia "wczytaj więcej"'
+          }
+        },
+        sessions: {
+          title: 'Zapisane sesje',
+          empty: 'Brak zapisanych sesji.',
+          row: '{started} — {threshold}+ — postów: {count}',
+          current: ' (bieżąca)',
+          open: 'Otwórz',
+          export: 'Eksportuj',
+          delete: 'Usuń',
+          confirmDelete: 'Usunąć tę zapisaną sesję?',
+          keep: 'Zachowaj',
+          unavailable: 'Zapisane sesje nie są dostępne w tej przeglądarce',
+          opened: 'Otwarto sesję z {started} | Razem: {count}',
+          resume: 'Wznowić ostatnią sesję Comments Scanner?',
+          resumeDetails: 'Strona: {page} · Rozpoczęta: {started} · Znaleziono: {count} postów z {threshold}+ komentarzami',
+          resumeWaiting: 'Wznów ostatnią sesję lub rozpocznij nową, aby zacząć skanowanie',
+          startNew: 'Nowa sesja'
+        },
+        results: {
+          search: 'Szukaj autora, tekstu, hashtagu…',
+          sortDirection: 'Odwróć kolejność sortowania',
+          sorts: {
+            found: 'Czas znalezienia',
+            comments: 'Komentarze',
+            reactions: 'Reakcje',
+            velocity: 'Tempo komentarzy',
+            author: 'Autor'
+          },
+          noMatch: 'Brak wyników dla "{search}".',
+          previous: '‹ Poprzednia',
+          next: 'Następna ›',
+          page: 'Strona {page} / {pages} (postów: {count})',
+          open: 'Otwórz post ID: {postId} — komentarze: {comments}',
+          pin: 'Przypnij na górze',
+          unpin: 'Odepnij',
+          copyLink: 'Kopiuj link',
+          remove: 'Usuń z wyników',
+          pinned: 'Przypięto post {postId}',
+          unpinned: 'Odpięto post {postId}',
+          linkCopied: 'Skopiowano link do posta {postId}',
+          removed: 'Usunięto post {postId} | Razem: {total}',
+          unknownAuthor: 'Nieznany autor',
+          reactions: 'reakcje: {count}',
+          reposts: 'udostępnienia: {count}',
+          velocity: '{velocity} komentarzy/godz.',
+          observations: ' (obserwacje: {count} od {since})',
+          scannedComments: 'zeskanowane komentarze: {count}',
+          mostLiked: ' — najbardziej lubiane: {names}',
+          showMore: 'Pokaż więcej',
+          showLess: 'Pokaż mniej'
+        },
+        media: {
+          text: 'tekst',
+          image: 'obraz',
+          video: 'wideo',
+          document: 'dokument',
+          article: 'artykuł',
+          poll: 'ankieta'
+        }
+      }
+    },
+    sv: {
+      name: 'Svenska',
+      decimalComma: true,
+      labels: {
+        comment: /\bkommentar(er)?\b/i,
+        reaction: /\breaktion(er)?\b/i,
+        repost: /\b(reposts?|delningar)\b/i
+      },
+      loadMoreTexts: ['Visa nya inlägg'],
+      countSuffixes: [
+        { pattern: /^(k|tn)$/, factor: 1000 },
+        { pattern: /^(m|mn|milj)$/, factor: 1000000 },
+        { pattern: /^(md|mdr)$/, factor: 1000000000 }
+      ],
+      zeroCountLabels: ['inga kommentarer'],
+      timeUnits: {
+        minute: /^(min|minut|minuter)$/,
+        hour: /^(t|tim|timme|timmar)$/,
+        day: /^(d|dag|dagar)$/,
+        week: /^(v|vecka|veckor)$/,
+        month: /^(mån|månad|månader)$/,
+        year: /^(år)$/
+      },
+      ui: {
+        collapse: 'Fäll ihop till en bricka',
+        expandHint: 'Klicka för att fälla ut, dra för att flytta',
+        resizeHint: 'Dra för att ändra storlek',
+        dismissHint: 'Klicka för att stänga',
+        apply: 'Använd',
+        save: 'Spara',
+        add: 'Lägg till',
+        page: {
+          feed: 'Startflöde',
+          hashtag: 'Hashtaggflöde',
+          profile: 'Profilaktivitet',
+          company: 'Företagsinlägg',
+          search: 'Innehållssökning',
+          unsupported: 'Comments Scanner stöder inte den här sidan.\n\nÖppna någon av dessa sidor i den här fliken och starta Comments Scanner igen:',
+          showMoreResults: 'Visa fler resultat'
+        },
+        status: {
+          found: 'Hittade: {count} inlägg med {threshold}+ kommentarer',
+          rules: ' ({combinator} {count} regler)',
+          filteredOut: ' | Bortfiltrerade: {count}',
+          scan: 'Skroll #{scroll} — {found} nya | Totalt: {total}',
+          refiltered: '{message} — {added} återställda, {removed} borttagna | Totalt: {total}',
+          waiting: 'Väntar på innehåll... (försök {retry}/{max})',
+          clicked: 'Klickade på "{label}" - laddar fler inlägg...',
+          autoPaused: 'Pausade automatiskt efter {reason} | Hittade: {count}',
+          stopped: 'Pausad: {reason} | Hittade: {count}'
+        },
+        scan: {
+          foundNew: 'Hittade {found} nya inlägg (totalt {total})',
+          clicked: 'Klickade på "{label}"',
+          paused: 'Skanningen pausad',
+          resumed: 'Skanningen återupptagen',
+          autoPaused: "Automatisk skrollning pausad efter {reason}. Hittade {count} inlägg med {threshold}+ kommentarer. Klicka på 'Fortsätt' för att fortsätta.",
+          stopped: "Skannern stoppad: {reason}. {count} inlägg hittade hittills. Skrolla vidare manuellt och klicka på 'Fortsätt', eller exportera resultaten.",
+          deepScan: 'Djupskanning: {count} kommentarer från inlägg {postId}'
+        },
+        reason: {
+          scrolls: '{count} skrollningar',
+          matches: '{count} nya träffar',
+          minutes: '{count} minuter',
+          age: 'att inlägg äldre än {days} dagar nåddes',
+          endOfFeed: 'slutet av flödet nått (efter {count} försök)',
+          endOfList: 'slutet av listan nått (efter {count} försök)',
+          scrollBlocked: 'skrollningen blockerad (efter {count} försök)'
+        },
+        health: {
+          noPosts: 'Inga inlägg hittades på sidan - LinkedIn kan ha ändrat sin layout.',
+          noCounts: '{count} inlägg hittades, men inget antal kommentarer eller reaktioner kunde läsas - LinkedIn kan ha ändrat sin layout.',
+          fallback: 'Vissa sidelement hittades bara med reservselektorer.',
+          exportHint: 'Exportera diagnostiken från varningen och bifoga den till en felrapport.',
+          recovered: 'Layoutkontrollen godkänns igen.',
+          exportDiagnostics: 'Exportera diagnostik',
+          diagnosticsHint: 'Selektorträffar och anonymiserad inläggsmarkup för felrapporter',
+          downloaded: 'Diagnostik nedladdad - namn och inläggstexter är maskerade, kontrollera innan du delar.'
+        },
+        controls: {
+          pause: 'Pausa',
+          resume: 'Fortsätt',
+          clipboard: 'Urklipp',
+          download: 'Ladda ned {format}',
+          exportOptions: 'Exportalternativ',
+          hideExportOptions: 'Dölj exportalternativ',
+          showPosts: 'Visa inlägg',
+          hidePosts: 'Dölj inlägg',
+          scanSettings: 'Skanningsinställningar',
+          hideScanSettings: 'Dölj skanningsinställningar',
+          webhook: 'Webhook',
+          webhookOn: 'Webhook (på)',
+          hideWebhook: 'Dölj webhook',
+          log: 'Logg',
+          hideLog: 'Dölj logg',
+          sessions: 'Sessioner',
+          hideSessions: 'Dölj sessioner',
+          rules: 'Regler ({count})',
+          hideRules: 'Dölj regler',
+          filters: 'Filter ({count})',
+          hideFilters: 'Dölj filter'
+        },
+        threshold: {
+          label: 'Min. kommentarer:',
+          custom: 'Eget',
+          changed: 'Tröskeln satt till {threshold}+ kommentarer'
+        },
+        rules: {
+          match: 'Uppfyll',
+          all: 'alla villkor (AND)',
+          any: 'något villkor (OR)',
+          threshold: 'kommentarer >= {threshold} (tröskel)',
+          value: 'Värde',
+          invalid: 'Ogiltigt regelvärde: "{value}"',
+          updated: 'Filterreglerna uppdaterade',
+          types: {
+            comments: 'Kommentarer',
+            reactions: 'Reaktioner',
+            reposts: 'Delningar',
+            commentRatio: 'Kvot kommentarer/reaktioner',
+            postedWithin: 'Publicerat inom (timmar)',
+            authorNotIn: 'Författare inte bland (kommaseparerade)'
+          },
+          describe: {
+            comments: 'kommentarer {operator} {value}',
+            reactions: 'reaktioner {operator} {value}',
+            reposts: 'delningar {operator} {value}',
+            commentRatio: 'kommentarer/reaktioner {operator} {value}',
+            postedWithin: 'publicerat de senaste {value} t',
+            authorNotIn: 'författare inte bland {value}'
+          }
+        },
+        filters: {
+          title: 'Innehållsfilter (en term per rad)',
+          include: 'Inkludera',
+          exclude: 'Exkludera',
+          keywords: 'Nyckelord',
+          hashtags: 'Hashtaggar',
+          authors: 'Författare',
+          authorPlaceholder: 'Namn eller profil-URL',
+          regex: 'Nyckelorden är reguljära uttryck',
+          updated: 'Filtren uppdaterade'
+        },
+        exportOptions: {
+          format: 'Format',
+          formatChanged: 'Exportformat: {format}',
+          columns: 'Kolumner (urklipp och nedladdning)',
+          downloadComments: 'Ladda ned {count} kommentarer (CSV)',
+          delimiter: 'Avgränsare',
+          comma: 'Komma',
+          semicolon: 'Semikolon',
+          tab: 'Tabb',
+          lineEnding: 'Radslut',
+          crlf: 'CRLF (Windows)',
+          dates: 'Datum',
+          numbers: 'Tal',
+          plain: 'Oformaterat',
+          local: 'Lokalt ({locale})'
+        },
+        exports: {
+          copied: '{count} resultat kopierade till urklipp!',
+          copiedText: 'Kopierat till urklipp!',
+          copyFailed: 'Kopieringen misslyckades. Kopiera manuellt från konsolen.',
+          downloaded: '{count} resultat nedladdade.',
+          noComments: 'Inga skannade kommentarer än - ställ in "Djupskanning av kommentarer" under skanningsinställningar.',
+          downloadedComments: '{count} kommentarer nedladdade.',
+          downloadFailed: 'Nedladdningen misslyckades. Datan finns i konsolen.'
+        },
+        webhook: {
+          enabled: 'Skicka nya resultat som JSON (POST)',
+          url: 'Slutpunkts-URL',
+          headerName: 'Auth-header',
+          headerValue: 'Headervärde',
+          batchSize: 'Inlägg per anrop',
+          queued: 'I kö: {count}',
+          retrying: ' (försöker igen)',
+          test: 'Testa anslutningen',
+          urlRequired: 'Ange en http(s)-URL för att aktivera webhooken.',
+          urlMissing: 'Ange en slutpunkts-URL först.',
+          testSucceeded: 'Webhooktestet lyckades (HTTP {status}).',
+          testFailed: 'Webhooktestet misslyckades: {error}. Slutpunkten måste tillåta CORS-anrop från linkedin.com.',
+          saved: 'Webhookinställningarna sparade',
+          queueFull: 'Webhookkön full - {count} äldsta inlägg kastades',
+          pushed: 'Skickade {count} inlägg till {url}',
+          pushFailed: 'Webhooksändningen misslyckades ({error}) - {count} inlägg i kö, nytt försök om {seconds} s'
+        },
+        log: {
+          title: 'Händelselogg',
+          desktop: 'Webbläsaravisering när en skanning stoppar',
+          empty: 'Inga händelser än.',
+          unsupported: 'Den här webbläsaren stöder inte aviseringar.',
+          denied: 'Webbläsaren tillät inte aviseringar.'
+        },
+        scanSettings: {
+          title: 'Tempo och stoppvillkor (0 = av)',
+          invalid: 'Ange ett tal för varje inställning (minst 1 sekunds intervall och 1 skrollning).',
+          saved: 'Skanningsinställningarna sparade',
+          fields: {
+            intervalSeconds: 'Skrolla var (sekunder)',
+            jitterSeconds: 'Slumpmässig extra fördröjning upp till (sekunder)',
+            maxScrolls: 'Pausa efter skrollningar',
+            stopAfterMatches: 'Stoppa efter nya träffar',
+            stopAfterMinutes: 'Stoppa efter minuter',
+            stopAtAgeDays: 'Stoppa vid inlägg äldre än (dagar)',
+            deepScanPages: 'Djupskanning av kommentarer, klick på "läs in fler"'
+          }
+        },
+        sessions: {
+          title: 'Sparade sessioner',
+          empty: 'Inga sparade sessioner än.',
+          row: '{started} — {threshold}+ — {count} inlägg',
+          current: ' (aktuell)',
+          open: 'Öppna',
+          export: 'Exportera',
+          delete: 'Ta bort',
+          confirmDelete: 'Ta bort den här sparade sessionen?',
+          keep: 'Behåll',
+          unavailable: 'Sparade sessioner är inte tillgängliga i den här webbläsaren',
+          opened: 'Öppnade sessionen från {started} | Totalt: {count}',
+          resume: 'Fortsätta din senaste Comments Scanner-session?',
+          resumeDetails: 'Sida: {page} · Startad: {started} · Hittade: {count} inlägg med {threshold}+ kommentarer',
+          resumeWaiting: 'Fortsätt den senaste sessionen eller starta en ny för att börja skanna',
+          startNew: 'Ny session'
+        },
+        results: {
+          search: 'Sök författare, text, hashtagg…',
+          sortDirection: 'Vänd sorteringsordningen',
+          sorts: {
+            found: 'Tidpunkt hittad',
+            comments: 'Kommentarer',
+            reactions: 'Reaktioner',
+            velocity: 'Kommentarstakt',
+            author: 'Författare'
+          },
+          noMatch: 'Inga resultat för "{search}".',
+          previous: '‹ Föregående',
+          next: 'Nästa ›',
+          page: 'Sida {page} / {pages} ({count} inlägg)',
+          open: 'Öppna inlägg ID: {postId} — {comments} kommentarer',
+          pin: 'Fäst överst',
+          unpin: 'Lossa',
+          copyLink: 'Kopiera länk',
+          remove: 'Ta bort från resultaten',
+          pinned: 'Fäste inlägg {postId}',
+          unpinned: 'Lossade inlägg {postId}',
+          linkCopied: 'Kopierade länken till inlägg {postId}',
+          removed: 'Tog bort inlägg {postId} | Totalt: {total}',
+          unknownAuthor: 'Okänd författare',
+          reactions: '{count} reaktioner',
+          reposts: '{count} delningar',
+          velocity: '{velocity} kommentarer/t',
+          observations: ' ({count} observationer sedan {since})',
+          scannedComments: '{count} kommentarer skannade',
+          mostLiked: ' — mest gillade: {names}',
+          showMore: 'Visa mer',
+          showLess: 'Visa mindre'
+        },
+        media: {
+          text: 'text',
+          image: 'bild',
+          video: 'video',
+          document: 'dokument',
+          article: 'artikel',
+          poll: 'omröstning'
+        }
+      }
+    },
+    tr: {
+      name: 'Türkçe',
+      decimalComma: true,
+      labels: {
+        comment: /\byorum/i,
+        reaction: /\btepki/i,
+        repost: /\b(repost|yeniden paylaş)/i
+      },
+      loadMoreTexts: ['Yeni gönderileri göster'],
+      // "B" is thousand ("bin") here, not billion
+      countSuffixes: [
+        { pattern: /^(k|b|bin)$/, factor: 1000 },
+        { pattern: /^(m|mn|milyon)$/, factor: 1000000 },
+        { pattern: /^(mr|mlr|milyar)$/, factor: 1000000000 }
+      ],
+      zeroCountLabels: ['yorum yok'],
+      timeUnits: {
+        minute: /^(dk|dakika)$/,
+        hour: /^(sa|st|saat)$/,
+        day: /^(g|gün)$/,
+        week: /^(hf|hafta)$/,
+        month: /^(ay)$/,
+        year: /^(y|yıl)$/
+      },
+      ui: {
+        collapse: 'Rozete küçült',
+        expandHint: 'Genişletmek için tıklayın, taşımak için sürükleyin',
+        resizeHint: 'Boyutlandırmak için sürükleyin',
+        dismissHint: 'Kapatmak için tıklayın',
+        apply: 'Uygula',
+        save: 'Kaydet',
+        add: 'Ekle',
+        page: {
+          feed: 'Ana akış',
+          hashtag: 'Hashtag akışı',
+          profile: 'Profil etkinliği',
+          company: 'Şirket gönderileri',
+          search: 'İçerik araması',
+          unsupported: "Comments Scanner bu sayfayı desteklemiyor.\n\nBu sekmede şu sayfalardan birini açın ve Comments Scanner'ı yeniden başlatın:",
+          showMoreResults: 'Daha fazla sonuç göster'
+        },
+        status: {
+          found: 'Bulunan: {threshold}+ yorumlu {count} gönderi',
+          rules: ' ({combinator} {count} kural)',
+          filteredOut: ' | Filtrelenen: {count}',
+          scan: 'Kaydırma #{scroll} — {found} yeni | Toplam: {total}',
+          refiltered: '{message} — {added} geri alındı, {removed} kaldırıldı | Toplam: {total}',
+          waiting: 'İçerik bekleniyor... (deneme {retry}/{max})',
+          clicked: '"{label}" tıklandı - daha fazla gönderi yükleniyor...',
+          autoPaused: '{reason} sonrasında otomatik duraklatıldı | Bulunan: {count}',
+          stopped: 'Duraklatıldı: {reason} | Bulunan: {count}'
+        },
+        scan: {
+          foundNew: '{found} yeni gönderi bulundu (toplam {total})',
+          clicked: '"{label}" tıklandı',
+          paused: 'Tarama duraklatıldı',
+          resumed: 'Tarama sürdürüldü',
+          autoPaused: "Otomatik kaydırma {reason} sonrasında duraklatıldı. {threshold}+ yorumlu {count} gönderi bulundu. Devam etmek için 'Sürdür'e tıklayın.",
+          stopped: "Tarayıcı durdu: {reason}. Şu ana kadar {count} gönderi bulundu. Elle kaydırıp 'Sürdür'e tıklayın veya sonuçları dışa aktarın.",
+          deepScan: 'Derin tarama: {postId} gönderisinden {count} yorum'
+        },
+        reason: {
+          scrolls: '{count} kaydırma',
+          matches: '{count} yeni eşleşme',
+          minutes: '{count} dakika',
+          age: '{days} günden eski gönderilere ulaşılması',
+          endOfFeed: 'akışın sonuna ulaşıldı ({count} denemeden sonra)',
+          endOfList: 'listenin sonuna ulaşıldı ({count} denemeden sonra)',
+          scrollBlocked: 'kaydırma engellendi ({count} denemeden sonra)'
+        },
+        health: {
+          noPosts: 'Bu sayfada gönderi bulunamadı - LinkedIn düzenini değiştirmiş olabilir.',
+          noCounts: '{count} gönderi bulundu ancak hiçbirinin yorum veya tepki sayısı okunamadı - LinkedIn düzenini değiştirmiş olabilir.',
+          fallback: 'Bazı sayfa öğeleri yalnızca yedek seçicilerle bulundu.',
+          exportHint: 'Tanılamayı uyarıdan dışa aktarın ve bir hata raporuna ekleyin.',
+          recovered: 'Sayfa düzeni denetimi yeniden başarılı.',
+          exportDiagnostics: 'Tanılamayı dışa aktar',
+          diagnosticsHint: 'Hata raporları için seçici eşleşmeleri ve anonimleştirilmiş gönderi işaretlemesi',
+          downloaded: 'Tanılama indirildi - adlar ve gönderi metinleri maskelendi, paylaşmadan önce kontrol edin.'
+        },
+        controls: {
+          pause: 'Duraklat',
+          resume: 'Sürdür',
+          clipboard: 'Pano',
+          download: '{format} indir',
+          exportOptions: 'Dışa aktarma seçenekleri',
+          hideExportOptions: 'Dışa aktarma seçeneklerini gizle',
+          showPosts: 'Gönderileri göster',
+          hidePosts: 'Gönderileri gizle',
+          scanSettings: 'Tarama ayarları',
+          hideScanSettings: 'Tarama ayarlarını gizle',
+          webhook: 'Webhook',
+          webhookOn: 'Webhook (açık)',
+          hideWebhook: "Webhook'u gizle",
+          log: 'Günlük',
+          hideLog: 'Günlüğü gizle',
+          sessions: 'Oturumlar',
+          hideSessions: 'Oturumları gizle',
+          rules: 'Kurallar ({count})',
+          hideRules: 'Kuralları gizle',
+          filters: 'Filtreler ({count})',
+          hideFilters: 'Filtreleri gizle'
+        },
+        threshold: {
+          label: 'Min. yorum:',
+          custom: 'Özel',
+          changed: 'Eşik {threshold}+ yorum olarak ayarlandı'
+        },
+        rules: {
+          match: 'Eşleşme',
+          all: 'tüm koşullar (AND)',
+          any: 'herhangi bir koşul (OR)',
+          threshold: 'yorumlar >= {threshold} (eşik)',
+          value: 'Değer',
+          invalid: 'Geçersiz kural değeri: "{value}"',
+          updated: 'Filtre kuralları güncellendi',
+          types: {
+            comments: 'Yorumlar',
+            reactions: 'Tepkiler',
+            reposts: 'Yeniden paylaşımlar',
+            commentRatio: 'Yorum/tepki oranı',
+            postedWithin: 'Şu süre içinde yayınlandı (saat)',
+            authorNotIn: 'Yazar şunlardan değil (virgülle ayrılmış)'
+          },
+          describe: {
+            comments: 'yorumlar {operator} {value}',
+            reactions: 'tepkiler {operator} {value}',
+            reposts: 'yeniden paylaşımlar {operator} {value}',
+            commentRatio: 'yorumlar/tepkiler {operator} {value}',
+            postedWithin: 'son {value} saatte yayınlandı',
+            authorNotIn: 'yazar şunlardan değil: {value}'
+          }
+        },
+        filters: {
+          title: 'İçerik filtreleri (satır başına bir terim)',
+          include: 'Dahil et',
+          exclude: 'Hariç tut',
+          keywords: 'Anahtar kelimeler',
+          hashtags: 'Hashtagler',
+          authors: 'Yazarlar',
+          authorPlaceholder: 'Ad veya profil URL’si',
+          regex: 'Anahtar kelimeler düzenli ifadedir',
+          updated: 'Filtreler güncellendi'
+        },
+        exportOptions: {
+          format: 'Biçim',
+          formatChanged: 'Dışa aktarma biçimi: {format}',
+          columns: 'Sütunlar (pano ve indirme)',
+          downloadComments: '{count} yorumu indir (CSV)',
+          delimiter: 'Ayırıcı',
+          comma: 'Virgül',
+          semicolon: 'Noktalı virgül',
+          tab: 'Sekme',
+          lineEnding: 'Satır sonu',
+          crlf: 'CRLF (Windows)',
+          dates: 'Tarihler',
+          numbers: 'Sayılar',
+          plain: 'Düz',
+          local: 'Yerel ({locale})'
+        },
+        exports: {
+          copied: '{count} sonuç panoya kopyalandı!',
+          copiedText: 'Panoya kopyalandı!',
+          copyFailed: 'Kopyalama başarısız. Lütfen konsoldan elle kopyalayın.',
+          downloaded: '{count} sonuç indirildi.',
+          noComments: 'Henüz taranmış yorum yok - Tarama ayarlarında "Derin yorum taraması"nı ayarlayın.',
+          downloadedComments: '{count} yorum indirildi.',
+          downloadFailed: 'İndirme başarısız. Veriler konsolda.'
+        },
+        webhook: {
+          enabled: 'Yeni sonuçları JSON olarak gönder (POST)',
+          url: 'Uç nokta URL’si',
+          headerName: 'Kimlik doğrulama başlığı',
+          headerValue: 'Başlık değeri',
+          batchSize: 'İstek başına gönderi',
+          queued: 'Kuyrukta: {count}',
+          retrying: ' (yeniden deneniyor)',
+          test: 'Bağlantıyı test et',
+          urlRequired: "Webhook'u etkinleştirmek için bir http(s) uç nokta URL’si girin.",
+          urlMissing: 'Önce bir uç nokta URL’si girin.',
+          testSucceeded: 'Webhook testi başarılı (HTTP {status}).',
+          testFailed: "Webhook testi başarısız: {error}. Uç nokta linkedin.com'dan gelen CORS isteklerine izin vermelidir.",
+          saved: 'Webhook ayarları kaydedildi',
+          queueFull: 'Webhook kuyruğu dolu - en eski {count} gönderi atıldı',
+          pushed: '{count} gönderi {url} adresine gönderildi',
+          pushFailed: 'Webhook gönderimi başarısız ({error}) - kuyrukta {count} gönderi, {seconds} sn sonra yeniden denenecek'
+        },
+        log: {
+          title: 'Olay günlüğü',
+          desktop: 'Tarama durduğunda tarayıcı bildirimi',
+          empty: 'Henüz olay yok.',
+          unsupported: 'Bu tarayıcı bildirimleri desteklemiyor.',
+          denied: 'Tarayıcı bildirimlere izin vermedi.'
+        },
+        scanSettings: {
+          title: 'Hız ve durdurma koşulları (0 = kapalı)',
+          invalid: 'Her ayar için bir sayı girin (en az 1 saniye aralık ve 1 kaydırma).',
+          saved: 'Tarama ayarları kaydedildi',
+          fields: {
+            intervalSeconds: 'Kaydırma aralığı (saniye)',
+            jitterSeconds: 'Rastgele ek gecikme üst sınırı (saniye)',
+            maxScrolls: 'Şu kadar kaydırmadan sonra duraklat',
+            stopAfterMatches: 'Şu kadar yeni eşleşmeden sonra durdur',
+            stopAfterMinutes: 'Şu kadar dakikadan sonra durdur',
+            stopAtAgeDays: 'Şundan eski gönderilerde durdur (gün)',
+            deepScanPages: 'Derin yorum taraması, "daha fazla yükle" tıklamaları'
+          }
+        },
+        sessions: {
+          title: 'Kayıtlı oturumlar',
+          empty: 'Henüz kayıtlı oturum yok.',
+          row: '{started} — {threshold}+ — {count} gönderi',
+          current: ' (geçerli)',
+          open: 'Aç',
+          export: 'Dışa aktar',
+          delete: 'Sil',
+          confirmDelete: 'Bu kayıtlı oturum silinsin mi?',
+          keep: 'Sakla',
+          unavailable: 'Kayıtlı oturumlar bu tarayıcıda kullanılamıyor',
+          opened: '{started} tarihli oturum açıldı | Toplam: {count}',
+          resume: 'Son Comments Scanner oturumunuz sürdürülsün mü?',
+          resumeDetails: 'Sayfa: {page} · Başlangıç: {started} · Bulunan: {threshold}+ yorumlu {count} gönderi',
+          resumeWaiting: 'Taramaya başlamak için son oturumu sürdürün veya yeni bir oturum başlatın',
+          startNew: 'Yeni oturum'
+        },
+        results: {
+          search: 'Yazar, metin, hashtag ara…',
+          sortDirection: 'Sıralama yönünü değiştir',
+          sorts: {
+            found: 'Bulunma zamanı',
+            comments: 'Yorumlar',
+            reactions: 'Tepkiler',
+            velocity: 'Yorum hızı',
+            author: 'Yazar'
+          },
+          noMatch: '"{search}" için sonuç yok.',
+          previous: '‹ Önceki',
+          next: 'Sonraki ›',
+          page: 'Sayfa {page} / {pages} ({count} gönderi)',
+          open: 'Gönderiyi aç ID: {postId} — {comments} yorum',
+          pin: 'En üste sabitle',
+          unpin: 'Sabitlemeyi kaldır',
+          copyLink: 'Bağlantıyı kopyala',
+          remove: 'Sonuçlardan kaldır',
+          pinned: '{postId} gönderisi sabitlendi',
+          unpinned: '{postId} gönderisinin sabitlemesi kaldırıldı',
+          linkCopied: '{postId} gönderisinin bağlantısı kopyalandı',
+          removed: '{postId} gönderisi kaldırıldı | Toplam: {total}',
+          unknownAuthor: 'Bilinmeyen yazar',
+          reactions: '{count} tepki',
+          reposts: '{count} yeniden paylaşım',
+          velocity: '{velocity} yorum/sa',
+          observations: ' ({since} tarihinden beri {count} gözlem)',
+          scannedComments: '{count} yorum tarandı',
+          mostLiked: ' — en çok beğenilen: {names}',
+          showMore: 'Daha fazla göster',
+          showLess: 'Daha az göster'
+        },
+        media: {
+          text: 'metin',
+          image: 'görsel',
+          video: 'video',
+          document: 'belge',
+          article: 'makale',
+          poll: 'anket'
+        }
+      }
+    }
+  };
+
+  // Localized page vocabulary and overlay strings
+  const I18n = {
+    merged: new Map(),  // getPack() results by pack
+
+    // Two-letter code of the page language, "en" when there is no pack for it
+    getLanguage() {
+      const language = (document.documentElement.lang || navigator.language || 'en').slice(0, 2).toLowerCase();
+      return LANGUAGE_PACKS[language] ? language : 'en';
+    },
+
+    // The pack merged over English: entries it leaves out (and single kinds in labels) come from "en".
+    // ui strings are looked up one by one in t() instead
+    getPack(language) {
+      const code = (language || I18n.getLanguage()).slice(0, 2).toLowerCase();
+      const pack = LANGUAGE_PACKS[code] || LANGUAGE_PACKS.en;
+      if (!I18n.merged.has(pack)) {
+        I18n.merged.set(pack, Object.assign({}, LANGUAGE_PACKS.en, pack, {
+          labels: Object.assign({}, LANGUAGE_PACKS.en.labels, pack.labels)
+        }));
+      }
+      return I18n.merged.get(pack);
+    },
+
+    // Overlay string by dot path ("status.found"), "{name}" placeholders filled from params
+    t(key, params) {
+      let text = I18n.lookup(I18n.getPack().ui, key);
+      if (typeof text !== 'string') text = I18n.lookup(LANGUAGE_PACKS.en.ui, key);
+      if (typeof text !== 'string') return key;
+      return text.replace(/\{(\w+)\}/g, function(placeholder, name) {
+        return params && params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder;
+      });
+    },
+
+    lookup(strings, key) {
+      return key.split('.').reduce(function(node, part) { return node && node[part]; }, strings);
+    },
+
+    // Whether an aria-label or button text names that kind of count ("comment", "reaction", "repost")
+    hasLabel(text, kind) {
+      const pattern = I18n.getPack().labels[kind];
+      return !!pattern && pattern.test(text || '');
+    }
+  };
+
   // Application state
   class ScannerState {
     constructor() {
       this.scrollCount = 0;
-      this.scrollInterval = null;
       this.results = [];
       this.seenPostIds = new Set();
+      this.observedPosts = new Map();   // Post records by ID, whether or not they passed the threshold
       this.postsVisible = true;
-      this.paused = false;
       this.isMinimized = false;
+      this.isPill = false;              // Collapsed to a small badge with the result count
       this.overlayPosition = this.getSavedPosition();
-      this.scrollFailureDetected = false;
       this.scrollRetryCount = 0;        // NEW: Track retries
       this.lastScrollHeight = 0;        // NEW: Track page growth
       this.mutationObserver = null;     // NEW: For content detection
       this.contentLoaded = false;       // NEW: Flag for new content
       this.commentThreshold = this.getSavedThreshold();  // NEW: User-selectable threshold
+      this.filterRules = FilterRules.load();
+      this.rulesVisible = false;
+      this.contentFilters = ContentFilters.load();
+      this.filtersVisible = false;
+      this.excludedPostIds = new Set();  // Passed the threshold/rules but removed by content filters
+      this.archive = new Map();         // Review status entries by post ID across sessions (see Archive)
+      this.hideReviewed = this.getSavedHideReviewed();
+      this.reviewedPostIds = new Set();  // Matching posts hidden because they already have a review status
+      this.archiveVisible = false;
+      this.importBaseline = new Map();  // Counts per post ID from imported files, compared with the current results
+      this.importVisible = false;
+      this.insightsVisible = false;
+      this.totalScrolls = 0;            // Unlike scrollCount, not reset on resume
+      this.scanSettings = ScanSettings.load();
+      this.scanSettingsVisible = false;
+      this.eventLog = [];               // Recent scanner events, newest first
+      this.logVisible = false;
+      this.desktopNotifications = this.getSavedDesktopNotifications();
+      this.webhookSettings = Webhook.load();
+      this.webhookQueue = Webhook.loadQueue();  // Posts waiting to be pushed, survives reloads
+      this.webhookVisible = false;
+      this.resultListeners = [];
+      this.announcedPostIds = new Set(); // Results the listeners were called for, or that came with a loaded session
+      this.deepScanQueue = [];          // IDs of results whose comments are still to be scanned
+      this.runStartedAt = 0;            // Start of the current run (scanner start or last resume)
+      this.runStartResultCount = 0;
+      this.oldestPostedAt = null;       // Oldest post time seen in the current run, for the age stop condition
+      this.postHistory = new Map();     // Observations per post ID across sessions
+      this.dirtyHistoryIds = new Set();
+      this.resultSort = 'found';
+      this.resultSortDesc = true;
+      this.resultSearch = '';
+      this.resultPage = 0;
+      this.exportFormat = this.getSavedExportFormat();
+      this.exportColumns = this.getSavedExportColumns();
+      this.csvOptions = this.getSavedCsvOptions();
+      this.exportOptionsVisible = false;
+      this.sessionId = null;            // IndexedDB session key
+      this.sessionStartedAt = null;
+      this.sessions = [];               // Past session summaries for the overlay
+      this.sessionsVisible = false;
+      this.sessionToDelete = null;      // Session ID whose row asks to confirm the delete
     }
 
+    // dock is 'left', 'right' or null (free position at left/top), height null means fit content
     getSavedPosition() {
+      const position = { dock: 'right', left: 0, top: CONFIG.OVERLAY_EDGE_MARGIN, width: CONFIG.OVERLAY_WIDTH, height: null };
       try {
-        return localStorage.getItem('scannerOverlayPosition') || 'right';
-      } catch (e) {
-        return 'right';
-      }
+        const saved = localStorage.getItem('scannerOverlayPosition');
+        // Older versions stored only the side
+        if (saved === 'left' || saved === 'right') {
+          position.dock = saved;
+        } else if (saved) {
+          const parsed = JSON.parse(saved);
+          for (const key in position) {
+            if (Object.prototype.hasOwnProperty.call(parsed, key)) position[key] = parsed[key];
+          }
+        }
+      } catch (e) {}
+      return position;
+    }
+
+    setOverlayPosition(changes) {
+      Object.assign(this.overlayPosition, changes);
+      try {
+        localStorage.setItem('scannerOverlayPosition', JSON.stringify(this.overlayPosition));
+      } catch (e) {}
     }
 
     getSavedThreshold() {
       try {
         const saved = parseInt(localStorage.getItem('scannerCommentThreshold'), 10);
-        if (CONFIG.COMMENT_THRESHOLDS.indexOf(saved) !== -1) {
+        if (saved >= 0) {
           return saved;
         }
       } catch (e) {}
@@ -99,40 +3225,393 @@
     }
 
     setThreshold(value) {
-      if (CONFIG.COMMENT_THRESHOLDS.indexOf(value) !== -1) {
-        this.commentThreshold = value;
-        try {
-          localStorage.setItem('scannerCommentThreshold', value);
-        } catch (e) {}
+      value = parseInt(value, 10);
+      if (!(value >= 0)) return false;
+
+      this.commentThreshold = value;
+      try {
+        localStorage.setItem('scannerCommentThreshold', value);
+      } catch (e) {}
+      return true;
+    }
+
+    getSavedExportFormat() {
+      try {
+        const saved = localStorage.getItem('scannerExportFormat');
+        if (saved && Exporters.FORMATS[saved]) {
+          return saved;
+        }
+      } catch (e) {}
+      return 'csv';
+    }
+
+    setExportFormat(format) {
+      if (!Exporters.FORMATS[format]) return;
+      this.exportFormat = format;
+      try {
+        localStorage.setItem('scannerExportFormat', format);
+      } catch (e) {}
+    }
+
+    getSavedExportColumns() {
+      try {
+        const saved = JSON.parse(localStorage.getItem('scannerExportColumns'));
+        if (Array.isArray(saved) && saved.length) {
+          return saved;
+        }
+      } catch (e) {}
+      return Exporters.COLUMNS.map(function(column) { return column.key; });
+    }
+
+    setExportColumns(keys) {
+      this.exportColumns = keys;
+      try {
+        localStorage.setItem('scannerExportColumns', JSON.stringify(keys));
+      } catch (e) {}
+    }
+
+    getSavedCsvOptions() {
+      const options = Exporters.getDefaultCsvOptions();
+      try {
+        const saved = JSON.parse(localStorage.getItem('scannerCsvOptions'));
+        for (const key in saved) {
+          if (Object.prototype.hasOwnProperty.call(options, key)) {
+            options[key] = saved[key];
+          }
+        }
+      } catch (e) {}
+      return options;
+    }
+
+    setCsvOptions(options) {
+      this.csvOptions = options;
+      try {
+        localStorage.setItem('scannerCsvOptions', JSON.stringify(options));
+      } catch (e) {}
+    }
+
+    getSavedDesktopNotifications() {
+      try {
+        return localStorage.getItem('scannerDesktopNotifications') === 'true';
+      } catch (e) {
+        return false;
+      }
+    }
+
+    setDesktopNotifications(enabled) {
+      this.desktopNotifications = enabled;
+      try {
+        localStorage.setItem('scannerDesktopNotifications', String(enabled));
+      } catch (e) {}
+    }
+
+    getSavedHideReviewed() {
+      try {
+        return localStorage.getItem('scannerHideReviewed') === 'true';
+      } catch (e) {
+        return false;
+      }
+    }
+
+    setHideReviewed(enabled) {
+      this.hideReviewed = enabled;
+      try {
+        localStorage.setItem('scannerHideReviewed', String(enabled));
+      } catch (e) {}
+    }
+
+    getArchiveStatus(record) {
+      const entry = this.archive.get(record.id);
+      return entry ? entry.status : 'new';
+    }
+
+    // Returns the entry to store - status "new" takes the post out of the archive
+    setArchiveStatus(record, status) {
+      const entry = Archive.createEntry(record, status);
+      if (status === 'new') {
+        this.archive.delete(record.id);
+      } else {
+        this.archive.set(record.id, entry);
+      }
+      return entry;
+    }
+
+    addLogEntry(message, level) {
+      const entry = { at: new Date().toISOString(), level: level, message: message };
+      this.eventLog.unshift(entry);
+      if (this.eventLog.length > CONFIG.MAX_LOG_ENTRIES) {
+        this.eventLog.length = CONFIG.MAX_LOG_ENTRIES;
+      }
+      return entry;
+    }
+
+    setFilterRules(rules) {
+      this.filterRules = rules;
+      FilterRules.save(rules);
+    }
+
+    setScanSettings(settings) {
+      this.scanSettings = settings;
+      ScanSettings.save(settings);
+    }
+
+    startRun() {
+      this.runStartedAt = Date.now();
+      this.runStartResultCount = this.results.length;
+      this.oldestPostedAt = null;
+    }
+
+    trackPostAge(record) {
+      if (!record.postedAt) return;
+      const postedAt = new Date(record.postedAt).getTime();
+      if (this.oldestPostedAt === null || postedAt < this.oldestPostedAt) {
+        this.oldestPostedAt = postedAt;
+      }
+    }
+
+    setContentFilters(filters) {
+      this.contentFilters = filters;
+      ContentFilters.save(filters);
+    }
+
+    // 'match', 'dismissed' (removed by the user), 'reviewed' (has a review status while those are hidden),
+    // 'below' (threshold/rules) or 'excluded' (content filters)
+    classify(record) {
+      if (record.dismissed) return 'dismissed';
+      if (this.hideReviewed && Archive.isReviewed(this.archive.get(record.id))) return 'reviewed';
+      if (!FilterRules.matches(record, this.commentThreshold, this.filterRules)) return 'below';
+      if (!ContentFilters.matches(record, this.contentFilters)) return 'excluded';
+      return 'match';
+    }
+
+    matchesFilters(record) {
+      const verdict = this.classify(record);
+      if (verdict === 'excluded') {
+        this.excludedPostIds.add(record.id);
+      } else {
+        this.excludedPostIds.delete(record.id);
+      }
+      // Only count reviewed posts that would otherwise be results
+      if (verdict === 'reviewed' && FilterRules.matches(record, this.commentThreshold, this.filterRules) &&
+          ContentFilters.matches(record, this.contentFilters)) {
+        this.reviewedPostIds.add(record.id);
+      } else {
+        this.reviewedPostIds.delete(record.id);
       }
+      return verdict === 'match';
     }
 
     reset() {
       this.scrollCount = 0;
-      this.scrollFailureDetected = false;
       this.scrollRetryCount = 0;
-      this.paused = false;
+    }
+
+    startNewSession() {
+      this.sessionId = 'session-' + Date.now();
+      this.sessionStartedAt = new Date().toISOString();
+      this.results = [];
+      this.seenPostIds = new Set();
+      this.observedPosts = new Map();
+      this.excludedPostIds = new Set();
+      this.reviewedPostIds = new Set();
+      this.announcedPostIds = new Set();
+      this.totalScrolls = 0;
+    }
+
+    loadSession(session) {
+      const self = this;
+      this.sessionId = session.id;
+      this.sessionStartedAt = session.startedAt;
+      this.seenPostIds = new Set(session.seenPostIds);
+      this.observedPosts = new Map();
+      this.excludedPostIds = new Set();
+      this.reviewedPostIds = new Set();
+      this.totalScrolls = session.scrollCount || 0;
+      // Sessions saved before observedPosts existed only know their results
+      const observed = (session.observedPosts || []).concat(session.results);
+      for (let i = 0; i < observed.length; i++) {
+        const record = observed[i];
+        if (!this.observedPosts.has(record.id)) {
+          // Later sessions may have observed this post since
+          record.observations = Growth.mergeObservations(this.postHistory.get(record.id) || [], record.observations || []);
+          this.observedPosts.set(record.id, record);
+        }
+      }
+      // Results and observed posts must share records so count updates show up in both
+      this.results = session.results.map(function(result) {
+        return self.observedPosts.get(result.id);
+      });
+      this.announcedPostIds = new Set(this.results.map(function(r) { return r.id; }));
+    }
+
+    observePost(record) {
+      const history = this.postHistory.get(record.id);
+      record.observations = Growth.mergeObservations(history || [], record.observations || []);
+      Growth.addObservation(record.observations, Growth.createObservation(record));
+      this.observedPosts.set(record.id, record);
+      this.postHistory.set(record.id, record.observations);
+      this.dirtyHistoryIds.add(record.id);
+    }
+
+    // Updated counts for a post that is already known
+    addObservation(record, counts) {
+      record.comments = counts.comments;
+      record.reactions = counts.reactions;
+      record.reposts = counts.reposts;
+      record.observations = record.observations || [];
+      Growth.addObservation(record.observations, Growth.createObservation(record));
+      this.postHistory.set(record.id, record.observations);
+      this.dirtyHistoryIds.add(record.id);
+    }
+
+    // Imported posts join the observed posts; a post that is already known keeps the highest counts
+    // and the merged observation history. Returns { added, updated } counts
+    importRecords(records) {
+      const byPostId = new Map();
+      this.observedPosts.forEach(function(record) { byPostId.set(record.postId, record); });
+      let added = 0;
+      let updated = 0;
+
+      for (let i = 0; i < records.length; i++) {
+        const imported = records[i];
+        const baseline = this.importBaseline.get(imported.postId);
+        this.importBaseline.set(imported.postId, {
+          comments: Math.max(imported.comments, baseline ? baseline.comments : 0),
+          reactions: Math.max(imported.reactions, baseline ? baseline.reactions : 0),
+          reposts: Math.max(imported.reposts, baseline ? baseline.reposts : 0)
+        });
+
+        const record = byPostId.get(imported.postId);
+        if (!record) {
+          imported.observations = Growth.trimObservations(Growth.mergeObservations(this.postHistory.get(imported.id) || [], imported.observations));
+          this.observedPosts.set(imported.id, imported);
+          // Seen posts get their counts refreshed when they show up in the feed instead of being extracted again
+          this.seenPostIds.add(imported.id);
+          // Posts from an export were reported when they were found - a refilter doesn't announce them again
+          this.announcedPostIds.add(imported.id);
+          if (imported.observations.length) {
+            this.postHistory.set(imported.id, imported.observations);
+            this.dirtyHistoryIds.add(imported.id);
+          }
+          byPostId.set(imported.postId, imported);
+          added++;
+          continue;
+        }
+
+        const before = [record.comments, record.reactions, record.reposts, (record.observations || []).length].join('|');
+        record.comments = Math.max(record.comments, imported.comments);
+        record.reactions = Math.max(record.reactions, imported.reactions);
+        record.reposts = Math.max(record.reposts, imported.reposts);
+        record.observations = Growth.trimObservations(Growth.mergeObservations(record.observations || [], imported.observations));
+        if (before !== [record.comments, record.reactions, record.reposts, record.observations.length].join('|')) {
+          this.postHistory.set(record.id, record.observations);
+          this.dirtyHistoryIds.add(record.id);
+          updated++;
+        }
+      }
+      return { added: added, updated: updated };
+    }
+
+    // Results that were not in any imported file, and results whose counts grew since then
+    getImportDiff() {
+      const self = this;
+      const diff = { added: [], grown: [] };
+      if (!this.importBaseline.size) return diff;
+
+      this.results.forEach(function(record) {
+        const baseline = self.importBaseline.get(record.postId);
+        if (!baseline) {
+          diff.added.push(record);
+        } else if (record.comments > baseline.comments || record.reactions > baseline.reactions || record.reposts > baseline.reposts) {
+          diff.grown.push({ record: record, baseline: baseline });
+        }
+      });
+      diff.grown.sort(function(a, b) {
+        return (b.record.comments - b.baseline.comments) - (a.record.comments - a.baseline.comments);
+      });
+      return diff;
+    }
+
+    takeDirtyHistory() {
+      const self = this;
+      const entries = Array.from(this.dirtyHistoryIds).map(function(id) {
+        return { id: id, observations: self.postHistory.get(id) };
+      });
+      this.dirtyHistoryIds.clear();
+      return entries;
+    }
+
+    // Rebuilds results from every observed post, newest find first like addResult().
+    // Posts that qualify for the first time (e.g. after lowering the threshold) are announced like new finds
+    applyFilters() {
+      const self = this;
+      const before = this.results.length;
+      const matching = Array.from(this.observedPosts.values()).filter(function(record) {
+        return self.matchesFilters(record);
+      });
+      const previousLinks = new Set(this.results.map(function(r) { return r.link; }));
+      const added = matching.filter(function(r) { return !previousLinks.has(r.link); });
+
+      this.results = matching.reverse();
+      added.forEach(function(record) {
+        if (!self.announcedPostIds.has(record.id)) self.announceResult(record);
+      });
+      return { added: added.length, removed: before - (this.results.length - added.length) };
     }
 
     addResult(result) {
       // Avoid duplicates
       if (!this.results.some(r => r.link === result.link)) {
         this.results.unshift(result);
+        this.announceResult(result);
         return true;
       }
       return false;
     }
+
+    // Drops a result that no longer qualifies; true if it was one
+    removeResult(result) {
+      const index = this.results.findIndex(r => r.link === result.link);
+      if (index === -1) return false;
+      this.results.splice(index, 1);
+      return true;
+    }
+
+    announceResult(result) {
+      this.announcedPostIds.add(result.id);
+      for (let i = 0; i < this.resultListeners.length; i++) {
+        this.resultListeners[i](result);
+      }
+    }
+
+    // Called once for every post that becomes a result - found by the scan or brought in by re-filtering,
+    // not for loaded sessions or imports
+    onResultAdded(listener) {
+      this.resultListeners.push(listener);
+    }
+
+    setWebhookSettings(settings) {
+      this.webhookSettings = settings;
+      Webhook.save(settings);
+    }
+
+    // Returns how many of the oldest queued posts had to be dropped
+    enqueueWebhook(posts) {
+      this.webhookQueue = this.webhookQueue.concat(posts);
+      const dropped = Math.max(0, this.webhookQueue.length - CONFIG.WEBHOOK_MAX_QUEUE);
+      if (dropped) this.webhookQueue.splice(0, dropped);
+      Webhook.saveQueue(this.webhookQueue);
+      return dropped;
+    }
+
+    dequeueWebhook(count) {
+      this.webhookQueue.splice(0, count);
+      Webhook.saveQueue(this.webhookQueue);
+    }
   }
 
   // Utility functions
   const Utils = {
-    extractNumber(text) {
-      // Compatible replacement for replaceAll (works in older browsers)
-      const cleaned = text.replace(/\./g, '').replace(/,/g, '').replace(/\s/g, '');
-      const match = cleaned.match(/\d+/);
-      return match ? parseInt(match[0], 10) : 0;
-    },
-
     debounce(func, wait) {
       let timeout;
       return function executedFunction(...args) {
@@ -182,16 +3661,25 @@
       return { maxScroll, currentScroll, nearBottom, windowHeight };
     },
 
-    // NEW: Safe way to get parent with data-id
-    getParentWithDataId(element) {
+    // Returns the first element matching the first selector that matches anything
+    queryFirst(root, selectors) {
+      for (let i = 0; i < selectors.length; i++) {
+        const element = root.querySelector(selectors[i]);
+        if (element) return element;
+      }
+      return null;
+    },
+
+    // NEW: Safe way to get parent with an attribute (data-id, data-urn)
+    getParentWithAttribute(element, name) {
       if (!element) return null;
       try {
-        return element.closest('[data-id]');
+        return element.closest('[' + name + ']');
       } catch (e) {
         // Fallback for older browsers without closest()
         let parent = element.parentElement;
         while (parent) {
-          if (parent.getAttribute && parent.getAttribute('data-id')) {
+          if (parent.getAttribute && parent.getAttribute(name)) {
             return parent;
           }
           parent = parent.parentElement;
@@ -230,695 +3718,4920 @@
       return button;
     },
 
-    addClickFeedback(button) {
-      button.addEventListener('click', function() {
-        const originalColor = button.style.backgroundColor;
-        button.style.backgroundColor = '#d3d3d3';
-        setTimeout(function() {
-          button.style.backgroundColor = originalColor;
-        }, CONFIG.CLICK_FEEDBACK_DURATION);
-      });
+    // Wraps every match of a global pattern in the text nodes below root in <mark>
+    highlightTerms(root, pattern) {
+      if (!pattern) return;
+
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
+      const textNodes = [];
+      while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+      }
+
+      for (let i = 0; i < textNodes.length; i++) {
+        const node = textNodes[i];
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        let match;
+
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(text)) !== null) {
+          if (match[0] === '') {
+            // Zero-length regex matches would loop forever
+            pattern.lastIndex++;
+            continue;
+          }
+          fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+          fragment.appendChild(Utils.createElement('mark', { textContent: match[0] }, { backgroundColor: '#fff3a0', padding: '0 1px' }));
+          lastIndex = match.index + match[0].length;
+        }
+
+        if (lastIndex > 0) {
+          fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+          node.parentNode.replaceChild(fragment, node);
+        }
+      }
+    },
+
+    addClickFeedback(button) {
+      button.addEventListener('click', function() {
+        const originalColor = button.style.backgroundColor;
+        button.style.backgroundColor = '#d3d3d3';
+        setTimeout(function() {
+          button.style.backgroundColor = originalColor;
+        }, CONFIG.CLICK_FEEDBACK_DURATION);
+      });
+    }
+  };
+
+  // Locale-aware parser for LinkedIn's engagement counts
+  const CountParser = {
+    // Grouped numbers ("1.234", "1 234,5") first, then plain or decimal ones ("12", "1,2")
+    NUMBER_PATTERN: /(\d{1,3}(?:[.,' ]\d{3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?)\s*([^\s\d]*)/,
+
+    // language: two-letter code of the pack to read the text with, the page language by default
+    parse(text, language) {
+      if (!text) return 0;
+      const pack = I18n.getPack(language);
+
+      // Non-breaking and narrow spaces are used as thousands separators (FR)
+      const normalized = String(text).replace(/[\u00a0\u202f\u2009]/g, ' ').trim();
+      const lower = normalized.toLowerCase();
+      for (let i = 0; i < pack.zeroCountLabels.length; i++) {
+        if (lower.indexOf(pack.zeroCountLabels[i]) !== -1) return 0;
+      }
+
+      const match = normalized.match(this.NUMBER_PATTERN);
+      if (!match) return 0;
+
+      const factor = this.getSuffixFactor(match[2], pack);
+      const value = this.toNumber(match[1], factor > 1, pack.decimalComma);
+      return Math.round(value * factor);
+    },
+
+    // Abbreviated counts ("1.2K", "1,2 Tsd.", "3 mil") - matched without trailing dot
+    getSuffixFactor(word, pack) {
+      const suffix = (word || '').replace(/\.$/, '').toLowerCase();
+      for (let i = 0; i < pack.countSuffixes.length; i++) {
+        if (pack.countSuffixes[i].pattern.test(suffix)) return pack.countSuffixes[i].factor;
+      }
+      return 1;
+    },
+
+    toNumber(numberText, abbreviated, decimalComma) {
+      const separators = numberText.match(/[.,' ]/g) || [];
+      if (!separators.length) return parseInt(numberText, 10);
+
+      const lastIndex = Math.max(numberText.lastIndexOf('.'), numberText.lastIndexOf(','));
+      const lastSeparator = lastIndex === -1 ? null : numberText.charAt(lastIndex);
+      const decimals = numberText.length - lastIndex - 1;
+      const localeDecimal = decimalComma ? ',' : '.';
+
+      let isDecimal = false;
+      if (lastSeparator) {
+        const mixed = separators.some(function(sep) { return sep !== lastSeparator; });
+        if (mixed) {
+          // "1.234,5" / "1,234.5" - the last separator is the decimal one
+          isDecimal = true;
+        } else if (separators.length === 1 && decimals !== 3) {
+          // "1.2K" / "1,2 Tsd." - a thousands group always has three digits
+          isDecimal = true;
+        } else if (separators.length === 1 && abbreviated) {
+          // "1,500K" vs "1,500 Tsd." - only the locale can tell
+          isDecimal = lastSeparator === localeDecimal;
+        }
+      }
+
+      const integerPart = isDecimal ? numberText.slice(0, lastIndex) : numberText;
+      const fraction = isDecimal ? '.' + numberText.slice(lastIndex + 1) : '';
+      return parseFloat(integerPart.replace(/[.,' ]/g, '') + fraction);
+    }
+  };
+
+  // Multi-metric filter rules, persisted as { combinator: 'AND' | 'OR', conditions: [...] }
+  const FilterRules = {
+    STORAGE_KEY: 'scannerFilterRules',
+
+    load() {
+      try {
+        const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+        if (saved && Array.isArray(saved.conditions)) {
+          return { combinator: saved.combinator === 'OR' ? 'OR' : 'AND', conditions: saved.conditions };
+        }
+      } catch (e) {}
+      return { combinator: 'AND', conditions: [] };
+    },
+
+    save(rules) {
+      try {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(rules));
+      } catch (e) {}
+    },
+
+    // The comment threshold always has to be met - the combinator only joins the rule conditions,
+    // so under OR an exclusion such as "author not in" still removes posts above the threshold
+    matches(record, threshold, rules) {
+      const self = this;
+      if (record.comments < threshold) return false;
+      if (!rules.conditions.length) return true;
+
+      const results = rules.conditions.map(function(condition) {
+        return self.test(record, condition);
+      });
+
+      if (rules.combinator === 'OR') {
+        return results.indexOf(true) !== -1;
+      }
+      return results.indexOf(false) === -1;
+    },
+
+    test(record, condition) {
+      switch (condition.type) {
+        case 'comments':
+        case 'reactions':
+        case 'reposts':
+          return this.compare(record[condition.type], condition.operator, condition.value);
+        case 'commentRatio':
+          return this.compare(record.reactions ? record.comments / record.reactions : 0, condition.operator, condition.value);
+        case 'postedWithin':
+          // Posts without a parseable time (e.g. promoted) never count as recent
+          if (!record.postedAt) return false;
+          return Date.now() - new Date(record.postedAt).getTime() <= condition.value * 3600 * 1000;
+        case 'authorNotIn':
+          return !this.isAuthorListed(record.author, condition.value);
+        default:
+          return true;
+      }
+    },
+
+    compare(actual, operator, expected) {
+      switch (operator) {
+        case '>': return actual > expected;
+        case '<=': return actual <= expected;
+        case '<': return actual < expected;
+        case '=': return actual === expected;
+        default: return actual >= expected;
+      }
+    },
+
+    // Entries match the author name (case-insensitive) or a part of the profile URL
+    isAuthorListed(author, entries) {
+      const name = (author.name || '').toLowerCase();
+      const url = (author.profileUrl || '').toLowerCase();
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i].toLowerCase();
+        if (entry && (name === entry || (url && url.indexOf(entry) !== -1))) return true;
+      }
+      return false;
+    },
+
+    // Builds a condition from the rule builder inputs, null if the value is unusable
+    create(type, operator, rawValue) {
+      if (type === 'authorNotIn') {
+        const authors = String(rawValue).split(',').map(function(a) { return a.trim(); }).filter(Boolean);
+        return authors.length ? { type: type, value: authors } : null;
+      }
+      const value = parseFloat(String(rawValue).replace(',', '.'));
+      if (isNaN(value) || value < 0) return null;
+      return type === 'postedWithin' ? { type: type, value: value } : { type: type, operator: operator, value: value };
+    },
+
+    describe(condition) {
+      const value = condition.type === 'authorNotIn' ? condition.value.join(', ') : condition.value;
+      return I18n.t('rules.describe.' + condition.type, { operator: condition.operator, value: value });
+    }
+  };
+
+  // Include/exclude filters on post text, hashtags and authors
+  const ContentFilters = {
+    STORAGE_KEY: 'scannerContentFilters',
+
+    empty() {
+      return {
+        keywords: { include: [], exclude: [], regex: false },
+        hashtags: { include: [], exclude: [] },
+        authors: { include: [], exclude: [] }
+      };
+    },
+
+    load() {
+      try {
+        return this.normalize(JSON.parse(localStorage.getItem(this.STORAGE_KEY)));
+      } catch (e) {
+        return this.empty();
+      }
+    },
+
+    // Complete filters from a partial or saved object - missing lists stay empty
+    normalize(saved) {
+      const filters = this.empty();
+      if (saved) {
+        ['keywords', 'hashtags', 'authors'].forEach(function(key) {
+          if (!saved[key]) return;
+          filters[key].include = (saved[key].include || []).map(String);
+          filters[key].exclude = (saved[key].exclude || []).map(String);
+        });
+        filters.keywords.regex = !!(saved.keywords && saved.keywords.regex);
+      }
+      return filters;
+    },
+
+    save(filters) {
+      try {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(filters));
+      } catch (e) {}
+    },
+
+    count(filters) {
+      return ['keywords', 'hashtags', 'authors'].reduce(function(total, key) {
+        return total + filters[key].include.length + filters[key].exclude.length;
+      }, 0);
+    },
+
+    // Non-empty include lists must each match once, any exclude match removes the post
+    matches(record, filters) {
+      const self = this;
+      const checks = [
+        { list: filters.keywords, test: function(term) { return self.matchesKeyword(record.text, term, filters.keywords.regex); } },
+        { list: filters.hashtags, test: function(term) { return self.matchesHashtag(record.hashtags, term); } },
+        { list: filters.authors, test: function(term) { return FilterRules.isAuthorListed(record.author, [term]); } }
+      ];
+
+      for (let i = 0; i < checks.length; i++) {
+        const check = checks[i];
+        if (check.list.exclude.some(check.test)) return false;
+        if (check.list.include.length && !check.list.include.some(check.test)) return false;
+      }
+      return true;
+    },
+
+    matchesKeyword(text, term, isRegex) {
+      const pattern = this.toPattern(term, isRegex);
+      return pattern ? pattern.test(text) : false;
+    },
+
+    matchesHashtag(hashtags, term) {
+      const tag = this.normalizeHashtag(term);
+      return hashtags.some(function(h) { return h.toLowerCase() === tag; });
+    },
+
+    normalizeHashtag(term) {
+      return '#' + term.trim().replace(/^#/, '').toLowerCase();
+    },
+
+    toPattern(term, isRegex) {
+      try {
+        return new RegExp(isRegex ? term : term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      } catch (e) {
+        console.warn('Invalid filter pattern:', term, e);
+        return null;
+      }
+    },
+
+    // One pattern for everything a result was included for, null if there is nothing to highlight
+    getHighlightPattern(filters) {
+      const self = this;
+      const sources = [];
+      filters.keywords.include.forEach(function(term) {
+        if (self.toPattern(term, filters.keywords.regex)) {
+          sources.push(filters.keywords.regex ? term : self.toPattern(term, false).source);
+        }
+      });
+      filters.hashtags.include.forEach(function(term) {
+        sources.push(self.toPattern(self.normalizeHashtag(term), false).source);
+      });
+      return sources.length ? new RegExp('(' + sources.join('|') + ')', 'gi') : null;
+    }
+  };
+
+  // Scroll pacing and stop conditions, 0 switches a stop condition off
+  const ScanSettings = {
+    STORAGE_KEY: 'scannerScanSettings',
+
+    FIELDS: [
+      { key: 'intervalSeconds', min: 1, step: 0.5 },
+      { key: 'jitterSeconds', min: 0, step: 0.5 },
+      { key: 'maxScrolls', min: 1, step: 1, integer: true },
+      { key: 'stopAfterMatches', min: 0, step: 1, integer: true },
+      { key: 'stopAfterMinutes', min: 0, step: 1 },
+      { key: 'stopAtAgeDays', min: 0, step: 1 },
+      { key: 'deepScanPages', min: 0, step: 1, integer: true }
+    ],
+
+    defaults() {
+      return {
+        intervalSeconds: CONFIG.SCROLL_INTERVAL_MS / 1000,
+        jitterSeconds: 0,
+        maxScrolls: CONFIG.MAX_SCROLLS,
+        stopAfterMatches: 0,
+        stopAfterMinutes: 0,
+        stopAtAgeDays: 0,
+        deepScanPages: 0
+      };
+    },
+
+    load() {
+      const settings = this.defaults();
+      try {
+        const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+        if (saved) {
+          return this.normalize(Object.assign(settings, saved)) || this.defaults();
+        }
+      } catch (e) {}
+      return settings;
+    },
+
+    save(settings) {
+      try {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(settings));
+      } catch (e) {}
+    },
+
+    // Parsed settings, or null if a value is missing or below its minimum
+    normalize(values) {
+      const settings = {};
+      for (let i = 0; i < this.FIELDS.length; i++) {
+        const field = this.FIELDS[i];
+        const value = parseFloat(values[field.key]);
+        if (isNaN(value) || value < field.min) return null;
+        settings[field.key] = field.integer ? Math.round(value) : value;
+      }
+      return settings;
+    },
+
+    getDelay(settings) {
+      return Math.round((settings.intervalSeconds + Math.random() * settings.jitterSeconds) * 1000);
+    }
+  };
+
+  // Finds page elements through the ordered strategies in CONFIG.SELECTOR_PROFILES
+  const SelectorProfiles = {
+    // { strategy, elements } from the first strategy that finds anything (accept() narrows the candidates)
+    resolve(root, key, accept) {
+      const strategies = CONFIG.SELECTOR_PROFILES[key];
+      for (let i = 0; i < strategies.length; i++) {
+        let elements = this.find(root, strategies[i]);
+        if (accept) elements = elements.filter(accept);
+        if (elements.length) return { strategy: strategies[i].strategy, elements: elements };
+      }
+      return { strategy: null, elements: [] };
+    },
+
+    queryAll(root, key, accept) {
+      return this.resolve(root, key, accept).elements;
+    },
+
+    query(root, key, accept) {
+      return this.resolve(root, key, accept).elements[0] || null;
+    },
+
+    find(root, strategy) {
+      if (strategy.heuristic) return this.heuristics[strategy.heuristic](root, strategy);
+      const elements = Array.prototype.slice.call(root.querySelectorAll(strategy.selector));
+      if (!strategy.labels) return elements;
+      return elements.filter(function(element) {
+        return I18n.hasLabel(element.getAttribute('aria-label'), strategy.labels);
+      });
+    },
+
+    // Cheap check for the MutationObserver - selector strategies only, no heuristics
+    matches(node, key) {
+      const strategies = CONFIG.SELECTOR_PROFILES[key];
+      for (let i = 0; i < strategies.length; i++) {
+        const selector = strategies[i].selector;
+        if (!selector || strategies[i].labels) continue;
+        if ((node.matches && node.matches(selector)) || (node.querySelector && node.querySelector(selector))) return true;
+      }
+      return false;
+    },
+
+    // Last-resort strategies that only rely on the page structure and visible text
+    heuristics: {
+      // "12 comments" - a button with a number and a label word in its visible text
+      countButtonsByText(root, strategy) {
+        return Array.prototype.slice.call(root.querySelectorAll('button')).filter(function(button) {
+          const text = button.textContent || '';
+          return /\d/.test(text) && I18n.hasLabel(text, strategy.labels);
+        });
+      },
+
+      // The closest element carrying a post URN around each comment count button
+      postsFromCountButtons(root) {
+        const posts = [];
+        SelectorProfiles.queryAll(root, 'commentButton').forEach(function(button) {
+          const post = button.closest('[data-urn], [data-id]');
+          if (post && posts.indexOf(post) === -1) posts.push(post);
+        });
+        return posts;
+      }
+    }
+  };
+
+  // Page type detection - each supported page brings its own list container, ID lookup and end-of-list handling
+  const PageProfiles = {
+    detect(url) {
+      for (let i = 0; i < CONFIG.PAGE_TYPES.length; i++) {
+        if (CONFIG.PAGE_TYPES[i].pattern.test(url)) return CONFIG.PAGE_TYPES[i];
+      }
+      return null;
+    },
+
+    // Sessions without a URL predate page types and come from the home feed
+    isSamePage(url, otherUrl) {
+      const page = this.detect(url || 'linkedin.com/feed/');
+      if (!page || page !== this.detect(otherUrl || 'linkedin.com/feed/')) return false;
+      // The home feed is one list; everywhere else the path (and search query) picks the list
+      return page.type === 'feed' || this.getListKey(url) === this.getListKey(otherUrl);
+    },
+
+    getListKey(url) {
+      return String(url).split('#')[0].replace(/\/+(\?|$)/, '$1');
+    },
+
+    getContainer(page) {
+      return Utils.queryFirst(document, page.container) || document.body;
+    },
+
+    // Post URN from the post element or its closest ancestor carrying one of the page's ID attributes
+    getPostId(post, page) {
+      for (let i = 0; i < page.idAttributes.length; i++) {
+        const name = page.idAttributes[i];
+        const holder = post.getAttribute(name) ? post : Utils.getParentWithAttribute(post, name);
+        const value = holder && holder.getAttribute(name);
+        if (value && CONFIG.POST_URN_PATTERN.test(value)) return value;
+      }
+      return null;
+    },
+
+    getSource(page) {
+      return { type: page.type, url: window.location.href };
+    }
+  };
+
+  // Self-diagnosis - are posts still found, do their counts still parse, and which strategies got them
+  const HealthCheck = {
+    // { status: 'ok' | 'fallback' | 'no-posts' | 'no-counts', message, posts, postsWithCounts, strategies }
+    run(page) {
+      const found = SelectorProfiles.resolve(document, 'post');
+      const strategies = { post: found.strategy, commentButton: {}, reactionsCount: {} };
+      let withCounts = 0;
+
+      found.elements.forEach(function(post) {
+        let hasCount = false;
+        ['commentButton', 'reactionsCount'].forEach(function(key) {
+          const match = SelectorProfiles.resolve(post, key);
+          if (!match.strategy) return;
+          strategies[key][match.strategy] = (strategies[key][match.strategy] || 0) + 1;
+          const text = (match.elements[0].textContent || '') + ' ' + (match.elements[0].getAttribute('aria-label') || '');
+          if (CountParser.NUMBER_PATTERN.test(text)) hasCount = true;
+        });
+        if (hasCount) withCounts++;
+      });
+
+      const report = {
+        checkedAt: new Date().toISOString(),
+        pageType: page.type,
+        containerFound: !!Utils.queryFirst(document, page.container),
+        posts: found.elements.length,
+        postsWithCounts: withCounts,
+        strategies: strategies
+      };
+
+      if (!report.posts) {
+        report.status = 'no-posts';
+        report.message = I18n.t('health.noPosts');
+      } else if (!withCounts && report.posts >= CONFIG.HEALTH_MIN_POSTS) {
+        report.status = 'no-counts';
+        report.message = I18n.t('health.noCounts', { count: report.posts });
+      } else if (this.usesFallback(strategies)) {
+        report.status = 'fallback';
+        report.message = I18n.t('health.fallback');
+      } else {
+        report.status = 'ok';
+        report.message = '';
+      }
+      return report;
+    },
+
+    // Counts and buttons only fall back when the first strategy matched on no post at all: posts without
+    // comments have no count button, so the aria strategy finds their plain "Comment" action button instead
+    usesFallback(strategies) {
+      if (strategies.post !== CONFIG.SELECTOR_PROFILES.post[0].strategy) return true;
+      return ['commentButton', 'reactionsCount'].some(function(key) {
+        const primary = CONFIG.SELECTOR_PROFILES[key][0].strategy;
+        return Object.keys(strategies[key]).length > 0 && !strategies[key][primary];
+      });
+    },
+
+    isWarning(report) {
+      return !!report && (report.status === 'no-posts' || report.status === 'no-counts');
+    },
+
+    // Bug report attachment: health report, match counts per strategy and anonymized post markup
+    buildDiagnostics(page, report) {
+      const self = this;
+      const selectors = {};
+      Object.keys(CONFIG.SELECTOR_PROFILES).forEach(function(key) {
+        selectors[key] = CONFIG.SELECTOR_PROFILES[key].map(function(strategy) {
+          return {
+            strategy: strategy.strategy,
+            selector: strategy.selector || strategy.heuristic,
+            matches: SelectorProfiles.find(document, strategy).length
+          };
+        });
+      });
+
+      // Without posts, the top of the list container is the next best sample
+      let samples = SelectorProfiles.queryAll(document, 'post');
+      if (!samples.length) {
+        const container = PageProfiles.getContainer(page);
+        samples = Array.prototype.slice.call(container.children);
+      }
+
+      return {
+        version: CONFIG.VERSION,
+        generatedAt: new Date().toISOString(),
+        pageType: page.type,
+        lang: document.documentElement.lang || '',
+        languagePack: I18n.getLanguage(),
+        userAgent: navigator.userAgent,
+        health: report,
+        selectors: selectors,
+        samples: samples.slice(0, CONFIG.DIAGNOSTICS_SAMPLES).map(function(element) {
+          return self.anonymize(element).slice(0, CONFIG.DIAGNOSTICS_MAX_SAMPLE_LENGTH);
+        })
+      };
+    },
+
+    // Markup with names and texts masked - structure, class names, aria roles and counts survive
+    anonymize(element) {
+      const self = this;
+      const clone = element.cloneNode(true);
+      const removable = clone.querySelectorAll('script, style, svg, iframe');
+      for (let i = 0; i < removable.length; i++) {
+        removable[i].parentNode.removeChild(removable[i]);
+      }
+
+      const walker = document.createTreeWalker(clone, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+      let node = clone;
+      while (node) {
+        if (node.nodeType === 3) {
+          node.nodeValue = self.maskText(node.nodeValue);
+        } else {
+          self.maskAttributes(node);
+        }
+        node = walker.nextNode();
+      }
+      return clone.outerHTML.replace(/\s*\n\s*/g, '\n');
+    },
+
+    maskAttributes(element) {
+      const names = Array.prototype.map.call(element.attributes, function(attribute) { return attribute.name; });
+      for (let i = 0; i < names.length; i++) {
+        const name = names[i];
+        const value = element.getAttribute(name);
+        if (name === 'style' || name === 'srcset') {
+          element.removeAttribute(name);
+        } else if (name === 'href' || name === 'src' || name === 'poster' || name === 'data-delayed-url') {
+          // Keep the kind of link ("/in/", "/company/", "/feed/hashtag/"), drop who or what it points to
+          const path = (value.match(/^(?:https?:\/\/[^/]+)?(\/[^/?#]+\/)/) || [])[1];
+          element.setAttribute(name, path ? path + '…' : '…');
+        } else if (name === 'aria-label' || name === 'title' || name === 'alt') {
+          element.setAttribute(name, this.maskText(value));
+        } else if (/^data-/.test(name)) {
+          element.setAttribute(name, CONFIG.POST_URN_PATTERN.test(value) || /^urn:li:/.test(value)
+            ? value.replace(/\d/g, '0')
+            : value.length > 40 ? '…' : value);
+        } else if (name === 'id') {
+          element.setAttribute(name, value.replace(/\d/g, '0'));
+        }
+      }
+    },
+
+    // Counts ("1,234", "3h", "1.2K") and count labels ("comments", "reactions") stay readable, other words become "xxxx"
+    maskText(text) {
+      return text.replace(/\S+/g, function(word) {
+        if (/^[^\p{L}]*\d[^\p{L}]*\p{L}{0,4}\.?$/u.test(word) || !/\p{L}/u.test(word)) return word;
+        if (I18n.hasLabel(word, 'comment') || I18n.hasLabel(word, 'reaction')) return word;
+        return word.replace(/\p{L}/gu, 'x');
+      });
+    }
+  };
+
+  // Turns a feed post element into a structured post record
+  const PostExtractor = {
+    extract(post, dataId, sourcePage) {
+      const idMatch = dataId.match(CONFIG.POST_URN_PATTERN);
+      const posted = this.getPostedTime(post);
+      // LinkedIn prefixes hashtag links with a visually hidden "hashtag" label
+      const text = this.getText(post, CONFIG.SELECTORS.POST_TEXT).replace(/\bhashtag#/gi, '#');
+
+      return {
+        id: dataId,
+        postId: idMatch ? idMatch[1] : dataId,
+        link: "https://www.linkedin.com/feed/update/" + dataId,
+        author: this.getAuthor(post),
+        text: text,
+        postedRelative: posted.relative,
+        postedAt: posted.approximate,
+        comments: this.getCommentCount(post),
+        reactions: this.getReactionCount(post),
+        reposts: this.getRepostCount(post),
+        mediaType: this.getMediaType(post),
+        thumbnailUrl: this.getThumbnailUrl(post),
+        hashtags: this.getHashtags(post, text),
+        mentions: this.getMentions(post),
+        sourcePage: sourcePage,
+        foundAt: new Date().toISOString(),
+        observations: []
+      };
+    },
+
+    getText(root, selectors) {
+      const element = Utils.queryFirst(root, selectors);
+      if (!element) return '';
+      // innerText keeps line breaks, textContent is the fallback for hidden nodes
+      return (element.innerText || element.textContent || '').replace(/[ \t]+/g, ' ').trim();
+    },
+
+    getAuthor(post) {
+      const link = Utils.queryFirst(post, CONFIG.SELECTORS.AUTHOR_LINK);
+      const name = this.getText(post, CONFIG.SELECTORS.AUTHOR_NAME);
+      return {
+        // Fallback selectors may include the screen-reader copy on a second line
+        name: name.split('\n')[0].trim(),
+        profileUrl: link && link.href ? link.href.split('?')[0] : '',
+        headline: this.getText(post, CONFIG.SELECTORS.AUTHOR_HEADLINE).split('\n')[0].trim()
+      };
+    },
+
+    getCommentCount(post) {
+      const commentButton = SelectorProfiles.query(post, 'commentButton');
+      if (!commentButton) return 0;
+
+      // Fallback strategies may find buttons without the hidden count span
+      const span = commentButton.querySelector(CONFIG.SELECTORS.COMMENT_SPAN);
+      const commentText = span ? span.innerText.trim() : (commentButton.textContent || '').trim();
+      return CountParser.parse(commentText);
+    },
+
+    getReactionCount(post) {
+      const element = SelectorProfiles.query(post, 'reactionsCount');
+      return element ? CountParser.parse((element.innerText || element.textContent || '').trim()) : 0;
+    },
+
+    getRepostCount(post) {
+      const button = SelectorProfiles.query(post, 'repostButton');
+      if (!button) return 0;
+      const span = button.querySelector(CONFIG.SELECTORS.COMMENT_SPAN);
+      return CountParser.parse(span ? (span.innerText || span.textContent || '') : (button.getAttribute('aria-label') || ''));
+    },
+
+    // "3h • Edited • 🌐" -> { relative: "3h", approximate: ISO string }
+    getPostedTime(post) {
+      const raw = this.getText(post, CONFIG.SELECTORS.POST_TIME);
+      const relative = raw.split('•')[0].trim();
+      const match = relative.match(/^(\d+)\s*([^\s\d]+)/);
+      if (!match) return { relative: relative, approximate: '' };
+
+      const unit = match[2].replace(/\./g, '').toLowerCase();
+      const timeUnits = I18n.getPack().timeUnits;
+      const name = Object.keys(CONFIG.TIME_UNIT_MS).filter(function(key) { return timeUnits[key].test(unit); })[0];
+      if (!name) return { relative: relative, approximate: '' };
+
+      const age = parseInt(match[1], 10) * CONFIG.TIME_UNIT_MS[name];
+      return { relative: relative, approximate: new Date(Date.now() - age).toISOString() };
+    },
+
+    getMediaType(post) {
+      for (let i = 0; i < CONFIG.SELECTORS.MEDIA_TYPES.length; i++) {
+        const media = CONFIG.SELECTORS.MEDIA_TYPES[i];
+        if (post.querySelector(media.selector)) return media.type;
+      }
+      return 'text';
+    },
+
+    getThumbnailUrl(post) {
+      const element = Utils.queryFirst(post, CONFIG.SELECTORS.THUMBNAIL);
+      if (!element) return '';
+      // Lazy images carry the real URL in data-delayed-url until they scroll into view
+      const urls = element.tagName === 'VIDEO'
+        ? [element.getAttribute('poster')]
+        : [element.getAttribute('src'), element.getAttribute('data-delayed-url')];
+      return urls.filter(function(url) { return url && /^https?:/i.test(url); })[0] || '';
+    },
+
+    getHashtags(post, text) {
+      const tags = [];
+      const addTag = function(tag) {
+        tag = tag.trim().replace(/^#?/, '#');
+        if (tag.length > 1 && tags.indexOf(tag) === -1) tags.push(tag);
+      };
+
+      const links = post.querySelectorAll(CONFIG.SELECTORS.HASHTAG_LINK);
+      for (let i = 0; i < links.length; i++) {
+        addTag((links[i].textContent || '').replace(/^hashtag/i, ''));
+      }
+
+      // Hashtags that LinkedIn did not render as links
+      const inline = text.match(/#[^\s#.,;:!?()]+/g) || [];
+      for (let i = 0; i < inline.length; i++) {
+        addTag(inline[i]);
+      }
+      return tags;
+    },
+
+    getMentions(post) {
+      const mentions = [];
+      const textContainer = Utils.queryFirst(post, CONFIG.SELECTORS.POST_TEXT);
+      if (!textContainer) return mentions;
+
+      const links = textContainer.querySelectorAll(CONFIG.SELECTORS.MENTION_LINK);
+      for (let i = 0; i < links.length; i++) {
+        const name = (links[i].textContent || '').trim();
+        if (name && mentions.indexOf(name) === -1) mentions.push(name);
+      }
+      return mentions;
+    }
+  };
+
+  // Deep scan - opens the comments below a feed post and reads the loaded ones
+  const CommentExtractor = {
+    findPost(id) {
+      const container = document.querySelector('[data-id="' + id + '"], [data-urn="' + id + '"]');
+      if (!container) return null;
+      return SelectorProfiles.query(container, 'post') || container;
+    },
+
+    // Clicks the comment count, unless comments are already showing; false if there is nothing to open
+    expand(post) {
+      if (post.querySelector(CONFIG.SELECTORS.COMMENT_ITEM)) return true;
+      const button = SelectorProfiles.query(post, 'commentButton');
+      if (!button) return false;
+      button.click();
+      return true;
+    },
+
+    clickLoadMore(post) {
+      const button = post.querySelector(CONFIG.SELECTORS.LOAD_MORE_COMMENTS_BUTTON);
+      if (!button || button.disabled) return false;
+      button.click();
+      return true;
+    },
+
+    // Top-level comments only - replies are counted, not listed
+    extract(post) {
+      const self = this;
+      const items = post.querySelectorAll(CONFIG.SELECTORS.COMMENT_ITEM);
+      const comments = [];
+      for (let i = 0; i < items.length; i++) {
+        if (items[i].parentElement && items[i].parentElement.closest(CONFIG.SELECTORS.COMMENT_REPLY_CONTAINER)) continue;
+        comments.push(self.extractComment(items[i]));
+      }
+      return comments;
+    },
+
+    extractComment(item) {
+      const link = Utils.queryFirst(item, CONFIG.SELECTORS.COMMENT_AUTHOR_LINK);
+      const time = Utils.queryFirst(item, CONFIG.SELECTORS.COMMENT_TIME);
+      return {
+        author: {
+          name: PostExtractor.getText(item, CONFIG.SELECTORS.COMMENT_AUTHOR_NAME).split('\n')[0].trim(),
+          profileUrl: link && link.href ? link.href.split('?')[0] : '',
+          headline: PostExtractor.getText(item, CONFIG.SELECTORS.COMMENT_AUTHOR_HEADLINE).split('\n')[0].trim()
+        },
+        text: PostExtractor.getText(item, CONFIG.SELECTORS.COMMENT_TEXT),
+        postedRelative: time ? (time.innerText || time.textContent || '').trim() : '',
+        reactions: CountParser.parse(PostExtractor.getText(item, CONFIG.SELECTORS.COMMENT_REACTIONS)),
+        replies: CountParser.parse(PostExtractor.getText(item, CONFIG.SELECTORS.COMMENT_REPLIES))
+      };
+    }
+  };
+
+  // Comment count observations over time
+  const Growth = {
+    createObservation(record) {
+      return { at: new Date().toISOString(), comments: record.comments, reactions: record.reactions, reposts: record.reposts };
+    },
+
+    addObservation(observations, observation) {
+      observations.push(observation);
+      return this.trimObservations(observations);
+    },
+
+    // Keeps the first observation plus the most recent ones
+    trimObservations(observations) {
+      if (observations.length > CONFIG.MAX_OBSERVATIONS) {
+        observations.splice(1, observations.length - CONFIG.MAX_OBSERVATIONS);
+      }
+      return observations;
+    },
+
+    // Observations from earlier sessions first, without duplicates
+    mergeObservations(previous, current) {
+      const seen = new Set();
+      return previous.concat(current).filter(function(observation) {
+        if (seen.has(observation.at)) return false;
+        seen.add(observation.at);
+        return true;
+      }).sort(function(a, b) {
+        return a.at < b.at ? -1 : 1;
+      });
+    },
+
+    // Comments per hour between the latest observation and the oldest one inside the velocity window
+    getVelocity(record) {
+      const observations = record.observations || [];
+      if (observations.length < 2) return null;
+
+      const last = observations[observations.length - 1];
+      const lastTime = new Date(last.at).getTime();
+      let first = observations[0];
+      for (let i = 0; i < observations.length - 1; i++) {
+        if (lastTime - new Date(observations[i].at).getTime() <= CONFIG.VELOCITY_WINDOW_MS) {
+          first = observations[i];
+          break;
+        }
+      }
+
+      const span = lastTime - new Date(first.at).getTime();
+      if (span < CONFIG.MIN_VELOCITY_SPAN_MS) return null;
+      return Math.round((last.comments - first.comments) / (span / 3600000) * 10) / 10;
+    },
+
+    createSparkline(observations, width, height) {
+      width = width || 60;
+      height = height || 16;
+      const ns = 'http://www.w3.org/2000/svg';
+      const svg = document.createElementNS(ns, 'svg');
+      svg.setAttribute('width', width);
+      svg.setAttribute('height', height);
+      svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+      svg.style.verticalAlign = 'middle';
+      if (!observations || observations.length < 2) return svg;
+
+      const start = new Date(observations[0].at).getTime();
+      const span = Math.max(new Date(observations[observations.length - 1].at).getTime() - start, 1);
+      const counts = observations.map(function(o) { return o.comments; });
+      const min = Math.min.apply(null, counts);
+      const range = Math.max(Math.max.apply(null, counts) - min, 1);
+
+      const points = observations.map(function(o) {
+        const x = (new Date(o.at).getTime() - start) / span * (width - 2) + 1;
+        const y = height - 1 - (o.comments - min) / range * (height - 2);
+        return x.toFixed(1) + ',' + y.toFixed(1);
+      });
+      const line = document.createElementNS(ns, 'polyline');
+      line.setAttribute('points', points.join(' '));
+      line.setAttribute('fill', 'none');
+      line.setAttribute('stroke', '#0073b1');
+      line.setAttribute('stroke-width', '1.5');
+      svg.appendChild(line);
+      return svg;
+    }
+  };
+
+  // Statistics and plain SVG charts for the Insights panel - the bookmarklet has no chart library
+  const Insights = {
+    SVG_NS: 'http://www.w3.org/2000/svg',
+    COLOR: '#0073b1',
+
+    median(values) {
+      if (!values.length) return 0;
+      const sorted = values.slice().sort(function(a, b) { return a - b; });
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    },
+
+    // Bars from the lowest to the highest bin with posts; the last bin is open-ended
+    commentHistogram(results) {
+      const bins = CONFIG.INSIGHT_COMMENT_BINS;
+      const items = bins.map(function(min, i) {
+        const max = bins[i + 1];
+        return {
+          label: max ? min + '–' + (max - 1) : min + '+',
+          value: results.filter(function(r) { return r.comments >= min && (!max || r.comments < max); }).length
+        };
+      });
+      while (items.length > 1 && items[0].value === 0) items.shift();
+      while (items.length > 1 && items[items.length - 1].value === 0) items.pop();
+      return items;
+    },
+
+    // Most frequent values, each counted once per post
+    countTop(results, getValues) {
+      const counts = new Map();
+      results.forEach(function(result) {
+        new Set(getValues(result)).forEach(function(value) {
+          if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        });
+      });
+      return Array.from(counts.entries()).map(function(entry) {
+        return { label: entry[0], value: entry[1] };
+      }).sort(function(a, b) {
+        return b.value - a.value || (a.label < b.label ? -1 : 1);
+      }).slice(0, CONFIG.INSIGHT_TOP_ITEMS);
+    },
+
+    topAuthors(results) {
+      return this.countTop(results, function(r) { return [r.author.name]; });
+    },
+
+    topHashtags(results) {
+      return this.countTop(results, function(r) {
+        return r.hashtags.map(function(tag) { return tag.toLowerCase(); });
+      });
+    },
+
+    // Words of 4+ letters that are not hashtags, links or stop words of any language pack
+    topKeywords(results) {
+      const stopWords = new Set();
+      Object.keys(LANGUAGE_PACKS).forEach(function(code) {
+        (LANGUAGE_PACKS[code].stopWords || []).forEach(function(word) { stopWords.add(word); });
+      });
+      return this.countTop(results, function(r) {
+        return (r.text || '').toLowerCase()
+          .replace(/https?:\/\/\S+|#\S+/g, ' ')
+          .split(/[\s.,;:!?()"'’“”„«»\[\]{}<>\/\\|…–—*+=&%$€@-]+/)
+          .filter(function(word) { return word.length >= 4 && !/^\d+$/.test(word) && !stopWords.has(word); });
+      });
+    },
+
+    // Dates from "3h" are hour-precise, "3d" only day-precise - each chart only uses posts precise enough for it
+    getPostedDates(results, maxAgeMs) {
+      return results.filter(function(r) {
+        if (!r.postedAt) return false;
+        const age = new Date(r.foundAt).getTime() - new Date(r.postedAt).getTime();
+        return age < maxAgeMs;
+      }).map(function(r) {
+        return new Date(r.postedAt);
+      });
+    },
+
+    hourDistribution(results) {
+      const dates = this.getPostedDates(results, CONFIG.TIME_UNIT_MS.day);
+      const items = [];
+      for (let hour = 0; hour < 24; hour++) {
+        items.push({ label: String(hour), value: dates.filter(function(d) { return d.getHours() === hour; }).length });
+      }
+      return { items: items, count: dates.length };
+    },
+
+    // Monday first, weekday names in the page language
+    weekdayDistribution(results) {
+      const dates = this.getPostedDates(results, CONFIG.TIME_UNIT_MS.week);
+      const items = [1, 2, 3, 4, 5, 6, 0].map(function(day) {
+        // 2024-01-07 was a Sunday
+        const label = new Date(2024, 0, 7 + day).toLocaleDateString(I18n.getLanguage(), { weekday: 'short' });
+        return { label: label, value: dates.filter(function(d) { return d.getDay() === day; }).length };
+      });
+      return { items: items, count: dates.length };
+    },
+
+    // Average comments per media type
+    mediaEngagement(results) {
+      const groups = new Map();
+      results.forEach(function(r) {
+        const group = groups.get(r.mediaType) || { comments: 0, reactions: 0, posts: 0 };
+        group.comments += r.comments;
+        group.reactions += r.reactions;
+        group.posts++;
+        groups.set(r.mediaType, group);
+      });
+      return Array.from(groups.entries()).map(function(entry) {
+        const group = entry[1];
+        return {
+          label: I18n.t('media.' + entry[0]) + ' (' + group.posts + ')',
+          value: Math.round(group.comments / group.posts),
+          note: I18n.t('insights.mediaNote', { reactions: Math.round(group.reactions / group.posts) })
+        };
+      }).sort(function(a, b) { return b.value - a.value; });
+    },
+
+    createSvg(width, height) {
+      const svg = document.createElementNS(this.SVG_NS, 'svg');
+      svg.setAttribute('width', width);
+      svg.setAttribute('height', height);
+      svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+      // Inline presentation attributes so exported files look the same outside the page
+      svg.setAttribute('font-family', 'Arial, sans-serif');
+      svg.setAttribute('font-size', '10');
+      const background = this.createNode('rect', { width: width, height: height, fill: '#fff' });
+      svg.appendChild(background);
+      return svg;
+    },
+
+    createNode(tag, attributes, text) {
+      const node = document.createElementNS(this.SVG_NS, tag);
+      for (const key in attributes) {
+        if (Object.prototype.hasOwnProperty.call(attributes, key)) node.setAttribute(key, attributes[key]);
+      }
+      if (text !== undefined) node.textContent = text;
+      return node;
+    },
+
+    // Vertical bars with the label below and the value above each bar
+    createColumnChart(items) {
+      const width = CONFIG.INSIGHT_CHART_WIDTH;
+      const height = 130;
+      const top = 14;
+      const bottom = 16;
+      const svg = this.createSvg(width, height);
+      const max = Math.max.apply(null, items.map(function(item) { return item.value; }).concat(1));
+      const slot = width / items.length;
+      const barWidth = Math.max(slot * 0.7, 2);
+      const self = this;
+
+      items.forEach(function(item, i) {
+        const barHeight = item.value / max * (height - top - bottom);
+        const x = i * slot + (slot - barWidth) / 2;
+        const y = height - bottom - barHeight;
+        svg.appendChild(self.createNode('rect', { x: x.toFixed(1), y: y.toFixed(1), width: barWidth.toFixed(1), height: barHeight.toFixed(1), fill: self.COLOR }));
+        if (item.value) {
+          svg.appendChild(self.createNode('text', { x: (x + barWidth / 2).toFixed(1), y: (y - 3).toFixed(1), 'text-anchor': 'middle', fill: '#333' }, item.value));
+        }
+        svg.appendChild(self.createNode('text', { x: (x + barWidth / 2).toFixed(1), y: height - 4, 'text-anchor': 'middle', fill: '#666' }, item.label));
+      });
+      return svg;
+    },
+
+    // Horizontal bars, label on the left and value (plus note) on the right
+    createBarChart(items) {
+      const width = CONFIG.INSIGHT_CHART_WIDTH;
+      const rowHeight = 18;
+      const labelWidth = 150;
+      const valueWidth = 120;
+      const svg = this.createSvg(width, Math.max(items.length, 1) * rowHeight + 4);
+      const max = Math.max.apply(null, items.map(function(item) { return item.value; }).concat(1));
+      const self = this;
+
+      items.forEach(function(item, i) {
+        const y = i * rowHeight + 2;
+        const barWidth = item.value / max * (width - labelWidth - valueWidth);
+        const label = item.label.length > 24 ? item.label.slice(0, 23) + '…' : item.label;
+        const text = self.createNode('text', { x: labelWidth - 6, y: y + 12, 'text-anchor': 'end', fill: '#333' }, label);
+        text.appendChild(self.createNode('title', {}, item.label));
+        svg.appendChild(text);
+        svg.appendChild(self.createNode('rect', { x: labelWidth, y: y + 2, width: Math.max(barWidth, 1).toFixed(1), height: rowHeight - 6, fill: self.COLOR }));
+        svg.appendChild(self.createNode('text', { x: (labelWidth + barWidth + 4).toFixed(1), y: y + 12, fill: '#333' }, item.value + (item.note ? ' ' + item.note : '')));
+      });
+      return svg;
+    }
+  };
+
+  // Export formats and columns shared by clipboard and file output
+  const Exporters = {
+    // Canonical column order - a selection always keeps this order
+    COLUMNS: [
+      { key: 'postId', label: 'Post ID', value: function(r) { return r.postId; } },
+      { key: 'link', label: 'URL', value: function(r) { return r.link; } },
+      { key: 'comments', label: 'Comments', type: 'number', value: function(r) { return r.comments; } },
+      { key: 'reactions', label: 'Reactions', type: 'number', value: function(r) { return r.reactions; } },
+      { key: 'reposts', label: 'Reposts', type: 'number', value: function(r) { return r.reposts; } },
+      { key: 'authorName', label: 'Author', value: function(r) { return r.author.name; } },
+      { key: 'authorProfileUrl', label: 'Author URL', value: function(r) { return r.author.profileUrl; } },
+      { key: 'authorHeadline', label: 'Author Headline', value: function(r) { return r.author.headline; } },
+      { key: 'postedRelative', label: 'Posted', value: function(r) { return r.postedRelative; } },
+      { key: 'postedAt', label: 'Posted At (approx.)', isoLabel: 'Posted At (ISO)', type: 'date', value: function(r) { return r.postedAt; } },
+      { key: 'mediaType', label: 'Media Type', value: function(r) { return r.mediaType; } },
+      { key: 'thumbnailUrl', label: 'Thumbnail URL', value: function(r) { return r.thumbnailUrl; } },
+      { key: 'hashtags', label: 'Hashtags', join: ' ', value: function(r) { return r.hashtags; } },
+      { key: 'mentions', label: 'Mentions', join: '; ', value: function(r) { return r.mentions; } },
+      { key: 'text', label: 'Text', value: function(r) { return r.text; } },
+      // Records from before page types all came from the home feed
+      { key: 'sourcePage', label: 'Source Page', value: function(r) { return r.sourcePage ? r.sourcePage.type : 'feed'; } },
+      { key: 'sourceUrl', label: 'Source URL', value: function(r) { return r.sourcePage ? r.sourcePage.url : ''; } },
+      { key: 'commentVelocity', label: 'Comments/h', type: 'number', value: function(r) { return Growth.getVelocity(r); } },
+      {
+        key: 'observations',
+        label: 'Comment History',
+        value: function(r) { return r.observations || []; },
+        flatten: function(observations) {
+          return observations.map(function(o) { return o.at + '=' + o.comments; }).join('; ');
+        }
+      },
+      {
+        key: 'scannedComments',
+        label: 'Scanned Comments',
+        value: function(r) { return r.scannedComments || []; },
+        // Table formats get the count - the comments themselves go to the per-comment CSV
+        flatten: function(comments) { return comments.length; }
+      }
+    ],
+
+    // Per-comment CSV (deep scan), one row per comment with its post
+    COMMENT_COLUMNS: [
+      { key: 'postId', label: 'Post ID', value: function(c) { return c.post.postId; } },
+      { key: 'link', label: 'Post URL', value: function(c) { return c.post.link; } },
+      { key: 'postAuthorName', label: 'Post Author', value: function(c) { return c.post.author.name; } },
+      { key: 'authorName', label: 'Commenter', value: function(c) { return c.comment.author.name; } },
+      { key: 'authorProfileUrl', label: 'Commenter URL', value: function(c) { return c.comment.author.profileUrl; } },
+      { key: 'authorHeadline', label: 'Commenter Headline', value: function(c) { return c.comment.author.headline; } },
+      { key: 'postedRelative', label: 'Commented', value: function(c) { return c.comment.postedRelative; } },
+      { key: 'reactions', label: 'Reactions', type: 'number', value: function(c) { return c.comment.reactions; } },
+      { key: 'replies', label: 'Replies', type: 'number', value: function(c) { return c.comment.replies; } },
+      { key: 'text', label: 'Text', value: function(c) { return c.comment.text; } }
+    ],
+
+    FORMATS: {
+      csv: {
+        label: 'CSV',
+        extension: 'csv',
+        mimeType: 'text/csv;charset=utf-8;',
+        build: function(results, columns, meta, options) {
+          const csv = options.csv || Exporters.getDefaultCsvOptions();
+          const delimiter = csv.delimiter === 'tab' ? '\t' : csv.delimiter;
+          columns = Exporters.getCsvColumns(columns, csv);
+          const quote = function(value) {
+            return '"' + String(value).replace(/"/g, '""') + '"';
+          };
+          const lines = [columns.map(function(column) { return quote(column.label); }).join(delimiter)];
+          for (let i = 0; i < results.length; i++) {
+            lines.push(columns.map(function(column) {
+              return quote(Exporters.formatCsvCell(column, results[i], csv));
+            }).join(delimiter));
+          }
+          // Excel only detects UTF-8 (umlauts, emoji) with a byte order mark - files only, not the clipboard
+          return (options.forFile && csv.bom ? '\ufeff' : '') + lines.join(csv.lineEnding === 'crlf' ? '\r\n' : '\n');
+        }
+      },
+      json: {
+        label: 'JSON',
+        extension: 'json',
+        mimeType: 'application/json;charset=utf-8;',
+        build: function(results, columns, meta) {
+          return JSON.stringify({ meta: meta, results: Exporters.toObjects(results, columns) }, null, 2);
+        }
+      },
+      jsonl: {
+        label: 'JSON Lines',
+        extension: 'jsonl',
+        mimeType: 'application/x-ndjson;charset=utf-8;',
+        build: function(results, columns) {
+          return Exporters.toObjects(results, columns).map(function(row) {
+            return JSON.stringify(row);
+          }).join('\n');
+        }
+      },
+      markdown: {
+        label: 'Markdown',
+        extension: 'md',
+        mimeType: 'text/markdown;charset=utf-8;',
+        build: function(results, columns) {
+          const escape = function(value) {
+            return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+          };
+          const lines = [
+            '| ' + columns.map(function(column) { return escape(column.label); }).join(' | ') + ' |',
+            '|' + columns.map(function() { return ' --- '; }).join('|') + '|'
+          ];
+          for (let i = 0; i < results.length; i++) {
+            lines.push('| ' + columns.map(function(column) {
+              return escape(Exporters.formatCell(column, results[i]));
+            }).join(' | ') + ' |');
+          }
+          return lines.join('\n');
+        }
+      },
+      text: {
+        label: 'Plain text',
+        extension: 'txt',
+        mimeType: 'text/plain;charset=utf-8;',
+        build: function(results, columns) {
+          return results.map(function(result) {
+            return columns.map(function(column) {
+              return column.label + ': ' + Exporters.formatCell(column, result);
+            }).join(' — ');
+          }).join('\n');
+        }
+      }
+    },
+
+    getColumns(keys) {
+      return this.COLUMNS.filter(function(column) {
+        return keys.indexOf(column.key) !== -1;
+      });
+    },
+
+    formatCell(column, result) {
+      const value = column.value(result);
+      if (column.flatten) return column.flatten(value);
+      if (Array.isArray(value)) return value.join(column.join || ' ');
+      return value === undefined || value === null ? '' : value;
+    },
+
+    // Structured formats keep arrays and numbers as they are
+    toObjects(results, columns) {
+      return results.map(function(result) {
+        const row = {};
+        for (let i = 0; i < columns.length; i++) {
+          row[columns[i].key] = columns[i].value(result);
+        }
+        return row;
+      });
+    },
+
+    build(format, results, columnKeys, meta, options) {
+      return this.FORMATS[format].build(results, this.getColumns(columnKeys), meta, options || {});
+    },
+
+    buildCommentsCsv(results, options) {
+      const rows = [];
+      results.forEach(function(post) {
+        (post.scannedComments || []).forEach(function(comment) {
+          rows.push({ post: post, comment: comment });
+        });
+      });
+      return this.FORMATS.csv.build(rows, this.COMMENT_COLUMNS, null, options || {});
+    },
+
+    countScannedComments(results) {
+      return results.reduce(function(sum, r) { return sum + (r.scannedComments || []).length; }, 0);
+    },
+
+    // Excel in decimal-comma locales expects semicolons and mangles BOM-less UTF-8
+    getDefaultCsvOptions(language) {
+      language = language || navigator.language || 'en';
+      const decimalComma = this.usesDecimalComma(language);
+      return {
+        delimiter: decimalComma ? ';' : ',',
+        bom: decimalComma,
+        lineEnding: decimalComma ? 'crlf' : 'lf',
+        dateFormat: decimalComma ? 'locale' : 'iso',
+        numberFormat: decimalComma ? 'locale' : 'plain',
+        locale: language
+      };
+    },
+
+    // Localized dates cannot be parsed back - an ISO copy next to each one keeps the file importable
+    getCsvColumns(columns, csv) {
+      if (csv.dateFormat !== 'locale') return columns;
+      return columns.reduce(function(all, column) {
+        all.push(column);
+        if (column.type === 'date') {
+          all.push(Object.assign({}, column, { key: column.key + 'Iso', label: column.isoLabel, type: 'isoDate' }));
+        }
+        return all;
+      }, []);
+    },
+
+    // Asks the browser rather than the language packs - locales without a pack (cs, ru, da) use commas too
+    usesDecimalComma(language) {
+      try {
+        return (1.5).toLocaleString(language).indexOf(',') !== -1;
+      } catch (e) {
+        return false;  // Invalid language tag
+      }
+    },
+
+        formatCsvCell(column, result, csv) {
+      const value = this.formatCell(column, result);
+      if (value === '') return value;
+
+      if (column.type === 'number' && csv.numberFormat === 'locale') {
+        return Number(value).toLocaleString(csv.locale, { useGrouping: false });
+      }
+      if (column.type === 'date' && csv.dateFormat === 'locale') {
+        return new Date(value).toLocaleString(csv.locale);
+      }
+      return this.escapeFormula(value);
+    },
+
+    // Spreadsheet apps execute cells starting with =, +, - or @ (CSV injection) - prefix them with '
+    escapeFormula(value) {
+      if (typeof value !== 'string') return value;
+      return /^[=+\-@\t\r]/.test(value) ? "'" + value : value;
+    }
+  };
+
+  // Reads the scanner's own CSV, JSON and JSON Lines exports back into post records
+  const Importers = {
+    readFile(file) {
+      return new Promise(function(resolve, reject) {
+        const reader = new FileReader();
+        reader.onload = function() { resolve(reader.result); };
+        reader.onerror = function() { reject(reader.error || new Error('File could not be read')); };
+        reader.readAsText(file);
+      });
+    },
+
+    // Throws when the text is not a posts export
+    parse(text) {
+      text = text.replace(/^\ufeff/, '').trim();
+      const first = text.charAt(0);
+      const rows = first === '{' || first === '[' ? this.parseJson(text) : this.parseCsv(text);
+      const records = rows.map(function(row) { return Importers.toRecord(row); }).filter(Boolean);
+      if (!records.length) {
+        throw new Error('No posts with a post ID or URL found');
+      }
+      return records;
+    },
+
+    // JSON ({ meta, results }), a plain array of posts, or JSON Lines - one post object per line,
+    // which is also what a JSON Lines file with a single post looks like
+    parseJson(text) {
+      const lines = text.split(/\r?\n/).filter(function(line) { return line.trim(); });
+      const isJsonLines = lines.every(function(line) { return /^\s*\{.*\}\s*$/.test(line); });
+      const data = isJsonLines ? lines.map(function(line) { return JSON.parse(line); }) : JSON.parse(text);
+      // A JSON export without indentation is a single line as well
+      if (isJsonLines && data.length === 1 && Array.isArray(data[0].results)) return data[0].results;
+      if (Array.isArray(data)) return data;
+      if (data && Array.isArray(data.results)) return data.results;
+      throw new Error('Not a scanner export');
+    },
+
+    // Header labels are mapped back to column keys; the delimiter is whichever one the header uses most
+    parseCsv(text) {
+      const header = text.split(/\r?\n/)[0];
+      const delimiter = [',', ';', '\t'].reduce(function(best, candidate) {
+        return header.split(candidate).length > header.split(best).length ? candidate : best;
+      }, ',');
+      const table = this.splitCsv(text, delimiter);
+      const keys = table[0].map(function(label) {
+        label = label.trim().toLowerCase();
+        const column = Exporters.COLUMNS.filter(function(c) {
+          return c.label.toLowerCase() === label || c.key.toLowerCase() === label;
+        })[0];
+        if (column) return column.key;
+        // ISO copies of localized dates (Exporters.getCsvColumns)
+        const dated = Exporters.COLUMNS.filter(function(c) {
+          return c.isoLabel && c.isoLabel.toLowerCase() === label;
+        })[0];
+        return dated ? dated.key + 'Iso' : null;
+      });
+      if (keys.indexOf('postId') === -1 && keys.indexOf('link') === -1) {
+        throw new Error('No "Post ID" or "URL" column');
+      }
+      return table.slice(1).map(function(cells) {
+        const row = {};
+        keys.forEach(function(key, i) {
+          // Undo the formula escaping from Exporters.escapeFormula()
+          if (key && cells[i] !== undefined) row[key] = cells[i].replace(/^'(?=[=+\-@\t\r])/, '');
+        });
+        return row;
+      });
+    },
+
+    // RFC 4180: quoted cells may contain delimiters, line breaks and doubled quotes
+    splitCsv(text, delimiter) {
+      const table = [];
+      let row = [];
+      let cell = '';
+      let quoted = false;
+      for (let i = 0; i < text.length; i++) {
+        const char = text.charAt(i);
+        if (quoted) {
+          if (char === '"' && text.charAt(i + 1) === '"') {
+            cell += '"';
+            i++;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            cell += char;
+          }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === delimiter) {
+          row.push(cell);
+          cell = '';
+        } else if (char === '\n' || char === '\r') {
+          if (char === '\r' && text.charAt(i + 1) === '\n') i++;
+          row.push(cell);
+          table.push(row);
+          row = [];
+          cell = '';
+        } else {
+          cell += char;
+        }
+      }
+      row.push(cell);
+      table.push(row);
+      return table.filter(function(cells) { return cells.length > 1 || cells[0] !== ''; });
+    },
+
+    // One export row (column keys, or a full record from the scripting API) -> post record
+    toRecord(row) {
+      if (!row || typeof row !== 'object') return null;
+      const link = String(row.link || '');
+      const linkMatch = link.match(CONFIG.POST_URN_PATTERN);
+      const postId = String(row.postId || (linkMatch ? linkMatch[1] : '')).replace(/\D/g, '');
+      if (!postId) return null;
+
+      const author = row.author && typeof row.author === 'object' ? row.author : {};
+      const sourcePage = row.sourcePage && typeof row.sourcePage === 'object' ? row.sourcePage : { type: row.sourcePage || 'feed', url: row.sourceUrl || '' };
+      const postedAt = this.toDate(row.postedAtIso) || this.toDate(row.postedAt);
+      const id = linkMatch ? linkMatch[0] : 'urn:li:activity:' + postId;
+
+      return {
+        id: id,
+        postId: postId,
+        link: 'https://www.linkedin.com/feed/update/' + id,
+        author: {
+          name: row.authorName || author.name || '',
+          profileUrl: row.authorProfileUrl || author.profileUrl || '',
+          headline: row.authorHeadline || author.headline || ''
+        },
+        text: row.text || '',
+        postedRelative: row.postedRelative || '',
+        postedAt: postedAt,
+        comments: this.toCount(row.comments),
+        reactions: this.toCount(row.reactions),
+        reposts: this.toCount(row.reposts),
+        mediaType: CONFIG.SELECTORS.MEDIA_TYPES.some(function(media) { return media.type === row.mediaType; }) ? row.mediaType : 'text',
+        thumbnailUrl: row.thumbnailUrl || '',
+        hashtags: this.toList(row.hashtags, /\s+/),
+        mentions: this.toList(row.mentions, /;\s*/),
+        sourcePage: sourcePage,
+        foundAt: new Date().toISOString(),
+        observations: this.toObservations(row.observations),
+        scannedComments: Array.isArray(row.scannedComments) ? row.scannedComments : undefined
+      };
+    },
+
+    toDate(value) {
+      return value && !isNaN(new Date(value).getTime()) ? new Date(value).toISOString() : '';
+    },
+
+    // Counts were written without grouping, but locale formatting may still have added separators
+    toCount(value) {
+      const count = parseInt(String(value === undefined || value === null ? '' : value).replace(/[^\d]/g, ''), 10);
+      return count >= 0 ? count : 0;
+    },
+
+    toList(value, separator) {
+      if (Array.isArray(value)) return value;
+      return String(value || '').split(separator).filter(Boolean);
+    },
+
+    // Arrays from JSON, "timestamp=count; ..." from table formats
+    toObservations(value) {
+      if (Array.isArray(value)) return value;
+      return String(value || '').split(/;\s*/).map(function(pair) {
+        const parts = pair.split('=');
+        return { at: parts[0], comments: Importers.toCount(parts[1]) };
+      }).filter(function(observation) {
+        return !isNaN(new Date(observation.at).getTime());
+      });
+    }
+  };
+
+  // IndexedDB persistence for scan sessions (results + seen post IDs)
+  const SessionStore = {
+    db: null,
+
+    open() {
+      const self = this;
+      if (this.db) return Promise.resolve(this.db);
+
+      return new Promise(function(resolve, reject) {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB not available'));
+          return;
+        }
+        const request = window.indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+        request.onupgradeneeded = function() {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(CONFIG.DB_SESSION_STORE)) {
+            db.createObjectStore(CONFIG.DB_SESSION_STORE, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(CONFIG.DB_HISTORY_STORE)) {
+            db.createObjectStore(CONFIG.DB_HISTORY_STORE, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(CONFIG.DB_ARCHIVE_STORE)) {
+            db.createObjectStore(CONFIG.DB_ARCHIVE_STORE, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = function() {
+          self.db = request.result;
+          resolve(self.db);
+        };
+        request.onerror = function() {
+          reject(request.error);
+        };
+      });
+    },
+
+    // Runs requests against one store (sessions by default) and resolves with the last request's result
+    run(mode, operation, storeName) {
+      storeName = storeName || CONFIG.DB_SESSION_STORE;
+      return this.open().then(function(db) {
+        return new Promise(function(resolve, reject) {
+          const transaction = db.transaction(storeName, mode);
+          const request = operation(transaction.objectStore(storeName));
+          transaction.oncomplete = function() { resolve(request ? request.result : undefined); };
+          // After abort() the transaction has no error of its own, only the aborted requests do
+          transaction.onerror = function(event) { reject(transaction.error || event.target.error); };
+          transaction.onabort = function() { reject(transaction.error || new Error('Transaction aborted')); };
+        });
+      });
+    },
+
+    save(session) {
+      return this.run('readwrite', function(store) { return store.put(session); });
+    },
+
+    get(id) {
+      return this.run('readonly', function(store) { return store.get(id); });
+    },
+
+    remove(id) {
+      return this.run('readwrite', function(store) { return store.delete(id); });
+    },
+
+    // Newest first
+    list() {
+      return this.run('readonly', function(store) { return store.getAll(); }).then(function(sessions) {
+        return (sessions || []).sort(function(a, b) {
+          return a.updatedAt < b.updatedAt ? 1 : -1;
+        });
+      });
+    },
+
+    // { id, observations } entries, written in one transaction
+    saveHistory(entries) {
+      if (!entries.length) return Promise.resolve();
+      return this.run('readwrite', function(store) {
+        let request = null;
+        for (let i = 0; i < entries.length; i++) {
+          request = store.put(entries[i]);
+        }
+        return request;
+      }, CONFIG.DB_HISTORY_STORE);
+    },
+
+    loadHistory() {
+      return this.run('readonly', function(store) { return store.getAll(); }, CONFIG.DB_HISTORY_STORE);
+    },
+
+    // Archive entries in one transaction - status "new" deletes the post's entry
+    saveArchive(entries) {
+      if (!entries.length) return Promise.resolve();
+      return this.run('readwrite', function(store) {
+        let request = null;
+        for (let i = 0; i < entries.length; i++) {
+          request = entries[i].status === 'new' ? store.delete(entries[i].id) : store.put(entries[i]);
+        }
+        return request;
+      }, CONFIG.DB_ARCHIVE_STORE);
+    },
+
+    loadArchive() {
+      return this.run('readonly', function(store) { return store.getAll(); }, CONFIG.DB_ARCHIVE_STORE);
+    },
+
+    // Records keep changing while a save is pending - store a copy of each one
+    serializeResults(results) {
+      return results.map(function(result) {
+        return Object.assign({}, result);
+      });
+    }
+  };
+
+  // Review status per post across sessions, shareable as a JSON file ("reviewed list") within a team
+  const Archive = {
+    FILE_TYPE: 'linkedin-comments-scanner-archive',
+
+    createEntry(record, status) {
+      return {
+        id: record.id,
+        postId: record.postId,
+        link: record.link,
+        author: record.author.name,
+        status: status,
+        updatedAt: new Date().toISOString()
+      };
+    },
+
+    isReviewed(entry) {
+      return !!entry && entry.status !== 'new';
+    },
+
+    buildExport(entries) {
+      return JSON.stringify({ type: this.FILE_TYPE, version: CONFIG.VERSION, exportedAt: new Date().toISOString(), entries: entries }, null, 2);
+    },
+
+    // Throws unless the text is an archive export; entries without a known status or date are skipped
+    parse(text) {
+      const data = JSON.parse(text);
+      if (!data || data.type !== this.FILE_TYPE || !Array.isArray(data.entries)) {
+        throw new Error('Not a scanner archive file');
+      }
+      return data.entries.filter(function(entry) {
+        return entry && typeof entry.id === 'string' && Archive.isReviewed(entry) &&
+          !!CONFIG.ARCHIVE_STATUSES[entry.status] && !isNaN(new Date(entry.updatedAt).getTime());
+      });
+    },
+
+    // The most recent status per post wins - returns the entries that changed the archive
+    merge(archive, entries) {
+      return entries.filter(function(entry) {
+        const current = archive.get(entry.id);
+        if (current && current.updatedAt >= entry.updatedAt) return false;
+        archive.set(entry.id, entry);
+        return true;
+      });
+    }
+  };
+
+  // Runs one scan cycle at a time; cancel() drops pending waits so no stale cycle continues.
+  // Statuses: idle, scrolling, waiting-for-content, clicking-load-more, scanning, expanding-comments (deep scan),
+  // paused, finished, error
+  class ScanLoop {
+    constructor(scanner) {
+      this.scanner = scanner;
+      this.status = 'idle';
+      this.active = false;
+      this.runId = 0;                   // Bumped by cancel() - steps of an older run stop at their next check
+      this.pendingWait = null;
+      this.listeners = [];
+    }
+
+    onStateChange(listener) {
+      this.listeners.push(listener);
+    }
+
+    setStatus(status, detail) {
+      if (status === this.status) return;
+      const previous = this.status;
+      this.status = status;
+      for (let i = 0; i < this.listeners.length; i++) {
+        try {
+          this.listeners[i](status, previous, detail || {});
+        } catch (e) {
+          console.error('Scan state listener failed:', e);
+        }
+      }
+    }
+
+    start() {
+      if (this.active) return;
+      this.active = true;
+      this.setStatus('idle');
+      this.run(++this.runId);
+    }
+
+    cancel(status, reason) {
+      this.runId++;
+      this.active = false;
+      if (this.pendingWait) {
+        clearTimeout(this.pendingWait.timer);
+        this.pendingWait.reject(ScanLoop.CANCELLED);
+        this.pendingWait = null;
+      }
+      this.setStatus(status || 'idle', reason ? { reason: reason } : null);
+    }
+
+    wait(ms) {
+      const self = this;
+      return new Promise(function(resolve, reject) {
+        const timer = setTimeout(function() {
+          self.pendingWait = null;
+          resolve();
+        }, ms);
+        self.pendingWait = { timer: timer, reject: reject };
+      });
+    }
+
+    check(runId) {
+      if (runId !== this.runId) throw ScanLoop.CANCELLED;
+    }
+
+    run(runId) {
+      const self = this;
+      const cycleStart = Date.now();
+
+      Promise.resolve().then(function() {
+        return self.cycle(runId);
+      }).then(function(retryNow) {
+        self.check(runId);
+        return self.deepScan(runId).then(function() { return retryNow; });
+      }).then(function(retryNow) {
+        self.check(runId);
+        self.setStatus('idle');
+        if (retryNow) return null;
+        // The interval counts from the start of the cycle, like the old setInterval did
+        const delay = ScanSettings.getDelay(self.scanner.state.scanSettings) - (Date.now() - cycleStart);
+        return self.wait(Math.max(0, delay));
+      }).then(function() {
+        self.check(runId);
+        self.run(runId);
+      }).catch(function(e) {
+        if (e === ScanLoop.CANCELLED) return;
+        console.error('❌ Scan cycle failed:', e);
+        self.cancel('error', e && e.message ? e.message : String(e));
+      });
+    }
+
+    // Resolves true when the next cycle should start without the usual delay
+    cycle(runId) {
+      const self = this;
+      const scanner = this.scanner;
+      const state = scanner.state;
+
+      const stopReason = scanner.getStopReason();
+      if (stopReason) {
+        this.cancel('paused', stopReason);
+        return Promise.resolve();
+      }
+
+      // NEW: Check for and click "Load more posts" button first - don't scroll this cycle
+      if (scanner.clickLoadMoreButton()) {
+        return this.loadMore(runId);
+      }
+
+      const scrollInfo = Utils.getScrollInfo();
+      const prevScroll = scrollInfo.currentScroll;
+      const prevHeight = scrollInfo.maxScroll;
+
+      state.scrollCount++;
+      state.totalScrolls++;
+      state.contentLoaded = false; // Reset content flag
+
+      if (state.scrollCount >= state.scanSettings.maxScrolls) {
+        this.cancel('paused', I18n.t('reason.scrolls', { count: state.scanSettings.maxScrolls }));
+        return Promise.resolve();
+      }
+
+      this.setStatus('scrolling');
+      console.log("⬇️ Scrolling to: " + scrollInfo.maxScroll + " (Scroll #" + state.scrollCount + ")");
+      try {
+        window.scrollTo({ top: scrollInfo.maxScroll, behavior: 'smooth' });
+      } catch (e) {
+        // Fallback for older browsers
+        window.scrollTo(0, scrollInfo.maxScroll);
+      }
+
+      // Wait for scroll and content to load
+      this.setStatus('waiting-for-content');
+      return this.wait(CONFIG.SCROLL_DETECTION_DELAY).then(function() {
+        self.check(runId);
+        return self.validateScroll(runId, prevScroll, prevHeight);
+      });
+    }
+
+    validateScroll(runId, prevScroll, prevHeight) {
+      const scanner = this.scanner;
+      const state = scanner.state;
+      const scrollInfo = Utils.getScrollInfo();
+      const maxRetries = scanner.page.maxRetries || CONFIG.MAX_SCROLL_RETRIES;
+
+      // Check if page grew (new content loaded) OR we actually scrolled OR mutation observer detected content
+      const pageGrew = scrollInfo.maxScroll > prevHeight + 100;
+      const didScroll = Math.abs(scrollInfo.currentScroll - prevScroll) > 50;
+      const contentDetected = state.contentLoaded;
+
+      console.log("📊 Scroll check: pageGrew=" + pageGrew + ", didScroll=" + didScroll + ", contentDetected=" + contentDetected + ", retries=" + state.scrollRetryCount);
+
+      if (pageGrew || didScroll || contentDetected) {
+        state.scrollRetryCount = 0;
+        this.scan();
+        return false;
+      }
+
+      // At bottom - a load-more button beats retrying
+      if (scrollInfo.nearBottom && scanner.clickLoadMoreButton()) {
+        console.log('🔘 Found load-more button at bottom - waiting for content...');
+        state.scrollRetryCount = 0;
+        return this.loadMore(runId);
+      }
+
+      state.scrollRetryCount++;
+      if (state.scrollRetryCount >= maxRetries) {
+        if (scrollInfo.nearBottom) {
+          console.warn('⚠️ Reached bottom after ' + maxRetries + ' retries — no more content.');
+          this.cancel('finished', I18n.t(scanner.page.finite ? 'reason.endOfList' : 'reason.endOfFeed', { count: maxRetries }));
+        } else {
+          console.warn('⚠️ Scroll failed after ' + maxRetries + ' retries.');
+          this.cancel('error', I18n.t('reason.scrollBlocked', { count: maxRetries }));
+        }
+        return false;
+      }
+
+      if (scrollInfo.nearBottom) {
+        // Wait longer, then scroll again right away
+        console.log('🔄 Retry ' + state.scrollRetryCount + '/' + maxRetries + ' - waiting for content...');
+        scanner.updateOverlay(I18n.t('status.waiting', { retry: state.scrollRetryCount, max: maxRetries }));
+        return this.wait(CONFIG.CONTENT_LOAD_TIMEOUT).then(function() { return true; });
+      }
+
+      // Not at bottom but didn't scroll - might be a temporary issue
+      console.log('🔄 Scroll retry ' + state.scrollRetryCount + '/' + maxRetries);
+      this.scan(); // Still scan what we have
+      return false;
+    }
+
+    // Opens the comments of queued results one post after another, clicking "load more" up to the configured limit.
+    // Only CONFIG.DEEP_SCAN_POSTS_PER_CYCLE posts per cycle, so a long queue doesn't hold up scrolling
+    deepScan(runId, remaining) {
+      const self = this;
+      const state = this.scanner.state;
+      const maxClicks = state.scanSettings.deepScanPages;
+      if (remaining === undefined) remaining = CONFIG.DEEP_SCAN_POSTS_PER_CYCLE;
+      if (!maxClicks || remaining <= 0 || state.deepScanQueue.length === 0) return Promise.resolve();
+
+      const id = state.deepScanQueue[0];
+      const record = state.observedPosts.get(id);
+      const post = record && CommentExtractor.findPost(id);
+      const done = function(opened) {
+        // Only dequeued once finished, so a cancelled run picks the post up again
+        state.deepScanQueue.shift();
+        return self.deepScan(runId, opened ? remaining - 1 : remaining);
+      };
+      if (!post || !CommentExtractor.expand(post)) {
+        console.log('💬 Deep scan skipped (post no longer in the page): ' + id);
+        return done(false);
+      }
+
+      this.setStatus('expanding-comments');
+      let clicks = 0;
+      const loadComments = function() {
+        return self.wait(CONFIG.COMMENT_LOAD_DELAY).then(function() {
+          self.check(runId);
+          if (clicks < maxClicks && CommentExtractor.clickLoadMore(post)) {
+            clicks++;
+            return loadComments();
+          }
+          return null;
+        });
+      };
+
+      return loadComments().then(function() {
+        self.scanner.attachComments(record, CommentExtractor.extract(post));
+        return done(true);
+      });
+    }
+
+    loadMore(runId) {
+      const self = this;
+      this.setStatus('clicking-load-more');
+      return this.wait(CONFIG.LOAD_MORE_DELAY).then(function() {
+        self.check(runId);
+        self.scan();
+        return false;
+      });
+    }
+
+    scan() {
+      this.setStatus('scanning');
+      this.scanner.scanPosts();
+    }
+  }
+
+  ScanLoop.CANCELLED = { cancelled: true };
+
+  // Optional push of new results as JSON to a user-configured endpoint
+  const Webhook = {
+    SETTINGS_KEY: 'scannerWebhook',
+    QUEUE_KEY: 'scannerWebhookQueue',
+
+    defaults() {
+      return { enabled: false, url: '', headerName: 'Authorization', headerValue: '', batchSize: 1 };
+    },
+
+    load() {
+      const settings = this.defaults();
+      try {
+        const saved = JSON.parse(localStorage.getItem(this.SETTINGS_KEY));
+        if (saved) {
+          for (const key in settings) {
+            if (Object.prototype.hasOwnProperty.call(saved, key)) settings[key] = saved[key];
+          }
+        }
+      } catch (e) {}
+      return settings;
+    },
+
+    save(settings) {
+      try {
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+      } catch (e) {}
+    },
+
+    loadQueue() {
+      try {
+        const saved = JSON.parse(localStorage.getItem(this.QUEUE_KEY));
+        return Array.isArray(saved) ? saved : [];
+      } catch (e) {
+        return [];
+      }
+    },
+
+    saveQueue(queue) {
+      try {
+        localStorage.setItem(this.QUEUE_KEY, JSON.stringify(queue));
+      } catch (e) {
+        console.warn('Could not store webhook queue:', e);
+      }
+    },
+
+    // Resolves with the response, rejects on network errors and non-2xx statuses
+    send(settings, posts, extra) {
+      if (typeof fetch === 'undefined') {
+        return Promise.reject(new Error('fetch is not available in this browser'));
+      }
+      const headers = { 'Content-Type': 'application/json' };
+      if (settings.headerName && settings.headerValue) {
+        headers[settings.headerName] = settings.headerValue;
+      }
+      const body = Object.assign({
+        source: 'linkedin-comments-scanner',
+        apiVersion: CONFIG.API_VERSION,
+        sentAt: new Date().toISOString(),
+        posts: posts
+      }, extra);
+
+      return fetch(settings.url, { method: 'POST', headers: headers, body: JSON.stringify(body) }).then(function(response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response;
+      });
+    },
+
+    getBackoff(attempt) {
+      return Math.min(CONFIG.WEBHOOK_MAX_BACKOFF_MS, CONFIG.WEBHOOK_BASE_BACKOFF_MS * Math.pow(2, attempt));
+    }
+  };
+
+  // Stable surface for other scripts (window.linkedInScanner) - everything else may change between versions
+  const PublicApi = {
+    create(scanner) {
+      const self = this;
+      return Object.freeze({
+        apiVersion: CONFIG.API_VERSION,
+        version: CONFIG.VERSION,
+
+        start() {
+          self.assertOpen(scanner);
+          scanner.resumeScanning();
+        },
+
+        pause() {
+          scanner.pauseScanning();
+        },
+
+        resume() {
+          self.assertOpen(scanner);
+          scanner.resumeScanning();
+        },
+
+        // Stops scanning and closes the overlay - run the bookmarklet again to start over
+        stop() {
+          scanner.close();
+        },
+
+        getStatus() {
+          return scanner.loop.status;
+        },
+
+        // Any of { threshold, rules: { combinator, conditions: [{ type, operator, value }] }, content }
+        setFilters(filters) {
+          filters = filters || {};
+          if (filters.threshold !== undefined) {
+            if (!(parseInt(filters.threshold, 10) >= 0)) {
+              throw new TypeError('threshold must be a number >= 0');
+            }
+            scanner.setThreshold(filters.threshold);
+          }
+          if (filters.rules !== undefined) {
+            scanner.setFilterRules(self.toFilterRules(filters.rules));
+          }
+          if (filters.content !== undefined) {
+            scanner.setContentFilters(ContentFilters.normalize(filters.content));
+          }
+        },
+
+        getFilters() {
+          return self.toPlain({
+            threshold: scanner.state.commentThreshold,
+            rules: scanner.state.filterRules,
+            content: scanner.state.contentFilters
+          });
+        },
+
+        getResults() {
+          return scanner.state.results.map(self.toPlain);
+        },
+
+        // Export string in one of Exporters.FORMATS (default: the format picked in the overlay)
+        export(format) {
+          format = format || scanner.state.exportFormat;
+          if (!Exporters.FORMATS[format]) {
+            throw new Error('Unknown export format "' + format + '" - use one of: ' + Object.keys(Exporters.FORMATS).join(', '));
+          }
+          return Exporters.build(format, scanner.state.results, scanner.state.exportColumns, scanner.getExportMeta(), {
+            csv: scanner.state.csvOptions
+          });
+        },
+
+        // Shorthands for document.addEventListener('linkedinscanner:' + type, listener)
+        addEventListener(type, listener) {
+          document.addEventListener(CONFIG.EVENT_PREFIX + type, listener);
+        },
+
+        removeEventListener(type, listener) {
+          document.removeEventListener(CONFIG.EVENT_PREFIX + type, listener);
+        }
+      });
+    },
+
+    assertOpen(scanner) {
+      if (scanner.closed) {
+        throw new Error('The scanner was stopped - run the bookmarklet again to start a new scan');
+      }
+    },
+
+    toFilterRules(rules) {
+      if (!rules || !Array.isArray(rules.conditions)) {
+        throw new TypeError('rules must look like { combinator: "AND" | "OR", conditions: [...] }');
+      }
+      const conditions = rules.conditions.map(function(condition) {
+        const known = CONFIG.RULE_TYPES.some(function(ruleType) { return ruleType.type === condition.type; });
+        const operator = condition.operator || '>=';
+        const value = Array.isArray(condition.value) ? condition.value.join(',') : condition.value;
+        const created = known && CONFIG.RULE_OPERATORS.indexOf(operator) !== -1 ? FilterRules.create(condition.type, operator, value) : null;
+        if (!created) {
+          throw new TypeError('Invalid rule condition: ' + JSON.stringify(condition));
+        }
+        return created;
+      });
+      return { combinator: rules.combinator === 'OR' ? 'OR' : 'AND', conditions: conditions };
+    },
+
+    // Detached copy, so callers cannot change the scanner's own records
+    toPlain(value) {
+      return JSON.parse(JSON.stringify(value));
+    }
+  };
+
+  // Main scanner class
+  class LinkedInScanner {
+    constructor() {
+      const self = this;
+      this.page = PageProfiles.detect(window.location.href);
+      this.state = new ScannerState();
+      this.loop = new ScanLoop(this);
+      this.loop.onStateChange(function(status, previous, detail) {
+        self.handleScanState(status, previous, detail);
+      });
+      this.state.onResultAdded(function(record) {
+        self.handleResultAdded(record);
+      });
+      this.webhook = { sending: false, attempt: 0, retryTimer: null };
+      this.health = { report: null, timer: null };
+      this.closed = false;              // Set by close() - run the bookmarklet again to start over
+      this.resumeOffer = null;          // { session, resolve } while the overlay asks whether to resume
+      this.sessionSave = { timer: null, pending: null, resolve: null, lastSavedAt: 0 };
+      this.init();
+    }
+
+    init() {
+      const self = this;
+      if (!this.validateEnvironment()) return;
+      this.setupMutationObserver();
+
+      // Scanning starts once we know whether to resume the previous session
+      this.restoreSession().then(function() {
+        if (self.closed) return;
+        self.runHealthCheck();
+        self.startScanning();
+      });
+      this.health.timer = setInterval(function() { self.runHealthCheck(); }, CONFIG.HEALTH_CHECK_INTERVAL_MS);
+
+      // Posts left over from a previous run (offline, endpoint down)
+      this.flushWebhookQueue();
+      this.onlineListener = function() { self.flushWebhookQueue(); };
+      window.addEventListener('online', this.onlineListener);
+    }
+
+    // Warns once per change - a broken layout shouldn't raise a toast every minute
+    runHealthCheck() {
+      const previous = this.health.report;
+      const report = HealthCheck.run(this.page);
+      this.health.report = report;
+      console.log('🩺 Health check: ' + report.status + ' (' + report.postsWithCounts + '/' + report.posts + ' posts with counts)', report.strategies);
+
+      if (!previous || previous.status !== report.status) {
+        if (HealthCheck.isWarning(report)) {
+          this.notify(report.message + ' ' + I18n.t('health.exportHint'), 'warning');
+        } else if (report.status === 'fallback') {
+          this.logEvent(report.message, 'info');
+        } else if (HealthCheck.isWarning(previous)) {
+          this.logEvent(I18n.t('health.recovered'), 'success');
+        }
+      }
+      this.refreshHealthSection();
+      return report;
+    }
+
+    downloadDiagnostics() {
+      const report = this.runHealthCheck();
+      const content = JSON.stringify(HealthCheck.buildDiagnostics(this.page, report), null, 2);
+      const fileDate = new Date().toISOString().split('T')[0];
+      if (this.saveFile(content, 'linkedin_scanner_diagnostics_' + fileDate + '.json', 'application/json')) {
+        this.notify(I18n.t('health.downloaded'), 'success');
+      }
+    }
+
+    // NEW: Offer to resume the most recent session stored in IndexedDB
+    restoreSession() {
+      const self = this;
+
+      return SessionStore.loadHistory().then(function(entries) {
+        for (let i = 0; i < (entries || []).length; i++) {
+          self.state.postHistory.set(entries[i].id, entries[i].observations);
+        }
+        return SessionStore.loadArchive();
+      }).then(function(entries) {
+        for (let i = 0; i < (entries || []).length; i++) {
+          self.state.archive.set(entries[i].id, entries[i]);
+        }
+        return SessionStore.list();
+      }).then(function(sessions) {
+        // Closed while loading - starting a session now would let it be saved again
+        if (self.closed) return null;
+        // Only a session from this same list can be continued here
+        const last = sessions.filter(function(session) {
+          return PageProfiles.isSamePage(session.feedUrl, window.location.href);
+        })[0];
+        if (last && last.results.length > 0) {
+          return self.offerResume(last);
+        }
+        self.state.startNewSession();
+        return null;
+      }).catch(function(e) {
+        console.warn('Session storage not available:', e);
+        self.state.startNewSession();
+      });
+    }
+
+    // Asks in the overlay instead of confirm(), which would freeze the tab until answered.
+    // Resolves once "Resume" or "New session" was clicked - scanning starts after that
+    offerResume(session) {
+      const self = this;
+      return new Promise(function(resolve) {
+        self.resumeOffer = { session: session, resolve: resolve };
+        self.refreshResumeSection();
+        self.updateOverlay(I18n.t('sessions.resumeWaiting'));
+      });
+    }
+
+    answerResumeOffer(resume) {
+      const offer = this.resumeOffer;
+      if (!offer) return;
+      this.resumeOffer = null;
+
+      if (resume) {
+        this.state.loadSession(offer.session);
+        console.log('💾 Resumed session ' + offer.session.id + ' with ' + offer.session.results.length + ' results');
+      } else {
+        this.state.startNewSession();
+      }
+      this.refreshResumeSection();
+      this.refreshPanels();
+      this.updateOverlay();
+      offer.resolve();
+    }
+
+    // Saves at most every CONFIG.SESSION_SAVE_INTERVAL_MS; calls in between share the next save
+    persistSession() {
+      const self = this;
+      const save = this.sessionSave;
+      if (!this.state.sessionId) return Promise.resolve();
+
+      if (!save.pending) {
+        save.pending = new Promise(function(resolve) { save.resolve = resolve; });
+        const delay = Math.max(0, save.lastSavedAt + CONFIG.SESSION_SAVE_INTERVAL_MS - Date.now());
+        save.timer = setTimeout(function() { self.flushSession(); }, delay);
+      }
+      return save.pending;
+    }
+
+    // Saves right away - before closing or switching sessions
+    flushSession() {
+      const save = this.sessionSave;
+      const resolve = save.resolve;
+      clearTimeout(save.timer);
+      save.timer = null;
+      save.pending = null;
+      save.resolve = null;
+      save.lastSavedAt = Date.now();
+
+      const saved = this.saveSession();
+      if (resolve) resolve(saved);
+      return saved;
+    }
+
+    saveSession() {
+      if (!this.state.sessionId) return Promise.resolve();
+
+      // Snapshot synchronously - close() clears the in-memory state right after
+      const session = {
+        id: this.state.sessionId,
+        startedAt: this.state.sessionStartedAt,
+        updatedAt: new Date().toISOString(),
+        threshold: this.state.commentThreshold,
+        feedUrl: window.location.href,
+        scrollCount: this.state.totalScrolls,
+        results: SessionStore.serializeResults(this.state.results),
+        observedPosts: SessionStore.serializeResults(Array.from(this.state.observedPosts.values())),
+        seenPostIds: Array.from(this.state.seenPostIds)
+      };
+
+      const history = this.state.takeDirtyHistory();
+
+      return SessionStore.save(session).then(function() {
+        return SessionStore.saveHistory(history);
+      }).catch(function(e) {
+        console.warn('Failed to save session:', e);
+      });
+    }
+
+    validateEnvironment() {
+      if (!this.page) {
+        alert(I18n.t('page.unsupported') + '\n' + CONFIG.PAGE_TYPES.map(function(page) {
+          return '• ' + I18n.t('page.' + page.type) + ' - ' + page.example;
+        }).join('\n'));
+        return false;
+      }
+      console.log('📄 Page type: ' + I18n.t('page.' + this.page.type) + ' (language: ' + I18n.getLanguage() + ')');
+      return true;
+    }
+
+    // NEW: Setup MutationObserver to detect when new content loads
+    setupMutationObserver() {
+      const self = this;
+      
+      try {
+        this.state.mutationObserver = new MutationObserver(function(mutations) {
+          // Check if new post elements were added
+          for (let i = 0; i < mutations.length; i++) {
+            const mutation = mutations[i];
+            if (mutation.addedNodes && mutation.addedNodes.length > 0) {
+              for (let j = 0; j < mutation.addedNodes.length; j++) {
+                const node = mutation.addedNodes[j];
+                if (node.nodeType === 1) { // Element node
+                  if (SelectorProfiles.matches(node, 'post')) {
+                    self.state.contentLoaded = true;
+                    return;
+                  }
+                }
+              }
+            }
+          }
+        });
+
+        // Observe the page's list container or body
+        const feedContainer = PageProfiles.getContainer(this.page);
+        this.state.mutationObserver.observe(feedContainer, {
+          childList: true,
+          subtree: true
+        });
+      } catch (e) {
+        console.warn('MutationObserver not available:', e);
+      }
+    }
+
+    scanPosts() {
+      const posts = SelectorProfiles.queryAll(document, 'post');
+      let foundNew = 0;
+
+      for (let i = 0; i < posts.length; i++) {
+        const post = posts[i];
+        const dataId = this.getPostDataId(post);
+        if (dataId && this.state.seenPostIds.has(dataId)) {
+          if (this.refreshObservation(post, dataId)) foundNew++;
+          continue;
+        }
+        if (!this.isValidPost(dataId)) continue;
+
+        this.state.seenPostIds.add(dataId);
+        const result = PostExtractor.extract(post, dataId, PageProfiles.getSource(this.page));
+        this.state.observePost(result);
+        this.state.trackPostAge(result);
+
+        if (this.state.matchesFilters(result)) {
+          if (this.state.addResult(result)) {
+            foundNew++;
+          }
+        }
+      }
+
+      this.updateOverlay(
+        I18n.t('status.scan', { scroll: this.state.scrollCount, found: foundNew, total: this.state.results.length }) +
+        this.getHiddenStatus()
+      );
+      this.emit('scan', { scrollCount: this.state.scrollCount, found: foundNew, total: this.state.results.length });
+      if (foundNew) {
+        this.logEvent(I18n.t('scan.foundNew', { found: foundNew, total: this.state.results.length }), 'success');
+      }
+      this.persistSession();
+      this.flushWebhookQueue();
+      return foundNew;
+    }
+
+    handleResultAdded(record) {
+      const post = PublicApi.toPlain(record);
+      this.emit('postfound', { post: post });
+
+      if (this.state.scanSettings.deepScanPages) {
+        this.state.deepScanQueue.push(record.id);
+      }
+
+      if (!this.state.webhookSettings.enabled) return;
+      const dropped = this.state.enqueueWebhook([post]);
+      if (dropped) {
+        this.logEvent(I18n.t('webhook.queueFull', { count: dropped }), 'warning');
+      }
+    }
+
+    attachComments(record, comments) {
+      record.scannedComments = comments;
+      record.commentsScannedAt = new Date().toISOString();
+      this.logEvent(I18n.t('scan.deepScan', { count: comments.length, postId: record.postId }));
+      if (this.ui && this.ui.results && document.body.contains(this.ui.overlay)) {
+        this.renderResultsPage();
+      }
+      this.persistSession();
+    }
+
+    // Pushes queued posts one batch at a time; failures back off exponentially and keep the queue
+    flushWebhookQueue() {
+      const self = this;
+      const settings = this.state.webhookSettings;
+      if (this.closed) return;
+      if (!settings.enabled || !settings.url || this.webhook.sending || this.webhook.retryTimer) return;
+      if (this.state.webhookQueue.length === 0 || navigator.onLine === false) return;
+
+      const batch = this.state.webhookQueue.slice(0, Math.max(1, settings.batchSize));
+      this.webhook.sending = true;
+
+      Webhook.send(settings, batch).then(function() {
+        self.webhook.sending = false;
+        self.webhook.attempt = 0;
+        self.state.dequeueWebhook(batch.length);
+        // A push that was in flight when the scanner closed is the last one
+        if (self.closed) return;
+        self.logEvent(I18n.t('webhook.pushed', { count: batch.length, url: settings.url }), 'success');
+        self.flushWebhookQueue();
+      }).catch(function(e) {
+        self.webhook.sending = false;
+        // The queue stays in localStorage for the next run
+        if (self.closed) return;
+        const delay = Webhook.getBackoff(self.webhook.attempt);
+        const message = I18n.t('webhook.pushFailed', {
+          error: e.message,
+          count: self.state.webhookQueue.length,
+          seconds: Math.round(delay / 1000)
+        });
+        // Only the first failure in a row gets a toast, retries go to the log
+        if (self.webhook.attempt === 0) {
+          self.notify(message, 'warning');
+        } else {
+          self.logEvent(message, 'warning');
+        }
+        self.webhook.attempt++;
+        self.webhook.retryTimer = setTimeout(function() {
+          self.webhook.retryTimer = null;
+          self.flushWebhookQueue();
+        }, delay);
+      });
+    }
+
+    stopWebhookRetry() {
+      clearTimeout(this.webhook.retryTimer);
+      this.webhook.retryTimer = null;
+      this.webhook.attempt = 0;
+    }
+
+    testWebhook(settings) {
+      const self = this;
+      if (!settings.url) {
+        this.notify(I18n.t('webhook.urlMissing'), 'warning');
+        return Promise.resolve(false);
+      }
+      return Webhook.send(settings, [], { test: true }).then(function(response) {
+        self.notify(I18n.t('webhook.testSucceeded', { status: response.status }), 'success');
+        return true;
+      }).catch(function(e) {
+        self.notify(I18n.t('webhook.testFailed', { error: e.message }), 'error');
+        return false;
+      });
+    }
+
+    setWebhookSettings(settings) {
+      this.state.setWebhookSettings(settings);
+      console.log('📤 Webhook ' + (settings.enabled ? 'enabled: ' + settings.url : 'disabled'));
+      // New settings deserve a fresh attempt instead of waiting out the backoff
+      this.stopWebhookRetry();
+      this.flushWebhookQueue();
+      this.refreshPanels();
+      this.updateOverlay(I18n.t('webhook.saved'));
+    }
+
+    // Re-reads the counts of a known post still in the feed; true if it now qualifies.
+    // Like a re-filter, a post whose new counts no longer match leaves the results
+    refreshObservation(post, dataId) {
+      const record = this.state.observedPosts.get(dataId);
+      if (!record) return false;
+
+      const observations = record.observations || [];
+      const last = observations[observations.length - 1];
+      if (last && Date.now() - new Date(last.at).getTime() < CONFIG.OBSERVATION_INTERVAL_MS) return false;
+
+      this.state.addObservation(record, {
+        comments: PostExtractor.getCommentCount(post),
+        reactions: PostExtractor.getReactionCount(post),
+        reposts: PostExtractor.getRepostCount(post)
+      });
+      if (this.state.matchesFilters(record)) return this.state.addResult(record);
+      if (this.state.removeResult(record)) {
+        console.log('📉 No longer matching after a count update: ' + record.link);
+      }
+      return false;
+    }
+
+    getPostDataId(post) {
+      return PageProfiles.getPostId(post, this.page);
+    }
+
+    isValidPost(dataId) {
+      return dataId && 
+             !this.state.seenPostIds.has(dataId) && 
+             CONFIG.POST_URN_PATTERN.test(dataId);
+    }
+
+    // NEW: Find and click "Neue Beiträge anzeigen" / "Show new posts" button
+    // (finite lists: "Show more results", which is told apart by class, not text)
+    clickLoadMoreButton() {
+      if (this.page.loadMore === 'showMore') {
+        const showMore = document.querySelector(CONFIG.SELECTORS.SHOW_MORE_RESULTS_BUTTON);
+        if (!showMore || showMore.disabled) return false;
+        const label = (showMore.textContent || '').trim() || I18n.t('page.showMoreResults');
+        console.log('🔘 Found "' + label + '" button - clicking...');
+        showMore.click();
+        this.updateOverlay(I18n.t('status.clicked', { label: label }));
+        this.logEvent(I18n.t('scan.clicked', { label: label }));
+        return true;
+      }
+
+      // Check if button text matches one of the page language's load-more texts
+      const loadMoreTexts = I18n.getPack().loadMoreTexts;
+      const buttons = SelectorProfiles.queryAll(document, 'loadMoreButton', function(button) {
+        const buttonText = (button.textContent || button.innerText || '').trim();
+        return loadMoreTexts.some(function(text) { return buttonText.indexOf(text) !== -1; });
+      });
+
+      for (let i = 0; i < buttons.length; i++) {
+        const buttonText = (buttons[i].textContent || buttons[i].innerText || '').trim();
+        console.log('🔘 Found "Load more" button: "' + buttonText + '" - clicking...');
+
+        try {
+          buttons[i].click();
+          this.updateOverlay(I18n.t('status.clicked', { label: buttonText }));
+          this.logEvent(I18n.t('scan.clicked', { label: buttonText }));
+          return true;
+        } catch (e) {
+          console.warn('Failed to click load-more button:', e);
+        }
+      }
+      
+      return false;
+    }
+
+    // First stop condition met in the current run, null to keep scrolling
+    getStopReason() {
+      const settings = this.state.scanSettings;
+      const newMatches = this.state.results.length - this.state.runStartResultCount;
+
+      if (settings.stopAfterMatches && newMatches >= settings.stopAfterMatches) {
+        return I18n.t('reason.matches', { count: newMatches });
+      }
+      if (settings.stopAfterMinutes && Date.now() - this.state.runStartedAt >= settings.stopAfterMinutes * 60000) {
+        return I18n.t('reason.minutes', { count: settings.stopAfterMinutes });
+      }
+      if (settings.stopAtAgeDays && this.state.oldestPostedAt !== null &&
+          Date.now() - this.state.oldestPostedAt >= settings.stopAtAgeDays * 86400000) {
+        return I18n.t('reason.age', { days: settings.stopAtAgeDays });
+      }
+      return null;
+    }
+
+    handleScanState(status, previous, detail) {
+      console.log('🔁 Scan state: ' + previous + ' → ' + status + (detail.reason ? ' (' + detail.reason + ')' : ''));
+      if (status === 'paused' || status === 'finished' || status === 'error') {
+        this.emit(status, { reason: detail.reason || null, total: this.state.results.length });
+      }
+      if (!detail.reason) return;
+
+      if (status === 'paused') {
+        this.handleStopCondition(detail.reason);
+      } else if (status === 'finished' || status === 'error') {
+        this.handleScrollFailure(detail.reason, status === 'error' ? 'error' : 'info');
+      }
+    }
+
+    handleStopCondition(reason) {
+      this.updateOverlay(I18n.t('status.autoPaused', { reason: reason, count: this.state.results.length }));
+      this.notify(
+        I18n.t('scan.autoPaused', { reason: reason, count: this.state.results.length, threshold: this.state.commentThreshold }),
+        'warning',
+        { desktop: true }
+      );
+    }
+
+    handleScrollFailure(reason, level) {
+      this.updateOverlay("⚠️ " + I18n.t('status.stopped', { reason: reason, count: this.state.results.length }));
+      this.notify(
+        I18n.t('scan.stopped', { reason: reason, count: this.state.results.length }),
+        level,
+        { desktop: true }
+      );
+    }
+
+    emit(type, detail) {
+      try {
+        document.dispatchEvent(new CustomEvent(CONFIG.EVENT_PREFIX + type, { detail: detail }));
+      } catch (e) {
+        console.warn('Event dispatch failed:', type, e);
+      }
+    }
+
+    // Toast in the overlay plus an event log entry; desktop also raises a browser notification if enabled
+    notify(message, level, options) {
+      level = level || 'info';
+      options = options || {};
+      this.logEvent(message, level);
+      this.showToast(message, level);
+      if (options.desktop) {
+        this.sendDesktopNotification(message);
+      }
+    }
+
+    logEvent(message, level) {
+      const entry = this.state.addLogEntry(message, level || 'info');
+      if (this.ui && this.ui.logList && document.body.contains(this.ui.logList)) {
+        const empty = this.ui.logList.querySelector('.log-empty');
+        if (empty) this.ui.logList.removeChild(empty);
+        this.ui.logList.insertBefore(this.createLogEntry(entry), this.ui.logList.firstChild);
+        while (this.ui.logList.children.length > CONFIG.MAX_LOG_ENTRIES) {
+          this.ui.logList.removeChild(this.ui.logList.lastChild);
+        }
+      }
+    }
+
+    showToast(message, level) {
+      const area = this.ui && this.ui.toasts;
+      if (!area || !document.body.contains(area)) return;
+
+      const style = CONFIG.LOG_LEVELS[level];
+      const toast = Utils.createElement('div', { textContent: style.icon + ' ' + message, title: I18n.t('dismissHint') }, {
+        padding: '6px 10px',
+        marginBottom: '4px',
+        backgroundColor: '#fff',
+        borderLeft: '4px solid ' + style.color,
+        borderRadius: '4px',
+        boxShadow: '0 1px 4px rgba(0,0,0,0.2)',
+        fontSize: '12px',
+        cursor: 'pointer'
+      });
+      const dismiss = function() {
+        if (toast.parentNode) toast.parentNode.removeChild(toast);
+      };
+      toast.addEventListener('click', dismiss);
+      setTimeout(dismiss, CONFIG.TOAST_DURATION_MS);
+
+      area.appendChild(toast);
+      while (area.children.length > CONFIG.MAX_TOASTS) {
+        area.removeChild(area.firstChild);
+      }
+    }
+
+    sendDesktopNotification(message) {
+      if (!this.state.desktopNotifications || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+      try {
+        new Notification(I18n.t('appName'), { body: message });
+      } catch (e) {
+        console.warn('Notification failed:', e);
+      }
+    }
+
+    setDesktopNotifications(enabled) {
+      const self = this;
+      if (!enabled) {
+        this.state.setDesktopNotifications(false);
+        return Promise.resolve(false);
+      }
+      if (typeof Notification === 'undefined') {
+        this.notify(I18n.t('log.unsupported'), 'warning');
+        return Promise.resolve(false);
+      }
+      return Promise.resolve(Notification.requestPermission()).then(function(permission) {
+        const granted = permission === 'granted';
+        self.state.setDesktopNotifications(granted);
+        if (!granted) self.notify(I18n.t('log.denied'), 'warning');
+        return granted;
+      });
+    }
+
+    startScanning() {
+      if (this.closed || this.resumeOffer || this.loop.active) return;
+      this.state.reset();
+      this.state.startRun();
+      this.state.lastScrollHeight = Utils.getScrollInfo().maxScroll;
+      this.loop.start();
+    }
+
+    stopScrolling() {
+      this.loop.cancel('paused');
+    }
+
+    togglePause() {
+      if (this.loop.active) {
+        this.pauseScanning();
+      } else {
+        this.resumeScanning();
+      }
+    }
+
+    pauseScanning() {
+      if (!this.loop.active) return;
+      this.stopScrolling();
+      this.logEvent(I18n.t('scan.paused'));
+      this.updateOverlay();
+    }
+
+    resumeScanning() {
+      if (this.closed || this.resumeOffer || this.loop.active) return;
+      this.startScanning();
+      this.logEvent(I18n.t('scan.resumed'));
+      this.updateOverlay();
+    }
+
+    toggleMinimize() {
+      this.state.isMinimized = !this.state.isMinimized;
+      // Minimizing changes the container itself - the only case that needs a full rebuild
+      this.createOverlay();
+    }
+
+    togglePill() {
+      this.state.isPill = !this.state.isPill;
+      this.createOverlay();
+    }
+
+    togglePostsVisibility() {
+      const display = (this.state.postsVisible = !this.state.postsVisible) ? 'flex' : 'none';
+      // Cached rows that are not on the current page need the new state as well
+      if (this.ui) {
+        this.ui.rows.forEach(function(row) {
+          const snippet = row.element.querySelector('.post-snippet');
+          if (snippet) snippet.style.display = display;
+        });
+      }
+      this.updateOverlay();
+    }
+
+    toggleSessions() {
+      this.state.sessionsVisible = !this.state.sessionsVisible;
+      if (!this.state.sessionsVisible) {
+        this.refreshPanels();
+        this.updateOverlay();
+        return;
+      }
+
+      // Save first so the current session shows up with its latest count
+      this.refreshSessions();
+    }
+
+    refreshSessions() {
+      const self = this;
+      return this.flushSession().then(function() {
+        return SessionStore.list();
+      }).then(function(sessions) {
+        self.state.sessions = sessions;
+        self.refreshPanels();
+        self.updateOverlay();
+      }).catch(function(e) {
+        console.warn('Failed to load sessions:', e);
+        self.state.sessions = [];
+        self.refreshPanels();
+        self.updateOverlay(I18n.t('sessions.unavailable'));
+      });
+    }
+
+    openSession(id) {
+      const self = this;
+      this.flushSession().then(function() {
+        return SessionStore.get(id);
+      }).then(function(session) {
+        if (!session) return;
+        self.state.loadSession(session);
+        console.log('💾 Opened session ' + session.id);
+        self.refreshPanels();
+        self.updateOverlay(I18n.t('sessions.opened', { started: new Date(session.startedAt).toLocaleString(), count: session.results.length }));
+      });
+    }
+
+    // The row asks to confirm in the overlay - confirm() would freeze the tab until answered
+    deleteSession(id) {
+      this.state.sessionToDelete = id;
+      this.refreshPanels();
+    }
+
+    answerDeleteSession(confirmed) {
+      const self = this;
+      const id = this.state.sessionToDelete;
+      this.state.sessionToDelete = null;
+      if (!confirmed || !id) {
+        this.refreshPanels();
+        return Promise.resolve();
+      }
+      return SessionStore.remove(id).then(function() {
+        return self.refreshSessions();
+      });
+    }
+
+    toggleImport() {
+      this.state.importVisible = !this.state.importVisible;
+      this.refreshPanels();
+      this.updateOverlay();
+    }
+
+    // Files are read one after another; a file that fails is reported and skipped
+    importFiles(files) {
+      const self = this;
+      files = Array.prototype.slice.call(files || []);
+      if (!files.length) return Promise.resolve();
+      const totals = { files: 0, posts: 0, added: 0, updated: 0 };
+
+      return files.reduce(function(chain, file) {
+        return chain.then(function() {
+          return Importers.readFile(file);
+        }).then(function(text) {
+          const records = Importers.parse(text);
+          const change = self.state.importRecords(records);
+          totals.files++;
+          totals.posts += records.length;
+          totals.added += change.added;
+          totals.updated += change.updated;
+          console.log('📥 Imported ' + records.length + ' posts from ' + file.name + ' (' + change.added + ' new, ' + change.updated + ' updated)');
+        }).catch(function(e) {
+          console.warn('Import of ' + file.name + ' failed:', e);
+          self.notify(I18n.t('imports.failed', { file: file.name, error: e.message }), 'error');
+        });
+      }, Promise.resolve()).then(function() {
+        if (!totals.files) return;
+        const message = I18n.t('imports.imported', totals);
+        // Imported counts may change what cached rows show
+        if (self.ui) self.ui.rows.clear();
+        self.refilterResults(message);
+        self.notify(message, 'success');
+      });
+    }
+
+    clearImportComparison() {
+      this.state.importBaseline.clear();
+      this.refreshPanels();
+      this.updateOverlay(I18n.t('imports.cleared'));
+    }
+
+    toggleArchive() {
+      this.state.archiveVisible = !this.state.archiveVisible;
+      this.refreshPanels();
+      this.updateOverlay();
+    }
+
+    setArchiveStatus(result, status) {
+      const entry = this.state.setArchiveStatus(result, status);
+      SessionStore.saveArchive([entry]).catch(function(e) {
+        console.warn('Failed to save archive:', e);
+      });
+      console.log('🗂️ Post ' + result.postId + ' marked as ' + status);
+      const message = I18n.t('archive.changed', { postId: result.postId, status: I18n.t('archive.statuses.' + status) });
+      if (this.state.hideReviewed) {
+        this.refilterResults(message);
+        return;
+      }
+      if (this.state.archiveVisible) this.refreshPanels();
+      this.updateOverlay(message);
+    }
+
+    setHideReviewed(enabled) {
+      this.state.setHideReviewed(enabled);
+      this.refilterResults(I18n.t(enabled ? 'archive.hidden' : 'archive.shown'));
+    }
+
+    downloadArchive() {
+      const entries = Array.from(this.state.archive.values());
+      const fileDate = new Date().toISOString().split('T')[0];
+      if (this.saveFile(Archive.buildExport(entries), 'linkedin_scanner_archive_' + fileDate + '.json', 'application/json')) {
+        this.notify(I18n.t('archive.exported', { count: entries.length }), 'success');
+      }
+    }
+
+    // Merges a teammate's archive file into ours
+    importArchive(file) {
+      const self = this;
+      const reader = new FileReader();
+      reader.onload = function() {
+        let entries;
+        try {
+          entries = Archive.parse(reader.result);
+        } catch (e) {
+          console.warn('Archive import failed:', e);
+          self.notify(I18n.t('archive.invalid', { file: file.name }), 'error');
+          return;
+        }
+        const changed = Archive.merge(self.state.archive, entries);
+        SessionStore.saveArchive(changed).catch(function(e) {
+          console.warn('Failed to save archive:', e);
+        });
+        console.log('🗂️ Imported ' + changed.length + ' of ' + entries.length + ' archive entries from ' + file.name);
+        self.notify(I18n.t('archive.imported', { count: changed.length, total: entries.length }), 'success');
+        // Rows show the status and hidden posts depend on it
+        if (self.ui) self.ui.rows.clear();
+        self.refilterResults(I18n.t('archive.updated'));
+      };
+      reader.onerror = function() {
+        self.notify(I18n.t('archive.invalid', { file: file.name }), 'error');
+      };
+      reader.readAsText(file);
+    }
+
+    // Scan metadata for structured exports
+    getExportMeta(session) {
+      session = session || {
+        threshold: this.state.commentThreshold,
+        startedAt: this.state.sessionStartedAt,
+        updatedAt: new Date().toISOString(),
+        scrollCount: this.state.totalScrolls,
+        feedUrl: window.location.href
+      };
+      return {
+        version: CONFIG.VERSION,
+        threshold: session.threshold,
+        startedAt: session.startedAt,
+        endedAt: session.updatedAt,
+        scrollCount: session.scrollCount || 0,
+        feedUrl: session.feedUrl,
+        pageType: (PageProfiles.detect(session.feedUrl || '') || { type: 'feed' }).type
+      };
+    }
+
+    buildExport(results, meta, forFile) {
+      return Exporters.build(this.state.exportFormat, results, this.state.exportColumns, meta, {
+        csv: this.state.csvOptions,
+        forFile: !!forFile
+      });
+    }
+
+    copyToClipboard() {
+      const count = this.state.results.length;
+      const text = this.buildExport(this.state.results, this.getExportMeta());
+      
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).then(function() {
+          this.notify(I18n.t('exports.copied', { count: count }), 'success');
+        }.bind(this)).catch(function(err) {
+          console.error('Clipboard failed:', err);
+          this.fallbackCopy(text);
+        }.bind(this));
+      } else {
+        this.fallbackCopy(text);
+      }
+    }
+
+    fallbackCopy(text) {
+      // Fallback for older browsers
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.position = 'fixed';
+      textarea.style.opacity = '0';
+      document.body.appendChild(textarea);
+      textarea.select();
+      try {
+        document.execCommand('copy');
+        this.notify(I18n.t('exports.copiedText'), 'success');
+      } catch (e) {
+        this.notify(I18n.t('exports.copyFailed'), 'error');
+        console.log(text);
+      }
+      document.body.removeChild(textarea);
+    }
+
+    downloadResults(results, meta) {
+      results = results || this.state.results;
+      meta = meta || this.getExportMeta();
+      const format = Exporters.FORMATS[this.state.exportFormat];
+      const content = this.buildExport(results, meta, true);
+      const fileDate = meta.startedAt || new Date().toISOString();
+      
+      if (this.saveFile(content, 'linkedin_posts_' + fileDate.split('T')[0] + '.' + format.extension, format.mimeType)) {
+        this.notify(I18n.t('exports.downloaded', { count: results.length }), 'success');
+      }
+    }
+
+    downloadComments() {
+      const results = this.state.results;
+      const count = Exporters.countScannedComments(results);
+      if (!count) {
+        this.notify(I18n.t('exports.noComments'), 'warning');
+        return;
+      }
+      const content = Exporters.buildCommentsCsv(results, { csv: this.state.csvOptions, forFile: true });
+      const fileDate = (this.state.sessionStartedAt || new Date().toISOString()).split('T')[0];
+      if (this.saveFile(content, 'linkedin_comments_' + fileDate + '.csv', Exporters.FORMATS.csv.mimeType)) {
+        this.notify(I18n.t('exports.downloadedComments', { count: count }), 'success');
+      }
+    }
+
+    saveFile(content, filename, mimeType) {
+      try {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        return true;
+      } catch (e) {
+        console.error('Download failed:', e);
+        this.notify(I18n.t('exports.downloadFailed'), 'error');
+        console.log(content);
+        return false;
+      }
+    }
+
+    close() {
+      if (this.closed) return;
+      this.loop.cancel('finished');
+      this.flushSession();
+      // Without a session ID nothing can overwrite the saved session with the emptied state below
+      this.closed = true;
+      this.state.sessionId = null;
+      this.stopWebhookRetry();
+      clearInterval(this.health.timer);
+      window.removeEventListener('online', this.onlineListener);
+      
+      // Cleanup MutationObserver
+      if (this.state.mutationObserver) {
+        this.state.mutationObserver.disconnect();
+        this.state.mutationObserver = null;
+      }
+      
+      DOM.removeExisting(CONFIG.OVERLAY_ID);
+      
+      // Cleanup (the session itself stays in IndexedDB)
+      this.state.seenPostIds.clear();
+      this.state.observedPosts.clear();
+      this.state.excludedPostIds.clear();
+      this.state.reviewedPostIds.clear();
+      this.state.importBaseline.clear();
+      this.state.results.length = 0;
+    }
+
+    // UI Creation methods
+    // Full build - afterwards updateOverlay() only patches what changed
+    createOverlay(statusText) {
+      statusText = statusText || '';
+      DOM.removeExisting(CONFIG.OVERLAY_ID);
+
+      // References to the parts that get patched, filled in by the create* methods
+      this.ui = { overlay: null, status: null, threshold: null, panels: null, controlButtons: [], results: null, rows: new Map() };
+
+      const overlay = this.createOverlayContainer();
+      this.ui.overlay = overlay;
+
+      if (this.state.isPill) {
+        const pill = this.createPill();
+        this.ui.pill = pill;
+        overlay.appendChild(pill);
+        this.enableDragging(pill);
+        document.body.appendChild(overlay);
+        return;
+      }
+
+      const header = this.createHeader();
+      overlay.appendChild(header);
+      this.enableDragging(header);
+      this.ui.toasts = this.createToastArea();
+      overlay.appendChild(this.ui.toasts);
+
+      if (!this.state.isMinimized) {
+        const status = this.createStatusSection(statusText);
+        const resume = this.createResumeSection();
+        const health = this.createHealthSection();
+        const threshold = this.createThresholdSection();
+        const controls = this.createControlsSection();
+        const panels = this.createPanelsSection();
+        const results = this.createResultsSection();
+        this.ui.status = status;
+        this.ui.resume = resume;
+        this.ui.health = health;
+        this.ui.threshold = threshold;
+        this.ui.panels = panels;
+        
+        overlay.appendChild(status);
+        overlay.appendChild(resume);
+        overlay.appendChild(health);
+        overlay.appendChild(threshold);
+        overlay.appendChild(controls);
+        overlay.appendChild(panels);
+        overlay.appendChild(results);
+        this.ui.resizeHandle = this.createResizeHandle();
+        overlay.appendChild(this.ui.resizeHandle);
+      }
+
+      document.body.appendChild(overlay);
+    }
+
+    createOverlayContainer() {
+      const styles = {
+        position: 'fixed',
+        overflowY: this.state.isMinimized || this.state.isPill ? 'hidden' : 'auto',
+        zIndex: '99999',
+        backgroundColor: '#fff',
+        border: '1px solid #ccc',
+        borderRadius: this.state.isPill ? '20px' : '6px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        padding: this.state.isPill ? '0' : this.state.isMinimized ? '5px 10px' : '10px',
+        fontSize: '14px',
+        fontFamily: 'Arial, sans-serif',
+        boxSizing: 'border-box',
+        cursor: 'default'
+      };
+
+      return Utils.createElement('div', { id: CONFIG.OVERLAY_ID }, Object.assign(styles, this.getPlacementStyles()));
+    }
+
+    // Position and size from the saved layout, kept inside the current viewport
+    getPlacementStyles() {
+      const position = this.state.overlayPosition;
+      const margin = CONFIG.OVERLAY_EDGE_MARGIN;
+      const top = Math.max(0, Math.min(position.top, window.innerHeight - 40));
+      const styles = { top: top + 'px', left: '', right: '', width: '', height: '', maxHeight: '90vh' };
+
+      if (position.dock === 'left') {
+        styles.left = margin + 'px';
+      } else if (position.dock === 'right') {
+        styles.right = margin + 'px';
+      } else {
+        styles.left = Math.max(0, Math.min(position.left, window.innerWidth - 60)) + 'px';
+      }
+
+      if (this.state.isPill) {
+        styles.width = 'auto';
+      } else if (this.state.isMinimized) {
+        styles.width = CONFIG.OVERLAY_MIN_WIDTH + 'px';
+        styles.height = '40px';
+      } else {
+        styles.width = Math.min(position.width, window.innerWidth - 2 * margin) + 'px';
+        if (position.height) {
+          styles.height = Math.min(position.height, window.innerHeight - top - margin) + 'px';
+          styles.maxHeight = 'none';
+        }
+      }
+      return styles;
+    }
+
+    // Drag the overlay by the given element - dropping it near the left/right edge docks it there
+    enableDragging(handle) {
+      const self = this;
+      handle.style.cursor = 'move';
+
+      handle.addEventListener('mousedown', function(event) {
+        if (event.button !== 0 || event.target.closest('button, input, select, a')) return;
+        const overlay = self.ui.overlay;
+        const rect = overlay.getBoundingClientRect();
+        const startX = event.clientX;
+        const startY = event.clientY;
+        self.ui.dragged = false;
+
+        const onMove = function(moveEvent) {
+          const dx = moveEvent.clientX - startX;
+          const dy = moveEvent.clientY - startY;
+          if (!self.ui.dragged && Math.abs(dx) + Math.abs(dy) < CONFIG.DRAG_THRESHOLD) return;
+          self.ui.dragged = true;
+          moveEvent.preventDefault();
+          overlay.style.right = '';
+          overlay.style.left = Math.max(0, Math.min(rect.left + dx, window.innerWidth - rect.width)) + 'px';
+          overlay.style.top = Math.max(0, Math.min(rect.top + dy, window.innerHeight - 40)) + 'px';
+        };
+
+        const onUp = function() {
+          document.removeEventListener('mousemove', onMove);
+          document.removeEventListener('mouseup', onUp);
+          if (!self.ui.dragged) return;
+
+          const dropped = overlay.getBoundingClientRect();
+          let dock = null;
+          if (dropped.left <= CONFIG.OVERLAY_SNAP_DISTANCE) {
+            dock = 'left';
+          } else if (window.innerWidth - dropped.right <= CONFIG.OVERLAY_SNAP_DISTANCE) {
+            dock = 'right';
+          }
+          const wasDockedRight = self.state.overlayPosition.dock === 'right';
+          self.state.setOverlayPosition({ dock: dock, left: Math.round(dropped.left), top: Math.round(dropped.top) });
+          Object.assign(overlay.style, self.getPlacementStyles());
+
+          // The resize handle sits in the corner away from the docked edge
+          const handle = self.ui.resizeHandle;
+          if (handle && handle.parentNode && wasDockedRight !== (dock === 'right')) {
+            self.ui.resizeHandle = self.createResizeHandle();
+            handle.parentNode.replaceChild(self.ui.resizeHandle, handle);
+          }
+        };
+
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+      });
+    }
+
+    // Corner handle that stays at the bottom of the scrolling overlay - on the left when docked right
+    createResizeHandle() {
+      const self = this;
+      const fromLeft = this.state.overlayPosition.dock === 'right';
+      const handle = Utils.createElement('div', { title: I18n.t('resizeHint') }, {
+        position: 'sticky',
+        bottom: '-10px',
+        width: '14px',
+        height: '14px',
+        marginLeft: fromLeft ? '-10px' : 'auto',
+        marginRight: fromLeft ? '0' : '-10px',
+        marginBottom: '-10px',
+        cursor: fromLeft ? 'nesw-resize' : 'nwse-resize',
+        background: 'linear-gradient(' + (fromLeft ? '225deg' : '135deg') + ', transparent 50%, #bbb 50%)'
+      });
+
+      handle.addEventListener('mousedown', function(event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+        const overlay = self.ui.overlay;
+        const startX = event.clientX;
+        const startY = event.clientY;
+        const startWidth = overlay.offsetWidth;
+        const startHeight = overlay.offsetHeight;
+
+        const onMove = function(moveEvent) {
+          const dx = (moveEvent.clientX - startX) * (fromLeft ? -1 : 1);
+          overlay.style.width = Math.max(CONFIG.OVERLAY_MIN_WIDTH, startWidth + dx) + 'px';
+          overlay.style.height = Math.max(CONFIG.OVERLAY_MIN_HEIGHT, startHeight + moveEvent.clientY - startY) + 'px';
+          overlay.style.maxHeight = 'none';
+        };
+
+        const onUp = function() {
+          document.removeEventListener('mousemove', onMove);
+          document.removeEventListener('mouseup', onUp);
+          self.state.setOverlayPosition({ width: overlay.offsetWidth, height: overlay.offsetHeight });
+        };
+
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+      });
+
+      return handle;
+    }
+
+    createPill() {
+      const self = this;
+      const pill = Utils.createElement('div', { title: I18n.t('expandHint') }, {
+        padding: '6px 14px',
+        fontWeight: 'bold',
+        color: '#0073b1',
+        whiteSpace: 'nowrap',
+        userSelect: 'none'
+      });
+      pill.textContent = this.getPillText();
+      pill.addEventListener('click', function() {
+        // The click that ends a drag should not expand the overlay
+        if (self.ui.dragged) return;
+        self.togglePill();
+      });
+      return pill;
+    }
+
+    getPillText() {
+      return '💬 ' + this.state.results.length + (this.loop.active ? '' : ' ⏸');
+    }
+
+    createHeader() {
+      const header = Utils.createElement('div', {}, {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        userSelect: 'none'
+      });
+
+      const title = Utils.createElement('h3', 
+        { textContent: I18n.t('title', { version: CONFIG.VERSION }) },
+        { margin: '0', fontSize: '16px' }
+      );
+
+      const controls = this.createHeaderControls();
+      
+      header.appendChild(title);
+      header.appendChild(controls);
+      
+      return header;
+    }
+
+    createHeaderControls() {
+      const self = this;
+      const container = Utils.createElement('div');
+
+      const pillBtn = DOM.createButton('●', '#888', function() { self.togglePill(); });
+      pillBtn.title = I18n.t('collapse');
+      pillBtn.style.marginRight = '6px';
+      
+      const minBtn = DOM.createButton(
+        this.state.isMinimized ? '+' : '−',
+        '#888',
+        function() { self.toggleMinimize(); }
+      );
+      minBtn.style.marginRight = '6px';
+
+      const closeBtn = DOM.createButton('✕', '#6c757d', function() { self.close(); });
+      closeBtn.style.marginRight = '0';
+
+      container.appendChild(pillBtn);
+      container.appendChild(minBtn);
+      container.appendChild(closeBtn);
+      
+      return container;
     }
-  };
 
-  // Main scanner class
-  class LinkedInScanner {
-    constructor() {
-      this.state = new ScannerState();
-      this.init();
+    // Sticks to the top of the scrolling overlay so toasts stay visible
+    createToastArea() {
+      return Utils.createElement('div', {}, {
+        position: 'sticky',
+        top: '0',
+        zIndex: '1',
+        marginTop: '6px'
+      });
     }
 
-    init() {
-      if (!this.validateEnvironment()) return;
-      this.setupMutationObserver();
-      this.startScanning();
+    createStatusSection(statusText) {
+      return Utils.createElement('div',
+        { textContent: statusText || this.getDefaultStatus() },
+        {
+          margin: '8px 0',
+          fontStyle: 'italic',
+          color: '#666'
+        }
+      );
     }
 
-    validateEnvironment() {
-      if (window.location.href.indexOf("linkedin.com/feed") === -1) {
-        alert(
-          "Comments Scanner only works on your LinkedIn feed.\n" +
-          "Please open https://www.linkedin.com/feed/ in this tab and start the Comments Scanner again."
+    // Resume question for the last session of this page, empty once answered
+    createResumeSection() {
+      const self = this;
+      const offer = this.resumeOffer;
+      if (!offer) return Utils.createElement('div');
+
+      const session = offer.session;
+      const container = Utils.createElement('div', {}, {
+        margin: '0 0 8px',
+        padding: '8px',
+        border: '1px solid #0073b1',
+        borderRadius: '6px',
+        backgroundColor: '#eef3f8',
+        fontSize: '12px'
+      });
+      container.appendChild(Utils.createElement('div', { textContent: I18n.t('sessions.resume') }, { fontWeight: 'bold', marginBottom: '4px' }));
+      container.appendChild(Utils.createElement('div', {
+        textContent: I18n.t('sessions.resumeDetails', {
+          page: I18n.t('page.' + this.page.type),
+          started: new Date(session.startedAt).toLocaleString(),
+          count: session.results.length,
+          threshold: session.threshold
+        })
+      }, { marginBottom: '6px' }));
+      container.appendChild(DOM.createButton(I18n.t('controls.resume'), '#0073b1', function() { self.answerResumeOffer(true); }));
+      container.appendChild(DOM.createButton(I18n.t('sessions.startNew'), '#666', function() { self.answerResumeOffer(false); }));
+      return container;
+    }
+
+    refreshResumeSection() {
+      if (!this.ui || !this.ui.resume || !document.body.contains(this.ui.resume)) return;
+      const resume = this.createResumeSection();
+      this.ui.resume.parentNode.replaceChild(resume, this.ui.resume);
+      this.ui.resume = resume;
+    }
+
+    // Layout warning from the last health check, empty while everything parses
+    createHealthSection() {
+      const self = this;
+      const report = this.health.report;
+      this.ui.renderedHealth = report && report.status;
+      if (!HealthCheck.isWarning(report)) return Utils.createElement('div');
+
+      const container = Utils.createElement('div', {}, {
+        margin: '0 0 8px',
+        padding: '8px',
+        border: '1px solid #f0ad4e',
+        borderRadius: '6px',
+        backgroundColor: '#fcf8e3',
+        fontSize: '12px'
+      });
+      container.appendChild(Utils.createElement('div', { textContent: '⚠️ ' + report.message }, { marginBottom: '6px' }));
+      container.appendChild(DOM.createButton(I18n.t('health.exportDiagnostics'), '#f0ad4e', function() { self.downloadDiagnostics(); }));
+      return container;
+    }
+
+    refreshHealthSection() {
+      if (!this.ui || !this.ui.health || !document.body.contains(this.ui.health)) return;
+      if (this.ui.renderedHealth === (this.health.report && this.health.report.status)) return;
+      const health = this.createHealthSection();
+      this.ui.health.parentNode.replaceChild(health, this.ui.health);
+      this.ui.health = health;
+    }
+
+    getDefaultStatus() {
+      const ruleCount = this.state.filterRules.conditions.length;
+      return I18n.t('status.found', { count: this.state.results.length, threshold: this.state.commentThreshold }) +
+        (ruleCount ? I18n.t('status.rules', { combinator: this.state.filterRules.combinator, count: ruleCount }) : '') +
+        this.getHiddenStatus();
+    }
+
+    // Status line suffix for matching posts that are not shown (content filters, already reviewed)
+    getHiddenStatus() {
+      return (this.state.excludedPostIds.size ? I18n.t('status.filteredOut', { count: this.state.excludedPostIds.size }) : '') +
+        (this.state.reviewedPostIds.size ? I18n.t('status.reviewedHidden', { count: this.state.reviewedPostIds.size }) : '');
+    }
+
+    createThresholdSection() {
+      const self = this;
+      this.ui.renderedThreshold = this.state.commentThreshold;
+      const container = Utils.createElement('div', {}, { 
+        marginBottom: '10px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px'
+      });
+
+      // Label
+      const label = Utils.createElement('span', 
+        { textContent: I18n.t('threshold.label') },
+        { 
+          fontSize: '13px',
+          color: '#333',
+          marginRight: '4px'
+        }
+      );
+      container.appendChild(label);
+
+      // Button group container
+      const buttonGroup = Utils.createElement('div', {}, {
+        display: 'flex',
+        gap: '4px'
+      });
+
+      // Create a button for each threshold option
+      for (let i = 0; i < CONFIG.COMMENT_THRESHOLDS.length; i++) {
+        const threshold = CONFIG.COMMENT_THRESHOLDS[i];
+        const isActive = (threshold === self.state.commentThreshold);
+        
+        const btn = Utils.createElement('button',
+          { textContent: String(threshold) },
+          {
+            padding: '3px 8px',
+            fontSize: '12px',
+            border: isActive ? '2px solid #0073b1' : '1px solid #ccc',
+            borderRadius: '4px',
+            backgroundColor: isActive ? '#0073b1' : '#f5f5f5',
+            color: isActive ? '#fff' : '#333',
+            cursor: 'pointer',
+            fontWeight: isActive ? 'bold' : 'normal',
+            minWidth: '36px',
+            transition: 'all 0.2s'
+          }
         );
-        return false;
+
+        // Hover effect
+        btn.onmouseover = function() {
+          if (threshold !== self.state.commentThreshold) {
+            btn.style.backgroundColor = '#e0e0e0';
+          }
+        };
+        btn.onmouseout = function() {
+          if (threshold !== self.state.commentThreshold) {
+            btn.style.backgroundColor = '#f5f5f5';
+          }
+        };
+
+        // Click handler
+        btn.onclick = function() {
+          self.setThreshold(threshold);
+        };
+
+        buttonGroup.appendChild(btn);
       }
-      return true;
+
+      container.appendChild(buttonGroup);
+
+      // Custom threshold - applied on Enter or when the input loses focus
+      const isCustom = CONFIG.COMMENT_THRESHOLDS.indexOf(this.state.commentThreshold) === -1;
+      const customInput = Utils.createElement('input',
+        { type: 'number', min: '0', placeholder: I18n.t('threshold.custom'), value: isCustom ? String(this.state.commentThreshold) : '' },
+        {
+          width: '70px',
+          padding: '3px 6px',
+          fontSize: '12px',
+          border: isCustom ? '2px solid #0073b1' : '1px solid #ccc',
+          borderRadius: '4px'
+        }
+      );
+      customInput.onchange = function() {
+        if (customInput.value !== '') {
+          customInput.blur();
+          self.setThreshold(customInput.value);
+        }
+      };
+      container.appendChild(customInput);
+
+      return container;
     }
 
-    // NEW: Setup MutationObserver to detect when new content loads
-    setupMutationObserver() {
+    setThreshold(value) {
+      if (!this.state.setThreshold(value)) return;
+      value = this.state.commentThreshold;
+      console.log('📊 Comment threshold changed to: ' + value);
+      this.refilterResults(I18n.t('threshold.changed', { threshold: value }));
+    }
+
+    setScanSettings(settings) {
+      this.state.setScanSettings(settings);
+      console.log('⏱️ Scan settings changed: ' + JSON.stringify(settings));
+      this.updateOverlay(I18n.t('scanSettings.saved'));
+    }
+
+    setFilterRules(rules) {
+      this.state.setFilterRules(rules);
+      console.log('📊 Filter rules changed: ' + rules.conditions.map(FilterRules.describe).join(' ' + rules.combinator + ' '));
+      this.refilterResults(I18n.t('rules.updated'));
+    }
+
+    setContentFilters(filters) {
+      this.state.setContentFilters(filters);
+      console.log('📊 Content filters changed (' + ContentFilters.count(filters) + ' terms)');
+      // Cached rows carry the old highlights
+      if (this.ui) this.ui.rows.clear();
+      this.refilterResults(I18n.t('filters.updated'));
+    }
+
+    // Re-evaluates every observed post against the current threshold and rules
+    refilterResults(message) {
+      const change = this.state.applyFilters();
+      this.refreshPanels();
+      this.updateOverlay(
+        I18n.t('status.refiltered', { message: message, added: change.added, removed: change.removed, total: this.state.results.length }) +
+        this.getHiddenStatus()
+      );
+      this.persistSession();
+      this.flushWebhookQueue();
+    }
+
+    createRulesSection() {
       const self = this;
-      
-      try {
-        this.state.mutationObserver = new MutationObserver(function(mutations) {
-          // Check if new post elements were added
-          for (let i = 0; i < mutations.length; i++) {
-            const mutation = mutations[i];
-            if (mutation.addedNodes && mutation.addedNodes.length > 0) {
-              for (let j = 0; j < mutation.addedNodes.length; j++) {
-                const node = mutation.addedNodes[j];
-                if (node.nodeType === 1) { // Element node
-                  if (node.matches && node.matches(CONFIG.SELECTORS.POSTS)) {
-                    self.state.contentLoaded = true;
-                    return;
-                  }
-                  if (node.querySelector && node.querySelector(CONFIG.SELECTORS.POSTS)) {
-                    self.state.contentLoaded = true;
-                    return;
-                  }
-                }
-              }
-            }
+      const rules = this.state.filterRules;
+      const container = Utils.createElement('div', {}, {
+        marginBottom: '12px',
+        padding: '8px',
+        border: '1px solid #ddd',
+        borderRadius: '6px',
+        backgroundColor: '#fafafa',
+        fontSize: '12px'
+      });
+
+      // Header: combinator toggle
+      const header = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' });
+      header.appendChild(Utils.createElement('span', { textContent: I18n.t('rules.match') }, { fontWeight: 'bold' }));
+      const combinator = Utils.createElement('select', {}, { fontSize: '12px' });
+      ['AND', 'OR'].forEach(function(value) {
+        combinator.appendChild(Utils.createElement('option', {
+          value: value,
+          textContent: I18n.t(value === 'AND' ? 'rules.all' : 'rules.any'),
+          selected: value === rules.combinator
+        }));
+      });
+      combinator.onchange = function() {
+        combinator.blur();
+        self.setFilterRules({ combinator: combinator.value, conditions: rules.conditions });
+      };
+      header.appendChild(combinator);
+      container.appendChild(header);
+
+      // Current conditions - the threshold comes first and always applies (AND), the combinator joins the rules
+      const conditions = [{ text: I18n.t('rules.threshold', { threshold: this.state.commentThreshold }), index: -1 }].concat(
+        rules.conditions.map(function(condition, index) {
+          return { text: FilterRules.describe(condition), index: index };
+        })
+      );
+      for (let i = 0; i < conditions.length; i++) {
+        const item = conditions[i];
+        const row = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '2px 0' });
+        const joiner = i === 0 ? '' : (i === 1 ? 'AND ' : rules.combinator + ' ');
+        row.appendChild(Utils.createElement('span', { textContent: joiner + item.text }));
+        if (item.index !== -1) {
+          const removeBtn = DOM.createButton('✕', '#d9534f', function() {
+            self.setFilterRules({
+              combinator: rules.combinator,
+              conditions: rules.conditions.filter(function(c, index) { return index !== item.index; })
+            });
+          });
+          removeBtn.style.marginRight = '0';
+          row.appendChild(removeBtn);
+        }
+        container.appendChild(row);
+      }
+
+      // New condition row
+      const addRow = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', gap: '4px', marginTop: '6px' });
+      const typeSelect = Utils.createElement('select', {}, { fontSize: '12px' });
+      for (let i = 0; i < CONFIG.RULE_TYPES.length; i++) {
+        typeSelect.appendChild(Utils.createElement('option', { value: CONFIG.RULE_TYPES[i].type, textContent: I18n.t('rules.types.' + CONFIG.RULE_TYPES[i].type) }));
+      }
+      const operatorSelect = Utils.createElement('select', {}, { fontSize: '12px' });
+      for (let i = 0; i < CONFIG.RULE_OPERATORS.length; i++) {
+        operatorSelect.appendChild(Utils.createElement('option', { value: CONFIG.RULE_OPERATORS[i], textContent: CONFIG.RULE_OPERATORS[i] }));
+      }
+      const valueInput = Utils.createElement('input', { type: 'text', placeholder: I18n.t('rules.value') }, { width: '110px', fontSize: '12px', padding: '2px 4px' });
+
+      typeSelect.onchange = function() {
+        const ruleType = CONFIG.RULE_TYPES.filter(function(t) { return t.type === typeSelect.value; })[0];
+        operatorSelect.style.display = ruleType.numeric ? '' : 'none';
+      };
+
+      const addBtn = DOM.createButton(I18n.t('add'), '#0073b1', function() {
+        const condition = FilterRules.create(typeSelect.value, operatorSelect.value, valueInput.value);
+        if (!condition) {
+          self.updateOverlay(I18n.t('rules.invalid', { value: valueInput.value }));
+          return;
+        }
+        self.setFilterRules({ combinator: rules.combinator, conditions: rules.conditions.concat([condition]) });
+      });
+
+      addRow.appendChild(typeSelect);
+      addRow.appendChild(operatorSelect);
+      addRow.appendChild(valueInput);
+      addRow.appendChild(addBtn);
+      container.appendChild(addRow);
+
+      return container;
+    }
+
+    createFiltersSection() {
+      const self = this;
+      const filters = this.state.contentFilters;
+      const container = Utils.createElement('div', {}, {
+        marginBottom: '12px',
+        padding: '8px',
+        border: '1px solid #ddd',
+        borderRadius: '6px',
+        backgroundColor: '#fafafa',
+        fontSize: '12px'
+      });
+
+      container.appendChild(Utils.createElement('div',
+        { textContent: I18n.t('filters.title') },
+        { fontWeight: 'bold', marginBottom: '6px' }
+      ));
+
+      const grid = Utils.createElement('div', {}, {
+        display: 'grid',
+        gridTemplateColumns: '70px 1fr 1fr',
+        gap: '4px',
+        alignItems: 'start'
+      });
+      ['', I18n.t('filters.include'), I18n.t('filters.exclude')].forEach(function(heading) {
+        grid.appendChild(Utils.createElement('span', { textContent: heading }, { color: '#666' }));
+      });
+
+      const rows = [
+        { key: 'keywords', label: I18n.t('filters.keywords') },
+        { key: 'hashtags', label: I18n.t('filters.hashtags') },
+        { key: 'authors', label: I18n.t('filters.authors') }
+      ];
+      const inputs = {};
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        grid.appendChild(Utils.createElement('span', { textContent: row.label }, { paddingTop: '3px' }));
+        inputs[row.key] = {};
+        ['include', 'exclude'].forEach(function(mode) {
+          const textarea = Utils.createElement('textarea',
+            { rows: 2, value: filters[row.key][mode].join('\n'), placeholder: row.key === 'authors' ? I18n.t('filters.authorPlaceholder') : '' },
+            { width: '100%', fontSize: '12px', boxSizing: 'border-box', resize: 'vertical' }
+          );
+          inputs[row.key][mode] = textarea;
+          grid.appendChild(textarea);
+        });
+      }
+      container.appendChild(grid);
+
+      const footer = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginTop: '6px' });
+      const regexLabel = Utils.createElement('label', {}, { cursor: 'pointer' });
+      const regexCheckbox = Utils.createElement('input', { type: 'checkbox', checked: filters.keywords.regex });
+      regexLabel.appendChild(regexCheckbox);
+      regexLabel.appendChild(document.createTextNode(' ' + I18n.t('filters.regex')));
+      footer.appendChild(regexLabel);
+
+      const toTerms = function(textarea) {
+        return textarea.value.split('\n').map(function(t) { return t.trim(); }).filter(Boolean);
+      };
+      const applyBtn = DOM.createButton(I18n.t('apply'), '#0073b1', function() {
+        const updated = ContentFilters.empty();
+        rows.forEach(function(row) {
+          updated[row.key].include = toTerms(inputs[row.key].include);
+          updated[row.key].exclude = toTerms(inputs[row.key].exclude);
+        });
+        updated.keywords.regex = regexCheckbox.checked;
+        self.setContentFilters(updated);
+      });
+      applyBtn.style.marginRight = '0';
+      footer.appendChild(applyBtn);
+      container.appendChild(footer);
+
+      return container;
+    }
+
+    createExportOptionsSection() {
+      const self = this;
+      const container = Utils.createElement('div', {}, {
+        marginBottom: '12px',
+        padding: '8px',
+        border: '1px solid #ddd',
+        borderRadius: '6px',
+        backgroundColor: '#fafafa',
+        fontSize: '12px'
+      });
+
+      const formatRow = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' });
+      formatRow.appendChild(Utils.createElement('span', { textContent: I18n.t('exportOptions.format') }, { fontWeight: 'bold' }));
+      const formatSelect = Utils.createElement('select', {}, { fontSize: '12px' });
+      for (const key in Exporters.FORMATS) {
+        if (Object.prototype.hasOwnProperty.call(Exporters.FORMATS, key)) {
+          formatSelect.appendChild(Utils.createElement('option', {
+            value: key,
+            textContent: Exporters.FORMATS[key].label,
+            selected: key === this.state.exportFormat
+          }));
+        }
+      }
+      formatSelect.onchange = function() {
+        formatSelect.blur();
+        self.state.setExportFormat(formatSelect.value);
+        self.refreshPanels();
+        self.updateOverlay(I18n.t('exportOptions.formatChanged', { format: Exporters.FORMATS[formatSelect.value].label }));
+      };
+      formatRow.appendChild(formatSelect);
+      container.appendChild(formatRow);
+
+      container.appendChild(Utils.createElement('div',
+        { textContent: I18n.t('exportOptions.columns') },
+        { fontWeight: 'bold', marginBottom: '4px' }
+      ));
+      const columns = Utils.createElement('div', {}, { display: 'flex', flexWrap: 'wrap', gap: '4px 12px' });
+      for (let i = 0; i < Exporters.COLUMNS.length; i++) {
+        const column = Exporters.COLUMNS[i];
+        const label = Utils.createElement('label', {}, { cursor: 'pointer' });
+        const checkbox = Utils.createElement('input', {
+          type: 'checkbox',
+          checked: this.state.exportColumns.indexOf(column.key) !== -1
+        });
+        checkbox.onchange = function() {
+          const keys = self.state.exportColumns.filter(function(key) { return key !== column.key; });
+          if (checkbox.checked) keys.push(column.key);
+          if (keys.length === 0) {
+            checkbox.checked = true;
+            return;
+          }
+          self.state.setExportColumns(keys);
+        };
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + column.label));
+        columns.appendChild(label);
+      }
+      container.appendChild(columns);
+
+      if (this.state.exportFormat === 'csv') {
+        container.appendChild(this.createCsvOptions());
+      }
+
+      const commentCount = Exporters.countScannedComments(this.state.results);
+      if (commentCount) {
+        const commentsBtn = DOM.createButton(I18n.t('exportOptions.downloadComments', { count: commentCount }), '#5cb85c', function() {
+          self.downloadComments();
+        });
+        commentsBtn.style.marginTop = '8px';
+        container.appendChild(commentsBtn);
+      }
+
+      return container;
+    }
+
+    createCsvOptions() {
+      const self = this;
+      const options = this.state.csvOptions;
+      const container = Utils.createElement('div', {}, { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '4px 10px', marginTop: '8px' });
+      container.appendChild(Utils.createElement('span', { textContent: 'CSV' }, { fontWeight: 'bold' }));
+
+      const update = function(key, value) {
+        const updated = {};
+        for (const k in self.state.csvOptions) {
+          if (Object.prototype.hasOwnProperty.call(self.state.csvOptions, k)) {
+            updated[k] = self.state.csvOptions[k];
           }
+        }
+        updated[key] = value;
+        self.state.setCsvOptions(updated);
+      };
+
+      const selects = [
+        { key: 'delimiter', label: I18n.t('exportOptions.delimiter'), choices: [[',', I18n.t('exportOptions.comma')], [';', I18n.t('exportOptions.semicolon')], ['tab', I18n.t('exportOptions.tab')]] },
+        { key: 'lineEnding', label: I18n.t('exportOptions.lineEnding'), choices: [['lf', 'LF'], ['crlf', I18n.t('exportOptions.crlf')]] },
+        { key: 'dateFormat', label: I18n.t('exportOptions.dates'), choices: [['iso', 'ISO 8601'], ['locale', I18n.t('exportOptions.local', { locale: options.locale })]] },
+        { key: 'numberFormat', label: I18n.t('exportOptions.numbers'), choices: [['plain', I18n.t('exportOptions.plain')], ['locale', I18n.t('exportOptions.local', { locale: options.locale })]] }
+      ];
+      selects.forEach(function(item) {
+        const label = Utils.createElement('label', { textContent: item.label + ' ' });
+        const select = Utils.createElement('select', {}, { fontSize: '12px' });
+        item.choices.forEach(function(choice) {
+          select.appendChild(Utils.createElement('option', { value: choice[0], textContent: choice[1], selected: options[item.key] === choice[0] }));
         });
+        select.onchange = function() {
+          select.blur();
+          update(item.key, select.value);
+        };
+        label.appendChild(select);
+        container.appendChild(label);
+      });
+
+      const bomLabel = Utils.createElement('label', {}, { cursor: 'pointer' });
+      const bomCheckbox = Utils.createElement('input', { type: 'checkbox', checked: options.bom });
+      bomCheckbox.onchange = function() {
+        update('bom', bomCheckbox.checked);
+      };
+      bomLabel.appendChild(bomCheckbox);
+      bomLabel.appendChild(document.createTextNode(' UTF-8 BOM'));
+      container.appendChild(bomLabel);
+
+      return container;
+    }
+
+    toggleExportOptions() {
+      this.state.exportOptionsVisible = !this.state.exportOptionsVisible;
+      this.refreshPanels();
+      this.updateOverlay();
+    }
+
+    toggleWebhook() {
+      this.state.webhookVisible = !this.state.webhookVisible;
+      this.refreshPanels();
+      this.updateOverlay();
+    }
+
+    createWebhookSection() {
+      const self = this;
+      const settings = this.state.webhookSettings;
+      const container = Utils.createElement('div', {}, {
+        marginBottom: '12px',
+        padding: '8px',
+        border: '1px solid #ddd',
+        borderRadius: '6px',
+        backgroundColor: '#fafafa',
+        fontSize: '12px'
+      });
+
+      const enabledLabel = Utils.createElement('label', {}, { cursor: 'pointer', fontWeight: 'bold', display: 'block', marginBottom: '6px' });
+      const enabledCheckbox = Utils.createElement('input', { type: 'checkbox', checked: settings.enabled });
+      enabledLabel.appendChild(enabledCheckbox);
+      enabledLabel.appendChild(document.createTextNode(' ' + I18n.t('webhook.enabled')));
+      container.appendChild(enabledLabel);
+
+      const grid = Utils.createElement('div', {}, {
+        display: 'grid',
+        gridTemplateColumns: '90px 1fr',
+        gap: '4px 8px',
+        alignItems: 'center'
+      });
+      const fields = [
+        { key: 'url', label: I18n.t('webhook.url'), type: 'url', placeholder: 'http://localhost:8080/linkedin' },
+        { key: 'headerName', label: I18n.t('webhook.headerName'), type: 'text', placeholder: 'Authorization' },
+        { key: 'headerValue', label: I18n.t('webhook.headerValue'), type: 'password', placeholder: 'Bearer …' },
+        { key: 'batchSize', label: I18n.t('webhook.batchSize'), type: 'number', placeholder: '1' }
+      ];
+      const inputs = {};
+      fields.forEach(function(field) {
+        grid.appendChild(Utils.createElement('span', { textContent: field.label }));
+        inputs[field.key] = Utils.createElement('input',
+          { type: field.type, value: settings[field.key], placeholder: field.placeholder },
+          { width: '100%', fontSize: '12px', boxSizing: 'border-box' }
+        );
+        grid.appendChild(inputs[field.key]);
+      });
+      inputs.batchSize.min = 1;
+      container.appendChild(grid);
+
+      const readForm = function() {
+        return {
+          enabled: enabledCheckbox.checked,
+          url: inputs.url.value.trim(),
+          headerName: inputs.headerName.value.trim(),
+          headerValue: inputs.headerValue.value,
+          batchSize: Math.max(1, parseInt(inputs.batchSize.value, 10) || 1)
+        };
+      };
 
-        // Observe the main feed container or body
-        const feedContainer = document.querySelector(CONFIG.SELECTORS.FEED_CONTAINER) || document.body;
-        this.state.mutationObserver.observe(feedContainer, {
-          childList: true,
-          subtree: true
-        });
-      } catch (e) {
-        console.warn('MutationObserver not available:', e);
-      }
+      const footer = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginTop: '6px' });
+      footer.appendChild(Utils.createElement('span', {
+        textContent: I18n.t('webhook.queued', { count: this.state.webhookQueue.length }) + (this.webhook.retryTimer ? I18n.t('webhook.retrying') : '')
+      }, { color: '#666' }));
+
+      const buttons = Utils.createElement('div');
+      buttons.appendChild(DOM.createButton(I18n.t('webhook.test'), '#888', function() {
+        self.testWebhook(readForm());
+      }));
+      const saveBtn = DOM.createButton(I18n.t('save'), '#0073b1', function() {
+        const updated = readForm();
+        if (updated.enabled && !/^https?:\/\//i.test(updated.url)) {
+          self.notify(I18n.t('webhook.urlRequired'), 'warning');
+          return;
+        }
+        self.setWebhookSettings(updated);
+      });
+      saveBtn.style.marginRight = '0';
+      buttons.appendChild(saveBtn);
+      footer.appendChild(buttons);
+      container.appendChild(footer);
+
+      return container;
     }
 
-    scanPosts() {
-      const posts = document.querySelectorAll(CONFIG.SELECTORS.POSTS);
-      let foundNew = 0;
+    toggleLog() {
+      this.state.logVisible = !this.state.logVisible;
+      this.refreshPanels();
+      this.updateOverlay();
+    }
 
-      for (let i = 0; i < posts.length; i++) {
-        const post = posts[i];
-        const dataId = this.getPostDataId(post);
-        if (!this.isValidPost(dataId)) continue;
+    createLogSection() {
+      const self = this;
+      const container = Utils.createElement('div', {}, {
+        marginBottom: '12px',
+        padding: '8px',
+        border: '1px solid #ddd',
+        borderRadius: '6px',
+        backgroundColor: '#fafafa',
+        fontSize: '12px'
+      });
 
-        this.state.seenPostIds.add(dataId);
-        const commentCount = this.getCommentCount(post);
+      const header = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '6px' });
+      header.appendChild(Utils.createElement('span', { textContent: I18n.t('log.title') }, { fontWeight: 'bold' }));
+      const desktopLabel = Utils.createElement('label', {}, { cursor: 'pointer' });
+      const desktopCheckbox = Utils.createElement('input', { type: 'checkbox', checked: this.state.desktopNotifications });
+      desktopCheckbox.onchange = function() {
+        self.setDesktopNotifications(desktopCheckbox.checked).then(function(enabled) {
+          desktopCheckbox.checked = enabled;
+        });
+      };
+      desktopLabel.appendChild(desktopCheckbox);
+      desktopLabel.appendChild(document.createTextNode(' ' + I18n.t('log.desktop')));
+      header.appendChild(desktopLabel);
+      container.appendChild(header);
 
-        if (commentCount >= this.state.commentThreshold) {
-          const link = "https://www.linkedin.com/feed/update/" + dataId;
-          const result = { link: link, comments: commentCount, postNode: post };
-          
-          if (this.state.addResult(result)) {
-            foundNew++;
-          }
-        }
+      const list = Utils.createElement('div', {}, { maxHeight: '160px', overflowY: 'auto' });
+      if (this.state.eventLog.length === 0) {
+        list.appendChild(Utils.createElement('div', { className: 'log-empty', textContent: I18n.t('log.empty') }, { color: '#666' }));
       }
+      this.state.eventLog.forEach(function(entry) {
+        list.appendChild(self.createLogEntry(entry));
+      });
+      this.ui.logList = list;
+      container.appendChild(list);
 
-      this.updateOverlay("Scroll #" + this.state.scrollCount + " — Found " + foundNew + " new | Total: " + this.state.results.length);
-      return foundNew;
+      const diagnosticsBtn = DOM.createButton(I18n.t('health.exportDiagnostics'), '#888', function() { self.downloadDiagnostics(); });
+      diagnosticsBtn.title = I18n.t('health.diagnosticsHint');
+      diagnosticsBtn.style.marginTop = '6px';
+      container.appendChild(diagnosticsBtn);
+
+      return container;
     }
 
-    getPostDataId(post) {
-      let dataId = post.getAttribute('data-id');
-      if (!dataId) {
-        const parentWithId = Utils.getParentWithDataId(post);
-        dataId = parentWithId ? parentWithId.getAttribute('data-id') : null;
-      }
-      return dataId;
+    createLogEntry(entry) {
+      const style = CONFIG.LOG_LEVELS[entry.level];
+      return Utils.createElement('div', {
+        textContent: new Date(entry.at).toLocaleTimeString() + ' ' + style.icon + ' ' + entry.message
+      }, { padding: '2px 0', borderBottom: '1px solid #eee', color: entry.level === 'error' ? style.color : '#333' });
     }
 
-    isValidPost(dataId) {
-      return dataId && 
-             !this.state.seenPostIds.has(dataId) && 
-             dataId.indexOf('activity:') !== -1;
+    toggleScanSettings() {
+      this.state.scanSettingsVisible = !this.state.scanSettingsVisible;
+      this.refreshPanels();
+      this.updateOverlay();
     }
 
-    getCommentCount(post) {
-      // Use multi-language selector
-      const commentButton = post.querySelector(CONFIG.SELECTORS.COMMENT_BUTTON);
-      if (!commentButton) return 0;
+    createScanSettingsSection() {
+      const self = this;
+      const container = Utils.createElement('div', {}, {
+        marginBottom: '12px',
+        padding: '8px',
+        border: '1px solid #ddd',
+        borderRadius: '6px',
+        backgroundColor: '#fafafa',
+        fontSize: '12px'
+      });
 
-      const span = commentButton.querySelector(CONFIG.SELECTORS.COMMENT_SPAN);
-      const commentText = span ? span.innerText.trim() : '';
-      return Utils.extractNumber(commentText);
-    }
+      container.appendChild(Utils.createElement('div',
+        { textContent: I18n.t('scanSettings.title') },
+        { fontWeight: 'bold', marginBottom: '6px' }
+      ));
 
-    // NEW: Find and click "Neue Beiträge anzeigen" / "Show new posts" button
-    clickLoadMoreButton() {
-      const buttons = document.querySelectorAll(CONFIG.SELECTORS.LOAD_MORE_BUTTON);
-      
-      for (let i = 0; i < buttons.length; i++) {
-        const button = buttons[i];
-        const buttonText = (button.textContent || button.innerText || '').trim();
-        
-        // Check if button text matches any of our load-more texts
-        for (let j = 0; j < CONFIG.SELECTORS.LOAD_MORE_TEXTS.length; j++) {
-          if (buttonText.indexOf(CONFIG.SELECTORS.LOAD_MORE_TEXTS[j]) !== -1) {
-            console.log('🔘 Found "Load more" button: "' + buttonText + '" - clicking...');
-            
-            try {
-              button.click();
-              this.updateOverlay('Clicked "' + buttonText + '" - loading more posts...');
-              return true;
-            } catch (e) {
-              console.warn('Failed to click load-more button:', e);
-            }
-          }
+      const grid = Utils.createElement('div', {}, {
+        display: 'grid',
+        gridTemplateColumns: '1fr 80px',
+        gap: '4px 8px',
+        alignItems: 'center'
+      });
+      const inputs = {};
+      ScanSettings.FIELDS.forEach(function(field) {
+        grid.appendChild(Utils.createElement('span', { textContent: I18n.t('scanSettings.fields.' + field.key) }));
+        inputs[field.key] = Utils.createElement('input',
+          { type: 'number', min: field.min, step: field.step, value: self.state.scanSettings[field.key] },
+          { width: '100%', fontSize: '12px', boxSizing: 'border-box' }
+        );
+        grid.appendChild(inputs[field.key]);
+      });
+      container.appendChild(grid);
+
+      const footer = Utils.createElement('div', {}, { display: 'flex', justifyContent: 'flex-end', marginTop: '6px' });
+      const applyBtn = DOM.createButton(I18n.t('apply'), '#0073b1', function() {
+        const values = {};
+        for (const key in inputs) {
+          if (Object.prototype.hasOwnProperty.call(inputs, key)) values[key] = inputs[key].value;
         }
-      }
-      
-      return false;
+        const settings = ScanSettings.normalize(values);
+        if (!settings) {
+          self.notify(I18n.t('scanSettings.invalid'), 'warning');
+          return;
+        }
+        self.setScanSettings(settings);
+      });
+      applyBtn.style.marginRight = '0';
+      footer.appendChild(applyBtn);
+      container.appendChild(footer);
+
+      return container;
+    }
+
+    toggleFilters() {
+      this.state.filtersVisible = !this.state.filtersVisible;
+      this.refreshPanels();
+      this.updateOverlay();
     }
 
-    scrollAndScan() {
+    toggleRules() {
+      this.state.rulesVisible = !this.state.rulesVisible;
+      this.refreshPanels();
+      this.updateOverlay();
+    }
+
+    // Labels are functions so updateOverlay() can patch them without rebuilding the buttons
+    createControlsSection() {
       const self = this;
-      
-      if (this.state.paused || this.state.scrollFailureDetected) return;
+      const container = Utils.createElement('div', {}, { marginBottom: '12px', display: 'flex', flexWrap: 'wrap', rowGap: '6px' });
 
-      // NEW: Check for and click "Load more posts" button first
-      if (this.clickLoadMoreButton()) {
-        // Button was clicked - wait for content to load, then scan
-        setTimeout(function() {
-          self.scanPosts();
-        }, 2000);
-        return; // Don't scroll this cycle, let the button load content
-      }
+      const buttons = [
+        { text: function() { return I18n.t(self.loop.active ? 'controls.pause' : 'controls.resume'); }, color: '#f0ad4e', action: function() { self.togglePause(); } },
+        { text: function() { return I18n.t('controls.clipboard'); }, color: '#5bc0de', action: function() { self.copyToClipboard(); } },
+        { text: function() { return I18n.t('controls.download', { format: Exporters.FORMATS[self.state.exportFormat].label }); }, color: '#5cb85c', action: function() { self.downloadResults(); } },
+        { text: function() { return I18n.t(self.state.exportOptionsVisible ? 'controls.hideExportOptions' : 'controls.exportOptions'); }, color: '#888', action: function() { self.toggleExportOptions(); } },
+        { text: function() { return I18n.t(self.state.postsVisible ? 'controls.hidePosts' : 'controls.showPosts'); }, color: '#888', action: function() { self.togglePostsVisibility(); } },
+        { text: function() { return I18n.t(self.state.scanSettingsVisible ? 'controls.hideScanSettings' : 'controls.scanSettings'); }, color: '#888', action: function() { self.toggleScanSettings(); } },
+        { text: function() { return I18n.t(self.state.webhookVisible ? 'controls.hideWebhook' : (self.state.webhookSettings.enabled ? 'controls.webhookOn' : 'controls.webhook')); }, color: '#888', action: function() { self.toggleWebhook(); } },
+        { text: function() { return I18n.t(self.state.logVisible ? 'controls.hideLog' : 'controls.log'); }, color: '#888', action: function() { self.toggleLog(); } },
+        { text: function() { return I18n.t(self.state.sessionsVisible ? 'controls.hideSessions' : 'controls.sessions'); }, color: '#6f42c1', action: function() { self.toggleSessions(); } },
+        { text: function() { return self.state.archiveVisible ? I18n.t('controls.hideArchive') : I18n.t('controls.archive', { count: self.state.archive.size }); }, color: '#6f42c1', action: function() { self.toggleArchive(); } },
+        { text: function() { return I18n.t(self.state.importVisible ? 'controls.hideImport' : 'controls.import'); }, color: '#6f42c1', action: function() { self.toggleImport(); } },
+        { text: function() { return I18n.t(self.state.insightsVisible ? 'controls.hideInsights' : 'controls.insights'); }, color: '#e83e8c', action: function() { self.toggleInsights(); } },
+        { text: function() { return self.state.rulesVisible ? I18n.t('controls.hideRules') : I18n.t('controls.rules', { count: self.state.filterRules.conditions.length }); }, color: '#17a2b8', action: function() { self.toggleRules(); } },
+        { text: function() { return self.state.filtersVisible ? I18n.t('controls.hideFilters') : I18n.t('controls.filters', { count: ContentFilters.count(self.state.contentFilters) }); }, color: '#20c997', action: function() { self.toggleFilters(); } }
+      ];
 
-      const scrollInfo = Utils.getScrollInfo();
-      const prevScroll = scrollInfo.currentScroll;
-      const prevHeight = scrollInfo.maxScroll;
-      
-      this.state.scrollCount++;
-      this.state.contentLoaded = false; // Reset content flag
-      
-      if (this.state.scrollCount >= CONFIG.MAX_SCROLLS) {
-        this.handleMaxScrollsReached();
-        return;
+      for (let i = 0; i < buttons.length; i++) {
+        const button = DOM.createButton(buttons[i].text(), buttons[i].color, buttons[i].action);
+        this.ui.controlButtons.push({ button: button, text: buttons[i].text });
+        container.appendChild(button);
       }
 
-      console.log("⬇️ Scrolling to: " + scrollInfo.maxScroll + " (Scroll #" + this.state.scrollCount + ")");
-      
-      try {
-        window.scrollTo({ top: scrollInfo.maxScroll, behavior: 'smooth' });
-      } catch (e) {
-        // Fallback for older browsers
-        window.scrollTo(0, scrollInfo.maxScroll);
+      return container;
+    }
+
+    // Optional panels (export options, rules, filters, sessions) - rebuilt only when their content changes
+    createPanelsSection() {
+      const container = Utils.createElement('div');
+      if (this.state.exportOptionsVisible) {
+        container.appendChild(this.createExportOptionsSection());
+      }
+      if (this.state.scanSettingsVisible) {
+        container.appendChild(this.createScanSettingsSection());
+      }
+      if (this.state.rulesVisible) {
+        container.appendChild(this.createRulesSection());
+      }
+      if (this.state.filtersVisible) {
+        container.appendChild(this.createFiltersSection());
+      }
+      if (this.state.sessionsVisible) {
+        container.appendChild(this.createSessionsSection());
+      }
+      if (this.state.archiveVisible) {
+        container.appendChild(this.createArchiveSection());
+      }
+      if (this.state.importVisible) {
+        container.appendChild(this.createImportSection());
       }
+      if (this.state.insightsVisible) {
+        this.ui.insights = this.createInsightsSection();
+        container.appendChild(this.ui.insights);
+      }
+      if (this.state.webhookVisible) {
+        container.appendChild(this.createWebhookSection());
+      }
+      if (this.state.logVisible) {
+        container.appendChild(this.createLogSection());
+      }
+      return container;
+    }
 
-      // Wait for scroll and content to load
-      setTimeout(function() {
-        self.validateScroll(prevScroll, prevHeight);
-      }, CONFIG.SCROLL_DETECTION_DELAY);
+    refreshPanels() {
+      if (!this.ui || !this.ui.panels) return;
+      const panels = this.createPanelsSection();
+      this.ui.panels.parentNode.replaceChild(panels, this.ui.panels);
+      this.ui.panels = panels;
     }
 
-    validateScroll(prevScroll, prevHeight) {
+    createSessionsSection() {
       const self = this;
-      const scrollInfo = Utils.getScrollInfo();
-      const currentScroll = scrollInfo.currentScroll;
-      const currentHeight = scrollInfo.maxScroll;
-      
-      // Check if page grew (new content loaded) OR we actually scrolled OR mutation observer detected content
-      const pageGrew = currentHeight > prevHeight + 100;
-      const didScroll = Math.abs(currentScroll - prevScroll) > 50;
-      const contentDetected = this.state.contentLoaded;
+      const container = Utils.createElement('div', {}, {
+        marginBottom: '12px',
+        padding: '8px',
+        border: '1px solid #ddd',
+        borderRadius: '6px',
+        backgroundColor: '#fafafa'
+      });
 
-      console.log("📊 Scroll check: pageGrew=" + pageGrew + ", didScroll=" + didScroll + ", contentDetected=" + contentDetected + ", retries=" + this.state.scrollRetryCount);
+      container.appendChild(Utils.createElement('div',
+        { textContent: I18n.t('sessions.title') },
+        { fontWeight: 'bold', fontSize: '13px', marginBottom: '6px' }
+      ));
 
-      if (pageGrew || didScroll || contentDetected) {
-        // Success - reset retry counter and scan
-        this.state.scrollRetryCount = 0;
-        this.scanPosts();
-      } else if (scrollInfo.nearBottom) {
-        // At bottom - check for "Load more" button first
-        if (this.clickLoadMoreButton()) {
-          console.log('🔘 Found load-more button at bottom - waiting for content...');
-          this.state.scrollRetryCount = 0; // Reset retries since we found a button
-          setTimeout(function() {
-            self.scanPosts();
-          }, 2000);
-          return;
-        }
-        
-        // No button found - increment retry counter
-        this.state.scrollRetryCount++;
-        
-        if (this.state.scrollRetryCount >= CONFIG.MAX_SCROLL_RETRIES) {
-          console.warn('⚠️ Reached bottom after ' + CONFIG.MAX_SCROLL_RETRIES + ' retries — no more content.');
-          this.handleScrollFailure('end of feed reached (after ' + CONFIG.MAX_SCROLL_RETRIES + ' retries)');
-        } else {
-          // Wait longer and try again
-          console.log('🔄 Retry ' + this.state.scrollRetryCount + '/' + CONFIG.MAX_SCROLL_RETRIES + ' - waiting for content...');
-          this.updateOverlay('Waiting for content... (retry ' + this.state.scrollRetryCount + '/' + CONFIG.MAX_SCROLL_RETRIES + ')');
-          
-          setTimeout(function() {
-            // Try scrolling again after extra wait
-            self.scrollAndScan();
-          }, CONFIG.CONTENT_LOAD_TIMEOUT);
-        }
-      } else {
-        // Not at bottom but didn't scroll - might be a temporary issue
-        this.state.scrollRetryCount++;
-        
-        if (this.state.scrollRetryCount >= CONFIG.MAX_SCROLL_RETRIES) {
-          console.warn('⚠️ Scroll failed after ' + CONFIG.MAX_SCROLL_RETRIES + ' retries.');
-          this.handleScrollFailure('scroll blocked (after ' + CONFIG.MAX_SCROLL_RETRIES + ' retries)');
+      if (this.state.sessions.length === 0) {
+        container.appendChild(Utils.createElement('div',
+          { textContent: I18n.t('sessions.empty') },
+          { fontSize: '12px', color: '#666' }
+        ));
+        return container;
+      }
+
+      const sessions = this.state.sessions.slice(0, CONFIG.MAX_LISTED_SESSIONS);
+      for (let i = 0; i < sessions.length; i++) {
+        const session = sessions[i];
+        const isCurrent = session.id === this.state.sessionId;
+        const row = Utils.createElement('div', {}, {
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          fontSize: '12px',
+          padding: '3px 0',
+          fontWeight: isCurrent ? 'bold' : 'normal'
+        });
+
+        row.appendChild(Utils.createElement('span', {
+          textContent: I18n.t('sessions.row', {
+            started: new Date(session.startedAt).toLocaleString(),
+            threshold: session.threshold,
+            count: session.results.length
+          }) + (isCurrent ? I18n.t('sessions.current') : '')
+        }));
+
+        const actions = Utils.createElement('span');
+        if (session.id === this.state.sessionToDelete) {
+          actions.appendChild(Utils.createElement('span', { textContent: I18n.t('sessions.confirmDelete') + ' ' }));
+          actions.appendChild(DOM.createButton(I18n.t('sessions.delete'), '#d9534f', function() { self.answerDeleteSession(true); }));
+          actions.appendChild(DOM.createButton(I18n.t('sessions.keep'), '#6c757d', function() { self.answerDeleteSession(false); }));
         } else {
-          console.log('🔄 Scroll retry ' + this.state.scrollRetryCount + '/' + CONFIG.MAX_SCROLL_RETRIES);
-          this.scanPosts(); // Still scan what we have
+          if (!isCurrent) {
+            actions.appendChild(DOM.createButton(I18n.t('sessions.open'), '#0073b1', function() { self.openSession(session.id); }));
+          }
+          actions.appendChild(DOM.createButton(I18n.t('sessions.export'), '#5cb85c', function() {
+            self.downloadResults(session.results, self.getExportMeta(session));
+          }));
+          if (!isCurrent) {
+            actions.appendChild(DOM.createButton(I18n.t('sessions.delete'), '#d9534f', function() { self.deleteSession(session.id); }));
+          }
         }
+        row.appendChild(actions);
+        container.appendChild(row);
       }
-    }
 
-    handleMaxScrollsReached() {
-      this.state.paused = true;
-      this.stopScrolling();
-      this.updateOverlay("Auto-paused after " + CONFIG.MAX_SCROLLS + " scrolls | Found: " + this.state.results.length);
-      alert("Auto-scrolling paused after " + CONFIG.MAX_SCROLLS + " scrolls.\n\nFound " + this.state.results.length + " posts with 100+ comments.\n\nClick 'Resume' to continue.");
+      return container;
     }
 
-    handleScrollFailure(reason) {
-      this.state.paused = true;
-      this.state.scrollFailureDetected = true;
-      this.stopScrolling();
-      this.updateOverlay("⚠️ Paused: " + reason + " | Found: " + this.state.results.length);
-      alert(
-        "⚠️ Comments Scanner paused: " + reason + "\n\n" +
-        "Found " + this.state.results.length + " posts so far.\n\n" +
-        "You can:\n" +
-        "• Scroll down manually to load more content\n" +
-        "• Click 'Resume' to continue scanning\n" +
-        "• Export results with 'CSV Download'"
-      );
+    createArchiveSection() {
+      const self = this;
+      const container = Utils.createElement('div', {}, {
+        marginBottom: '12px',
+        padding: '8px',
+        border: '1px solid #ddd',
+        borderRadius: '6px',
+        backgroundColor: '#fafafa',
+        fontSize: '12px'
+      });
+
+      container.appendChild(Utils.createElement('div',
+        { textContent: I18n.t('archive.title') },
+        { fontWeight: 'bold', fontSize: '13px', marginBottom: '6px' }
+      ));
+
+      const counts = {};
+      this.state.archive.forEach(function(entry) {
+        counts[entry.status] = (counts[entry.status] || 0) + 1;
+      });
+      const summary = Object.keys(CONFIG.ARCHIVE_STATUSES).filter(function(status) {
+        return counts[status];
+      }).map(function(status) {
+        return CONFIG.ARCHIVE_STATUSES[status].icon + ' ' + I18n.t('archive.statuses.' + status) + ': ' + counts[status];
+      });
+      container.appendChild(Utils.createElement('div',
+        { textContent: summary.length ? summary.join(' · ') : I18n.t('archive.empty') },
+        { color: '#666', marginBottom: '6px' }
+      ));
+
+      const hideLabel = Utils.createElement('label', {}, { display: 'block', cursor: 'pointer', marginBottom: '6px' });
+      const hideCheckbox = Utils.createElement('input', { type: 'checkbox', checked: this.state.hideReviewed });
+      hideCheckbox.onchange = function() {
+        self.setHideReviewed(hideCheckbox.checked);
+      };
+      hideLabel.appendChild(hideCheckbox);
+      hideLabel.appendChild(document.createTextNode(' ' + I18n.t('archive.hideReviewed')));
+      container.appendChild(hideLabel);
+
+      const fileInput = Utils.createElement('input', { type: 'file', accept: '.json,application/json' }, { display: 'none' });
+      fileInput.onchange = function() {
+        if (fileInput.files && fileInput.files[0]) self.importArchive(fileInput.files[0]);
+        fileInput.value = '';
+      };
+      container.appendChild(fileInput);
+
+      const exportBtn = DOM.createButton(I18n.t('archive.export'), '#5cb85c', function() { self.downloadArchive(); });
+      exportBtn.disabled = this.state.archive.size === 0;
+      container.appendChild(exportBtn);
+      const importBtn = DOM.createButton(I18n.t('archive.import'), '#0073b1', function() { fileInput.click(); });
+      importBtn.title = I18n.t('archive.importHint');
+      container.appendChild(importBtn);
+
+      return container;
     }
 
-    startScanning() {
+    createImportSection() {
       const self = this;
-      
-      if (!this.state.scrollInterval) {
-        this.state.lastScrollHeight = Utils.getScrollInfo().maxScroll;
-        this.scrollAndScan();
-        this.state.scrollInterval = setInterval(function() {
-          self.scrollAndScan();
-        }, CONFIG.SCROLL_INTERVAL_MS);
-      }
-    }
+      const container = Utils.createElement('div', {}, {
+        marginBottom: '12px',
+        padding: '8px',
+        border: '1px solid #ddd',
+        borderRadius: '6px',
+        backgroundColor: '#fafafa',
+        fontSize: '12px'
+      });
 
-    stopScrolling() {
-      if (this.state.scrollInterval) {
-        clearInterval(this.state.scrollInterval);
-        this.state.scrollInterval = null;
-      }
-    }
+      container.appendChild(Utils.createElement('div',
+        { textContent: I18n.t('imports.title') },
+        { fontWeight: 'bold', fontSize: '13px', marginBottom: '6px' }
+      ));
 
-    togglePause() {
-      if (this.state.paused) {
-        this.state.reset();
-        this.startScanning();
+      const fileInput = Utils.createElement('input', { type: 'file', multiple: true, accept: '.csv,.json,.jsonl,text/csv,application/json' }, { display: 'none' });
+      fileInput.onchange = function() {
+        self.importFiles(fileInput.files);
+        fileInput.value = '';
+      };
+      container.appendChild(fileInput);
+
+      const dropZone = Utils.createElement('div', { textContent: I18n.t('imports.drop') }, {
+        padding: '14px 8px',
+        border: '2px dashed #ccc',
+        borderRadius: '6px',
+        textAlign: 'center',
+        color: '#666',
+        cursor: 'pointer'
+      });
+      const highlight = function(on) {
+        dropZone.style.borderColor = on ? '#0073b1' : '#ccc';
+        dropZone.style.backgroundColor = on ? '#e8f3fa' : 'transparent';
+      };
+      dropZone.onclick = function() { fileInput.click(); };
+      dropZone.ondragover = function(e) {
+        e.preventDefault();
+        highlight(true);
+      };
+      dropZone.ondragleave = function() { highlight(false); };
+      dropZone.ondrop = function(e) {
+        e.preventDefault();
+        highlight(false);
+        if (e.dataTransfer) self.importFiles(e.dataTransfer.files);
+      };
+      container.appendChild(dropZone);
+
+      if (this.state.importBaseline.size) {
+        this.ui.importDiff = this.createImportDiff();
+        container.appendChild(this.ui.importDiff);
       } else {
-        this.state.paused = true;
-        this.stopScrolling();
+        this.ui.importDiff = null;
       }
-      this.updateOverlay();
+
+      return container;
     }
 
-    toggleMinimize() {
-      this.state.isMinimized = !this.state.isMinimized;
-      this.updateOverlay();
+    // New and grown posts compared with the imported files - kept current while the scan goes on
+    createImportDiff() {
+      const self = this;
+      const diff = this.state.getImportDiff();
+      const container = Utils.createElement('div', {}, { marginTop: '8px' });
+      this.ui.renderedImportDiff = this.getImportDiffKey(diff);
+
+      container.appendChild(Utils.createElement('div',
+        { textContent: I18n.t('imports.compared', { count: this.state.importBaseline.size }) },
+        { color: '#666', marginBottom: '4px' }
+      ));
+
+      const addList = function(title, items, describe) {
+        container.appendChild(Utils.createElement('div', { textContent: title }, { fontWeight: 'bold', marginTop: '6px' }));
+        if (!items.length) {
+          container.appendChild(Utils.createElement('div', { textContent: I18n.t('imports.none') }, { color: '#666' }));
+          return;
+        }
+        items.slice(0, CONFIG.MAX_DIFF_ROWS).forEach(function(item) {
+          const record = item.record || item;
+          const row = Utils.createElement('div', {}, { padding: '1px 0' });
+          row.appendChild(Utils.createElement('a',
+            { href: record.link, target: '_blank', textContent: record.author.name || record.postId },
+            { color: '#0073b1', textDecoration: 'none' }
+          ));
+          row.appendChild(document.createTextNode(' — ' + describe(item)));
+          container.appendChild(row);
+        });
+        if (items.length > CONFIG.MAX_DIFF_ROWS) {
+          container.appendChild(Utils.createElement('div', { textContent: I18n.t('imports.more', { count: items.length - CONFIG.MAX_DIFF_ROWS }) }, { color: '#666' }));
+        }
+      };
+
+      addList(I18n.t('imports.newPosts', { count: diff.added.length }), diff.added, function(record) {
+        return I18n.t('imports.newRow', { comments: record.comments, reactions: record.reactions });
+      });
+      addList(I18n.t('imports.grownPosts', { count: diff.grown.length }), diff.grown, function(item) {
+        return I18n.t('imports.grownRow', {
+          before: item.baseline.comments,
+          comments: item.record.comments,
+          delta: item.record.comments - item.baseline.comments,
+          reactionsBefore: item.baseline.reactions,
+          reactions: item.record.reactions
+        });
+      });
+
+      const clearBtn = DOM.createButton(I18n.t('imports.clear'), '#888', function() { self.clearImportComparison(); });
+      clearBtn.style.marginTop = '6px';
+      container.appendChild(clearBtn);
+      return container;
     }
 
-    togglePostsVisibility() {
-      this.state.postsVisible = !this.state.postsVisible;
-      const snippets = document.querySelectorAll("#" + CONFIG.OVERLAY_ID + " .post-snippet");
-      for (let i = 0; i < snippets.length; i++) {
-        snippets[i].style.display = this.state.postsVisible ? '' : 'none';
-      }
-      this.updateOverlay();
+    getImportDiffKey(diff) {
+      return diff.added.map(function(r) { return r.id; }).join(',') + '|' +
+        diff.grown.map(function(item) { return item.record.id + ':' + item.record.comments + ':' + item.record.reactions; }).join(',');
     }
 
-    copyToClipboard() {
-      const lines = [];
-      for (let i = 0; i < this.state.results.length; i++) {
-        const result = this.state.results[i];
-        const idMatch = result.link.match(/activity:(\d+)/);
-        const postId = idMatch ? idMatch[1] : result.link;
-        lines.push("Post ID: " + postId + " — " + result.link + " — " + result.comments + " comments");
-      }
-      
-      const text = lines.join('\n');
-      
-      if (navigator.clipboard && navigator.clipboard.writeText) {
-        navigator.clipboard.writeText(text).then(function() {
-          alert('Copied ' + lines.length + ' results to clipboard!');
-        }).catch(function(err) {
-          console.error('Clipboard failed:', err);
-          this.fallbackCopy(text);
-        }.bind(this));
-      } else {
-        this.fallbackCopy(text);
-      }
+    refreshImportDiff() {
+      if (!this.ui || !this.ui.importDiff || !document.body.contains(this.ui.importDiff)) return;
+      if (this.ui.renderedImportDiff === this.getImportDiffKey(this.state.getImportDiff())) return;
+      const importDiff = this.createImportDiff();
+      this.ui.importDiff.parentNode.replaceChild(importDiff, this.ui.importDiff);
+      this.ui.importDiff = importDiff;
     }
 
-    fallbackCopy(text) {
-      // Fallback for older browsers
-      const textarea = document.createElement('textarea');
-      textarea.value = text;
-      textarea.style.position = 'fixed';
-      textarea.style.opacity = '0';
-      document.body.appendChild(textarea);
-      textarea.select();
-      try {
-        document.execCommand('copy');
-        alert('Copied to clipboard!');
-      } catch (e) {
-        alert('Copy failed. Please copy manually from console.');
-        console.log(text);
-      }
-      document.body.removeChild(textarea);
+    toggleInsights() {
+      this.state.insightsVisible = !this.state.insightsVisible;
+      this.refreshPanels();
+      this.updateOverlay();
     }
 
-    downloadCSV() {
-      const rows = [['Post ID', 'URL', 'Comments']];
-      
-      for (let i = 0; i < this.state.results.length; i++) {
-        const result = this.state.results[i];
-        const idMatch = result.link.match(/activity:(\d+)/);
-        const postId = idMatch ? idMatch[1] : result.link;
-        rows.push([postId, result.link, result.comments]);
-      }
+    // Charts are built from the current results and rebuilt when counts change
+    createInsightsSection() {
+      const self = this;
+      const results = this.state.results;
+      const container = Utils.createElement('div', {}, {
+        marginBottom: '12px',
+        padding: '8px',
+        border: '1px solid #ddd',
+        borderRadius: '6px',
+        backgroundColor: '#fafafa',
+        fontSize: '12px'
+      });
+      this.ui.renderedInsights = this.getInsightsKey();
 
-      const csvLines = [];
-      for (let i = 0; i < rows.length; i++) {
-        const row = rows[i];
-        const escapedRow = [];
-        for (let j = 0; j < row.length; j++) {
-          escapedRow.push('"' + String(row[j]).replace(/"/g, '""') + '"');
-        }
-        csvLines.push(escapedRow.join(','));
-      }
-      const csvContent = csvLines.join('\n');
-      
-      try {
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'linkedin_posts_' + new Date().toISOString().split('T')[0] + '.csv';
-        link.style.display = 'none';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        alert("Downloaded " + this.state.results.length + " results.");
-      } catch (e) {
-        console.error('Download failed:', e);
-        alert('Download failed. Check console for data.');
-        console.log(csvContent);
+      container.appendChild(Utils.createElement('div',
+        { textContent: I18n.t('insights.title') },
+        { fontWeight: 'bold', fontSize: '13px', marginBottom: '6px' }
+      ));
+      if (!results.length) {
+        container.appendChild(Utils.createElement('div', { textContent: I18n.t('insights.empty') }, { color: '#666' }));
+        return container;
       }
-    }
 
-    close() {
-      this.stopScrolling();
-      
-      // Cleanup MutationObserver
-      if (this.state.mutationObserver) {
-        this.state.mutationObserver.disconnect();
-        this.state.mutationObserver = null;
-      }
-      
-      DOM.removeExisting(CONFIG.OVERLAY_ID);
-      
-      // Cleanup
-      this.state.seenPostIds.clear();
-      this.state.results.length = 0;
-    }
+      container.appendChild(Utils.createElement('div', {
+        textContent: I18n.t('insights.summary', {
+          posts: results.length,
+          comments: Insights.median(results.map(function(r) { return r.comments; })),
+          reactions: Insights.median(results.map(function(r) { return r.reactions; })),
+          authors: new Set(results.map(function(r) { return r.author.name; })).size
+        })
+      }, { marginBottom: '6px' }));
+
+      const hours = Insights.hourDistribution(results);
+      const weekdays = Insights.weekdayDistribution(results);
+      const charts = [
+        { key: 'comments', items: Insights.commentHistogram(results), columns: true },
+        { key: 'authors', items: Insights.topAuthors(results) },
+        { key: 'hours', items: hours.items, columns: true, count: hours.count },
+        { key: 'weekdays', items: weekdays.items, columns: true, count: weekdays.count },
+        { key: 'hashtags', items: Insights.topHashtags(results) },
+        { key: 'keywords', items: Insights.topKeywords(results) },
+        { key: 'media', items: Insights.mediaEngagement(results) }
+      ];
 
-    // UI Creation methods
-    createOverlay(statusText) {
-      statusText = statusText || '';
-      DOM.removeExisting(CONFIG.OVERLAY_ID);
+      charts.forEach(function(chart) {
+        const card = Utils.createElement('div', {}, { marginTop: '8px' });
+        const header = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '2px' });
+        header.appendChild(Utils.createElement('span', { textContent: I18n.t('insights.charts.' + chart.key) }, { fontWeight: 'bold' }));
+        card.appendChild(header);
 
-      const overlay = this.createOverlayContainer();
-      const header = this.createHeader();
-      
-      overlay.appendChild(header);
+        const empty = chart.count === 0 || !chart.items.some(function(item) { return item.value > 0; });
+        if (empty) {
+          card.appendChild(Utils.createElement('div', { textContent: I18n.t('insights.noData') }, { color: '#666' }));
+          container.appendChild(card);
+          return;
+        }
 
-      if (!this.state.isMinimized) {
-        const status = this.createStatusSection(statusText);
-        const threshold = this.createThresholdSection();
-        const controls = this.createControlsSection();
-        const results = this.createResultsSection();
-        
-        overlay.appendChild(status);
-        overlay.appendChild(threshold);
-        overlay.appendChild(controls);
-        overlay.appendChild(results);
-      }
+        const svg = chart.columns ? Insights.createColumnChart(chart.items) : Insights.createBarChart(chart.items);
+        svg.style.display = 'block';
+        svg.style.maxWidth = '100%';
+        svg.style.height = 'auto';
+        const actions = Utils.createElement('span');
+        ['svg', 'png'].forEach(function(format) {
+          const btn = DOM.createButton(format.toUpperCase(), '#888', function() { self.exportChart(svg, chart.key, format); });
+          btn.title = I18n.t('insights.exportHint', { format: format.toUpperCase() });
+          btn.style.marginRight = format === 'png' ? '0' : '4px';
+          actions.appendChild(btn);
+        });
+        header.appendChild(actions);
+        card.appendChild(svg);
+        if (chart.count !== undefined) {
+          card.appendChild(Utils.createElement('div', { textContent: I18n.t('insights.datedPosts', { count: chart.count }) }, { color: '#666' }));
+        }
+        container.appendChild(card);
+      });
 
-      document.body.appendChild(overlay);
+      return container;
     }
 
-    createOverlayContainer() {
-      const styles = {
-        position: 'fixed',
-        top: '10px',
-        width: this.state.isMinimized ? '270px' : '500px',
-        maxHeight: '90vh',
-        overflowY: this.state.isMinimized ? 'hidden' : 'auto',
-        zIndex: '99999',
-        backgroundColor: '#fff',
-        border: '1px solid #ccc',
-        borderRadius: '6px',
-        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
-        padding: this.state.isMinimized ? '5px 10px' : '10px',
-        fontSize: '14px',
-        fontFamily: 'Arial, sans-serif',
-        boxSizing: 'border-box',
-        cursor: 'default'
+    getInsightsKey() {
+      return this.state.results.map(function(r) { return r.id + ':' + r.comments + ':' + r.reactions; }).join(',');
+    }
+
+    refreshInsights() {
+      if (!this.ui || !this.ui.insights || !document.body.contains(this.ui.insights)) return;
+      if (this.ui.renderedInsights === this.getInsightsKey()) return;
+      const insights = this.createInsightsSection();
+      this.ui.insights.parentNode.replaceChild(insights, this.ui.insights);
+      this.ui.insights = insights;
+    }
+
+    // PNG is drawn through an image and a canvas at twice the size, so it stays sharp on high-DPI screens
+    exportChart(svg, key, format) {
+      const self = this;
+      const source = new XMLSerializer().serializeToString(svg);
+      const filename = 'linkedin_insights_' + key + '_' + new Date().toISOString().split('T')[0] + '.' + format;
+      const done = function(saved) {
+        if (saved) self.notify(I18n.t('insights.exported', { file: filename }), 'success');
       };
-      
-      styles[this.state.overlayPosition] = '10px';
-      
-      if (this.state.isMinimized) {
-        styles.height = '40px';
+      if (format === 'svg') {
+        done(this.saveFile(source, filename, 'image/svg+xml'));
+        return;
       }
-      
-      return Utils.createElement('div', { id: CONFIG.OVERLAY_ID }, styles);
+
+      const failed = function(e) {
+        console.error('Chart export failed:', e);
+        self.notify(I18n.t('insights.exportFailed'), 'error');
+      };
+      const image = new Image();
+      image.onload = function() {
+        try {
+          const canvas = document.createElement('canvas');
+          canvas.width = svg.getAttribute('width') * 2;
+          canvas.height = svg.getAttribute('height') * 2;
+          const context = canvas.getContext('2d');
+          context.scale(2, 2);
+          context.drawImage(image, 0, 0);
+          canvas.toBlob(function(blob) {
+            if (blob) {
+              done(self.saveFile(blob, filename, 'image/png'));
+            } else {
+              failed(new Error('Canvas produced no image'));
+            }
+          }, 'image/png');
+        } catch (e) {
+          failed(e);
+        }
+      };
+      image.onerror = failed;
+      image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(source);
     }
 
-    createHeader() {
-      const header = Utils.createElement('div', {}, {
-        display: 'flex',
-        justifyContent: 'space-between',
-        alignItems: 'center',
-        cursor: 'move'
+    // Search, sort and pinning applied - pagination happens in renderResultsPage()
+    getVisibleResults() {
+      const self = this;
+      const search = this.state.resultSearch.trim().toLowerCase();
+      const sort = CONFIG.RESULT_SORTS.filter(function(option) { return option.key === self.state.resultSort; })[0];
+      const direction = this.state.resultSortDesc ? -1 : 1;
+
+      const results = this.state.results.filter(function(result) {
+        if (!search) return true;
+        return [result.postId, result.author.name, result.author.headline, result.text, result.hashtags.join(' ')]
+          .join(' ').toLowerCase().indexOf(search) !== -1;
       });
 
-      const title = Utils.createElement('h3', 
-        { textContent: 'Comments Scanner v' + CONFIG.VERSION },
-        { margin: '0', fontSize: '16px' }
-      );
+      // results is newest-found first, so the index doubles as the "found" sort key
+      const foundOrder = new Map();
+      this.state.results.forEach(function(result, index) { foundOrder.set(result.id, -index); });
 
-      const controls = this.createHeaderControls();
-      
-      header.appendChild(title);
-      header.appendChild(controls);
-      
-      return header;
+      return results.sort(function(a, b) {
+        if (!!a.pinned !== !!b.pinned) return a.pinned ? -1 : 1;
+        const va = sort.key === 'found' ? foundOrder.get(a.id) : sort.value(a);
+        const vb = sort.key === 'found' ? foundOrder.get(b.id) : sort.value(b);
+        // Missing values (e.g. no velocity yet) always go last
+        if (va === null && vb === null) return 0;
+        if (va === null) return 1;
+        if (vb === null) return -1;
+        if (va === vb) return 0;
+        return (va < vb ? -1 : 1) * direction;
+      });
     }
 
-    createHeaderControls() {
+    createResultsSection() {
       const self = this;
-      const container = Utils.createElement('div');
-      
-      const minBtn = DOM.createButton(
-        this.state.isMinimized ? '+' : '−',
-        '#888',
-        function() { self.toggleMinimize(); }
+      const container = Utils.createElement('div', { id: 'results-list' });
+
+      // Toolbar: live search, sort key and direction
+      const toolbar = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', marginBottom: '8px' });
+      const searchInput = Utils.createElement('input',
+        { type: 'search', placeholder: I18n.t('results.search'), value: this.state.resultSearch },
+        { flex: '1', fontSize: '12px', padding: '3px 6px', border: '1px solid #ccc', borderRadius: '4px' }
       );
-      minBtn.style.marginRight = '6px';
+      searchInput.oninput = function() {
+        self.state.resultSearch = searchInput.value;
+        self.state.resultPage = 0;
+        self.renderResultsPage();
+      };
+      toolbar.appendChild(searchInput);
 
-      const closeBtn = DOM.createButton('✕', '#6c757d', function() { self.close(); });
-      closeBtn.style.marginRight = '0';
+      const sortSelect = Utils.createElement('select', {}, { fontSize: '12px' });
+      CONFIG.RESULT_SORTS.forEach(function(option) {
+        sortSelect.appendChild(Utils.createElement('option', { value: option.key, textContent: I18n.t('results.sorts.' + option.key), selected: option.key === self.state.resultSort }));
+      });
+      sortSelect.onchange = function() {
+        sortSelect.blur();
+        const option = CONFIG.RESULT_SORTS.filter(function(o) { return o.key === sortSelect.value; })[0];
+        self.state.resultSort = option.key;
+        self.state.resultSortDesc = option.descending;
+        self.state.resultPage = 0;
+        directionBtn.textContent = self.state.resultSortDesc ? '↓' : '↑';
+        self.renderResultsPage();
+      };
+      toolbar.appendChild(sortSelect);
+
+      const directionBtn = DOM.createButton(this.state.resultSortDesc ? '↓' : '↑', '#888', function() {
+        self.state.resultSortDesc = !self.state.resultSortDesc;
+        directionBtn.textContent = self.state.resultSortDesc ? '↓' : '↑';
+        self.renderResultsPage();
+      });
+      directionBtn.title = I18n.t('results.sortDirection');
+      directionBtn.style.marginRight = '0';
+      toolbar.appendChild(directionBtn);
+      container.appendChild(toolbar);
+
+      const list = Utils.createElement('div');
+      const pager = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px', fontSize: '12px', margin: '8px 0' });
+      container.appendChild(list);
+      container.appendChild(pager);
+      this.ui.results = { list: list, pager: pager };
+      this.renderResultsPage();
 
-      container.appendChild(minBtn);
-      container.appendChild(closeBtn);
-      
       return container;
     }
 
-    createStatusSection(statusText) {
-      return Utils.createElement('div',
-        { textContent: statusText || ('Found: ' + this.state.results.length + ' posts with ' + this.state.commentThreshold + '+ comments') },
-        {
-          margin: '8px 0',
-          fontStyle: 'italic',
-          color: '#666'
-        }
-      );
+    // Rows are cached per post and only rebuilt when what they show changes
+    getRowSignature(result) {
+      return [
+        result.comments, result.reactions, result.reposts, result.pinned ? 1 : 0,
+        (result.observations || []).length, result.commentsScannedAt || '', this.state.getArchiveStatus(result)
+      ].join('|');
     }
 
-    createThresholdSection() {
+    renderResultsPage() {
       const self = this;
-      const container = Utils.createElement('div', {}, { 
-        marginBottom: '10px',
-        display: 'flex',
-        alignItems: 'center',
-        gap: '8px'
+      const list = this.ui.results.list;
+      const pager = this.ui.results.pager;
+      const rows = this.ui.rows;
+      const results = this.getVisibleResults();
+      const pageCount = Math.max(1, Math.ceil(results.length / CONFIG.RESULTS_PAGE_SIZE));
+      this.state.resultPage = Math.min(this.state.resultPage, pageCount - 1);
+      const start = this.state.resultPage * CONFIG.RESULTS_PAGE_SIZE;
+      const page = results.slice(start, start + CONFIG.RESULTS_PAGE_SIZE);
+
+      // Forget rows of posts that are no longer results
+      const currentIds = new Set(this.state.results.map(function(r) { return r.id; }));
+      rows.forEach(function(row, id) {
+        if (!currentIds.has(id)) rows.delete(id);
       });
 
-      // Label
-      const label = Utils.createElement('span', 
-        { textContent: 'Min. Comments:' },
+      const elements = page.map(function(result) {
+        const signature = self.getRowSignature(result);
+        let row = rows.get(result.id);
+        if (!row || row.signature !== signature) {
+          row = { element: self.createResultRow(result), signature: signature };
+          rows.set(result.id, row);
+        }
+        return row.element;
+      });
+
+      if (page.length === 0 && this.state.resultSearch) {
+        elements.push(Utils.createElement('div', { textContent: I18n.t('results.noMatch', { search: this.state.resultSearch }) }, { fontSize: '12px', color: '#666' }));
+      }
+
+      // Move rows into place, touching only what differs from the current order
+      for (let i = 0; i < elements.length; i++) {
+        if (list.children[i] !== elements[i]) {
+          list.insertBefore(elements[i], list.children[i] || null);
+        }
+      }
+      while (list.children.length > elements.length) {
+        list.removeChild(list.lastChild);
+      }
+
+      const pagerKey = this.state.resultPage + '/' + pageCount + '/' + results.length;
+      if (this.ui.results.pagerKey === pagerKey) return;
+      this.ui.results.pagerKey = pagerKey;
+
+      pager.innerHTML = '';
+      if (pageCount > 1) {
+        const goTo = function(index) {
+          self.state.resultPage = index;
+          self.renderResultsPage();
+        };
+        const prevBtn = DOM.createButton(I18n.t('results.previous'), '#888', function() { goTo(self.state.resultPage - 1); });
+        const nextBtn = DOM.createButton(I18n.t('results.next'), '#888', function() { goTo(self.state.resultPage + 1); });
+        prevBtn.disabled = this.state.resultPage === 0;
+        nextBtn.disabled = this.state.resultPage >= pageCount - 1;
+        pager.appendChild(prevBtn);
+        pager.appendChild(Utils.createElement('span', {
+          textContent: I18n.t('results.page', { page: this.state.resultPage + 1, pages: pageCount, count: results.length })
+        }));
+        pager.appendChild(nextBtn);
+      }
+    }
+
+    createResultRow(result) {
+      const row = Utils.createElement('div');
+      row.appendChild(this.createResultEntry(result));
+      if (result.text || result.thumbnailUrl) {
+        row.appendChild(this.createPostSnippet(result));
+      }
+      return row;
+    }
+
+    createResultEntry(result) {
+      const self = this;
+      const entry = Utils.createElement('div', {}, {
+        marginBottom: '8px',
+        paddingLeft: result.pinned ? '6px' : '0',
+        borderLeft: result.pinned ? '3px solid #f0ad4e' : 'none'
+      });
+      
+      // Create button-styled link with arrow
+      const linkBtn = Utils.createElement('a', 
         { 
+          href: result.link, 
+          target: '_blank',
+          textContent: '➜ ' + I18n.t('results.open', { postId: result.postId, comments: result.comments })
+        },
+        {
+          display: 'inline-block',
+          padding: '6px 12px',
+          backgroundColor: '#0073b1',
+          color: '#fff',
+          textDecoration: 'none',
+          borderRadius: '4px',
           fontSize: '13px',
-          color: '#333',
-          marginRight: '4px'
+          fontWeight: 'bold',
+          cursor: 'pointer',
+          border: 'none',
+          transition: 'background-color 0.2s'
         }
       );
-      container.appendChild(label);
+      
+      // Hover effects
+      linkBtn.onmouseover = function() {
+        linkBtn.style.backgroundColor = '#005582';
+      };
+      linkBtn.onmouseout = function() {
+        linkBtn.style.backgroundColor = '#0073b1';
+      };
+      
+      const header = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', justifyContent: 'space-between' });
+      header.appendChild(linkBtn);
 
-      // Button group container
-      const buttonGroup = Utils.createElement('div', {}, {
-        display: 'flex',
-        gap: '4px'
-      });
+      const actions = Utils.createElement('span', {}, { whiteSpace: 'nowrap' });
+      actions.appendChild(this.createArchiveSelect(result));
+      const rowButtons = [
+        { text: result.pinned ? '★' : '☆', title: I18n.t(result.pinned ? 'results.unpin' : 'results.pin'), action: function() { self.togglePin(result); } },
+        { text: '⧉', title: I18n.t('results.copyLink'), action: function() { self.copyLink(result); } },
+        { text: '✕', title: I18n.t('results.remove'), action: function() { self.removeResult(result); } }
+      ];
+      for (let i = 0; i < rowButtons.length; i++) {
+        const btn = DOM.createButton(rowButtons[i].text, '#888', rowButtons[i].action);
+        btn.title = rowButtons[i].title;
+        btn.style.marginRight = i === rowButtons.length - 1 ? '0' : '4px';
+        actions.appendChild(btn);
+      }
+      header.appendChild(actions);
 
-      // Create a button for each threshold option
-      for (let i = 0; i < CONFIG.COMMENT_THRESHOLDS.length; i++) {
-        const threshold = CONFIG.COMMENT_THRESHOLDS[i];
-        const isActive = (threshold === self.state.commentThreshold);
-        
-        const btn = Utils.createElement('button',
-          { textContent: String(threshold) },
-          {
-            padding: '3px 8px',
-            fontSize: '12px',
-            border: isActive ? '2px solid #0073b1' : '1px solid #ccc',
-            borderRadius: '4px',
-            backgroundColor: isActive ? '#0073b1' : '#f5f5f5',
-            color: isActive ? '#fff' : '#333',
-            cursor: 'pointer',
-            fontWeight: isActive ? 'bold' : 'normal',
-            minWidth: '36px',
-            transition: 'all 0.2s'
-          }
-        );
+      entry.appendChild(header);
+      entry.appendChild(this.createResultMeta(result));
+      return entry;
+    }
 
-        // Hover effect
-        btn.onmouseover = function() {
-          if (threshold !== self.state.commentThreshold) {
-            btn.style.backgroundColor = '#e0e0e0';
-          }
-        };
-        btn.onmouseout = function() {
-          if (threshold !== self.state.commentThreshold) {
-            btn.style.backgroundColor = '#f5f5f5';
-          }
-        };
+    // Review status picker - the archive keeps it across sessions
+    createArchiveSelect(result) {
+      const self = this;
+      const status = this.state.getArchiveStatus(result);
+      const entry = this.state.archive.get(result.id);
+      const select = Utils.createElement('select', {
+        title: entry ? I18n.t('archive.since', { status: I18n.t('archive.statuses.' + status), date: new Date(entry.updatedAt).toLocaleString() }) : I18n.t('archive.statusHint')
+      }, {
+        fontSize: '12px',
+        marginRight: '4px',
+        color: CONFIG.ARCHIVE_STATUSES[status].color,
+        fontWeight: status === 'new' ? 'normal' : 'bold'
+      });
+      Object.keys(CONFIG.ARCHIVE_STATUSES).forEach(function(key) {
+        select.appendChild(Utils.createElement('option', {
+          value: key,
+          textContent: CONFIG.ARCHIVE_STATUSES[key].icon + ' ' + I18n.t('archive.statuses.' + key),
+          selected: key === status
+        }));
+      });
+      select.onchange = function() {
+        select.blur();
+        self.setArchiveStatus(result, select.value);
+      };
+      return select;
+    }
 
-        // Click handler
-        btn.onclick = function() {
-          self.setThreshold(threshold);
-        };
+    togglePin(result) {
+      result.pinned = !result.pinned;
+      this.updateOverlay(I18n.t(result.pinned ? 'results.pinned' : 'results.unpinned', { postId: result.postId }));
+      this.persistSession();
+    }
 
-        buttonGroup.appendChild(btn);
+    copyLink(result) {
+      const self = this;
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(result.link).then(function() {
+          self.updateOverlay(I18n.t('results.linkCopied', { postId: result.postId }));
+        }).catch(function() {
+          self.fallbackCopy(result.link);
+        });
+      } else {
+        this.fallbackCopy(result.link);
       }
+    }
 
-      container.appendChild(buttonGroup);
-      return container;
+    // Removed posts stay out of the results, even when the threshold or filters change
+    removeResult(result) {
+      result.dismissed = true;
+      result.pinned = false;
+      this.state.results = this.state.results.filter(function(r) { return r.id !== result.id; });
+      this.updateOverlay(I18n.t('results.removed', { postId: result.postId, total: this.state.results.length }));
+      this.persistSession();
     }
 
-    setThreshold(value) {
-      this.state.setThreshold(value);
-      console.log('📊 Comment threshold changed to: ' + value);
-      this.updateOverlay('Threshold set to ' + value + '+ comments');
+    createResultMeta(result) {
+      const meta = Utils.createElement('div', {}, {
+        marginTop: '4px',
+        fontSize: '12px',
+        color: '#555',
+        lineHeight: '1.4'
+      });
+
+      const author = Utils.createElement('div', {}, { fontWeight: 'bold', color: '#333' });
+      if (result.author.profileUrl) {
+        author.appendChild(Utils.createElement('a',
+          { href: result.author.profileUrl, target: '_blank', textContent: result.author.name || result.author.profileUrl },
+          { color: '#0073b1', textDecoration: 'none' }
+        ));
+      } else {
+        author.textContent = result.author.name || I18n.t('results.unknownAuthor');
+      }
+      meta.appendChild(author);
+
+      if (result.author.headline) {
+        meta.appendChild(Utils.createElement('div', { textContent: result.author.headline }, { fontStyle: 'italic' }));
+      }
+
+      const details = [
+        I18n.t('results.reactions', { count: result.reactions }),
+        I18n.t('results.reposts', { count: result.reposts }),
+        I18n.t('media.' + result.mediaType)
+      ];
+      if (result.postedRelative) details.unshift(result.postedRelative);
+      meta.appendChild(Utils.createElement('div', { textContent: details.join(' · ') }));
+
+      const observations = result.observations || [];
+      if (observations.length > 1) {
+        const velocity = Growth.getVelocity(result);
+        const growth = Utils.createElement('div', {}, { display: 'flex', alignItems: 'center', gap: '6px' });
+        growth.appendChild(Growth.createSparkline(observations));
+        growth.appendChild(Utils.createElement('span', {
+          textContent: (velocity === null ? '—' : I18n.t('results.velocity', { velocity: (velocity > 0 ? '+' : '') + velocity })) +
+            I18n.t('results.observations', { count: observations.length, since: new Date(observations[0].at).toLocaleString() })
+        }));
+        meta.appendChild(growth);
+      }
+
+      const tags = result.hashtags.concat(result.mentions.map(function(name) { return '@' + name; }));
+      if (tags.length) {
+        meta.appendChild(Utils.createElement('div', { textContent: tags.join(' ') }, { color: '#0073b1' }));
+      }
+
+      if (result.scannedComments) {
+        const topCommenters = result.scannedComments.slice().sort(function(a, b) {
+          return b.reactions - a.reactions;
+        }).slice(0, 3).map(function(comment) { return comment.author.name; }).filter(Boolean);
+        meta.appendChild(Utils.createElement('div', {
+          textContent: '💬 ' + I18n.t('results.scannedComments', { count: result.scannedComments.length }) +
+            (topCommenters.length ? I18n.t('results.mostLiked', { names: topCommenters.join(', ') }) : '')
+        }));
+      }
+
+      return meta;
     }
 
-    createControlsSection() {
+    // Compact card built from the post record - never clones LinkedIn's own markup
+    createPostSnippet(result) {
       const self = this;
-      const container = Utils.createElement('div', {}, { marginBottom: '12px' });
+      const card = Utils.createElement('div', { className: 'post-snippet' }, {
+        display: this.state.postsVisible ? 'flex' : 'none',
+        gap: '8px',
+        alignItems: 'flex-start',
+        border: '1px solid #ddd',
+        marginBottom: '15px',
+        padding: '8px',
+        backgroundColor: '#fafafa',
+        borderRadius: '6px',
+        fontSize: '13px'
+      });
 
-      const buttons = [
-        { text: this.state.paused ? 'Resume' : 'Pause', color: '#f0ad4e', action: function() { self.togglePause(); } },
-        { text: 'Clipboard', color: '#5bc0de', action: function() { self.copyToClipboard(); } },
-        { text: 'CSV Download', color: '#5cb85c', action: function() { self.downloadCSV(); } },
-        { text: this.state.postsVisible ? 'Hide posts' : 'Show posts', color: '#888', action: function() { self.togglePostsVisibility(); } }
-      ];
+      if (result.thumbnailUrl) {
+        card.appendChild(Utils.createElement('img', { src: result.thumbnailUrl, alt: '', loading: 'lazy' }, {
+          width: '64px',
+          height: '64px',
+          objectFit: 'cover',
+          borderRadius: '4px',
+          flexShrink: '0'
+        }));
+      }
 
-      for (let i = 0; i < buttons.length; i++) {
-        var btn = buttons[i];
-        container.appendChild(DOM.createButton(btn.text, btn.color, btn.action));
+      const body = Utils.createElement('div', {}, { flex: '1', minWidth: '0' });
+      const text = Utils.createElement('div', {}, { whiteSpace: 'pre-wrap', wordBreak: 'break-word' });
+      body.appendChild(text);
+      card.appendChild(body);
+
+      const truncated = result.text.length > CONFIG.SNIPPET_LENGTH;
+      let expanded = false;
+      const renderText = function() {
+        text.textContent = expanded || !truncated
+          ? result.text
+          : result.text.slice(0, CONFIG.SNIPPET_LENGTH).replace(/\s+\S*$/, '') + '…';
+        DOM.highlightTerms(text, ContentFilters.getHighlightPattern(self.state.contentFilters));
+      };
+      renderText();
+
+      if (truncated) {
+        const expandLink = Utils.createElement('a', { href: '#', textContent: I18n.t('results.showMore') }, {
+          color: '#0073b1',
+          fontSize: '12px'
+        });
+        expandLink.addEventListener('click', function(event) {
+          event.preventDefault();
+          expanded = !expanded;
+          expandLink.textContent = I18n.t(expanded ? 'results.showLess' : 'results.showMore');
+          renderText();
+        });
+        body.appendChild(expandLink);
       }
 
-      return container;
+      return card;
     }
 
-    createResultsSection() {
-      const container = Utils.createElement('div', { id: 'results-list' });
+    // Patches status line, control labels, threshold buttons and result rows of the existing overlay
+    updateOverlay(statusText) {
+      if (this.closed) return;
+      if (!this.ui || !document.body.contains(this.ui.overlay)) {
+        this.createOverlay(statusText);
+        return;
+      }
+      if (this.state.isPill) {
+        this.ui.pill.textContent = this.getPillText();
+        return;
+      }
+      if (this.state.isMinimized) return;
 
-      for (let i = 0; i < this.state.results.length; i++) {
-        const result = this.state.results[i];
-        const idMatch = result.link.match(/activity:(\d+)/);
-        const postId = idMatch ? idMatch[1] : result.link;
-        
-        const entry = Utils.createElement('div', {}, { marginBottom: '8px' });
-        
-        // Create button-styled link with arrow
-        const linkBtn = Utils.createElement('a', 
-          { 
-            href: result.link, 
-            target: '_blank',
-            textContent: '➜ Open Post ID: ' + postId + ' — ' + result.comments + ' comments'
-          },
-          {
-            display: 'inline-block',
-            padding: '6px 12px',
-            backgroundColor: '#0073b1',
-            color: '#fff',
-            textDecoration: 'none',
-            borderRadius: '4px',
-            fontSize: '13px',
-            fontWeight: 'bold',
-            cursor: 'pointer',
-            border: 'none',
-            transition: 'background-color 0.2s'
-          }
-        );
-        
-        // Hover effects
-        linkBtn.onmouseover = function() {
-          linkBtn.style.backgroundColor = '#005582';
-        };
-        linkBtn.onmouseout = function() {
-          linkBtn.style.backgroundColor = '#0073b1';
-        };
-        
-        entry.appendChild(linkBtn);
-        container.appendChild(entry);
+      this.ui.status.textContent = statusText || this.getDefaultStatus();
 
-        if (result.postNode) {
-          const snippet = this.createPostSnippet(result.postNode);
-          container.appendChild(snippet);
+      for (let i = 0; i < this.ui.controlButtons.length; i++) {
+        const control = this.ui.controlButtons[i];
+        const text = control.text();
+        if (control.button.textContent !== text) {
+          control.button.textContent = text;
         }
       }
 
-      return container;
-    }
+      this.refreshHealthSection();
+      this.refreshImportDiff();
+      this.refreshInsights();
 
-    createPostSnippet(postNode) {
-      const cloned = postNode.cloneNode(true);
-      cloned.className = (cloned.className || '') + ' post-snippet';
-      
-      cloned.style.maxWidth = '100%';
-      cloned.style.border = '1px solid #ddd';
-      cloned.style.marginBottom = '15px';
-      cloned.style.padding = '5px';
-      cloned.style.backgroundColor = '#fafafa';
-      cloned.style.borderRadius = '6px';
-      cloned.style.display = this.state.postsVisible ? '' : 'none';
+      // Don't replace the threshold buttons while the custom input is being edited
+      if (this.ui.renderedThreshold !== this.state.commentThreshold && !this.ui.threshold.contains(document.activeElement)) {
+        const threshold = this.createThresholdSection();
+        this.ui.threshold.parentNode.replaceChild(threshold, this.ui.threshold);
+        this.ui.threshold = threshold;
+      }
 
-      return cloned;
+      this.renderResultsPage();
     }
+  }
 
-    updateOverlay(statusText) {
-      this.createOverlay(statusText);
-    }
+  // Running the bookmarklet again replaces the scanner already on the page - two would fight over the
+  // overlay and the session. Closing saves its session first, so the new one can offer to resume it
+  if (window.linkedInScannerDebug && typeof window.linkedInScannerDebug.close === 'function') {
+    window.linkedInScannerDebug.close();
   }
 
   // Initialize the scanner
   const scanner = new LinkedInScanner();
-  
-  // Expose for debugging
-  window.linkedInScanner = scanner;
+
+  window.linkedInScanner = PublicApi.create(scanner);
+  // Internals for debugging only - not part of the API and may change at any time
+  window.linkedInScannerDebug = scanner;
+  // Modules used by the node tests (test/) - same caveat
+  window.linkedInScannerInternals = {
+    CONFIG: CONFIG,
+    LANGUAGE_PACKS: LANGUAGE_PACKS,
+    I18n: I18n,
+    CountParser: CountParser,
+    HealthCheck: HealthCheck,
+    FilterRules: FilterRules,
+    Exporters: Exporters,
+    Importers: Importers,
+    SessionStore: SessionStore,
+    ScanLoop: ScanLoop
+  };
 })();
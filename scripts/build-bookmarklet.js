@@ -0,0 +1,32 @@
+'use strict';
+
+// Minifies the script into linkedin-comment-scanner-bookmarklet.txt - run after every change to the script:
+//   npm run build:bookmarklet
+
+const fs = require('fs');
+const path = require('path');
+const { minify } = require('terser');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_PATH = path.join(ROOT, 'linkedin-comments-scanner_v0.6.0.js');
+const TARGET_PATH = path.join(ROOT, 'linkedin-comment-scanner-bookmarklet.txt');
+
+async function main() {
+  const result = await minify(fs.readFileSync(SOURCE_PATH, 'utf8'), {
+    compress: { passes: 2 },
+    mangle: true,
+    // Bookmarks are a single line
+    format: { ascii_only: true, comments: false }
+  });
+  if (/[\r\n]/.test(result.code)) {
+    throw new Error('Minified script contains a line break');
+  }
+  // Browsers percent-decode javascript: URLs - a literal "%23" in a selector would turn into "#"
+  fs.writeFileSync(TARGET_PATH, 'javascript:' + result.code.replace(/%/g, '%25') + '\n');
+  console.log(path.basename(TARGET_PATH) + ': ' + Math.round(result.code.length / 1024) + ' KB');
+}
+
+main().catch(function(e) {
+  console.error(e);
+  process.exitCode = 1;
+});
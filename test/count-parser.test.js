@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScanner } = require('./helpers/scanner');
+
+// [text, pack language, expected count]
+const CASES = [
+  ['1.2K', 'en', 1200],
+  ['1,500K', 'en', 1500000],
+  ['1,234 comments', 'en', 1234],
+  ['12 comments', 'en', 12],
+  ['No comments', 'en', 0],
+  ['', 'en', 0],
+  ['2,3 k commentaires', 'fr', 2300],
+  ['1 234', 'fr', 1234],
+  ['1\u00a0234 commentaires', 'fr', 1234],
+  ['1\u202f234', 'fr', 1234],
+  ['1,2 Tsd.', 'de', 1200],
+  ['1,5 Mio.', 'de', 1500000],
+  ['1,500 Tsd.', 'de', 1500],
+  ['1.234 Kommentare', 'de', 1234],
+  ['1.234,5 Tsd.', 'de', 1234500],
+  ['1 234', 'en', 1234],
+  ["1'234", 'de', 1234]
+];
+
+const page = loadScanner();
+const { CountParser } = page.internals;
+
+test.after(function() {
+  page.close();
+});
+
+for (const [text, language, expected] of CASES) {
+  test('parses ' + JSON.stringify(text) + ' (' + language + ') as ' + expected, function() {
+    assert.equal(CountParser.parse(text, language), expected);
+  });
+}
@@ -0,0 +1,24 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScanner } = require('./helpers/scanner');
+
+test('CSV defaults follow the decimal separator of the locale, with or without a language pack', function() {
+  const page = loadScanner();
+  const { Exporters } = page.internals;
+
+  ['de-DE', 'fr', 'cs', 'ru', 'da-DK'].forEach(function(language) {
+    const csv = Exporters.getDefaultCsvOptions(language);
+    assert.equal(csv.delimiter, ';', language);
+    assert.equal(csv.numberFormat, 'locale', language);
+    assert.equal(csv.bom, true, language);
+  });
+  ['en-US', 'ja', 'he'].forEach(function(language) {
+    const csv = Exporters.getDefaultCsvOptions(language);
+    assert.equal(csv.delimiter, ',', language);
+    assert.equal(csv.numberFormat, 'plain', language);
+  });
+  assert.equal(Exporters.getDefaultCsvOptions('not a language tag').delimiter, ',');
+  page.close();
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScanner } = require('./helpers/scanner');
+
+function createRecord(comments, reactions, author) {
+  return { comments: comments, reactions: reactions, reposts: 0, author: { name: author, profileUrl: '' } };
+}
+
+test('under OR, the threshold still applies and an exclusion rule still excludes', function() {
+  const page = loadScanner();
+  const { FilterRules } = page.internals;
+  const rules = {
+    combinator: 'OR',
+    conditions: [
+      { type: 'reactions', operator: '>=', value: 300 },
+      { type: 'authorNotIn', value: ['Blocked Author'] }
+    ]
+  };
+  const blocked = { combinator: 'OR', conditions: [{ type: 'authorNotIn', value: ['Blocked Author'] }] };
+
+  // One of the rules is enough...
+  assert.equal(FilterRules.matches(createRecord(150, 10, 'Someone'), 100, rules), true);
+  assert.equal(FilterRules.matches(createRecord(150, 500, 'Blocked Author'), 100, rules), true);
+  // ...but only above the threshold
+  assert.equal(FilterRules.matches(createRecord(50, 500, 'Someone'), 100, rules), false);
+  // An exclusion on its own removes posts above the threshold
+  assert.equal(FilterRules.matches(createRecord(150, 10, 'Blocked Author'), 100, blocked), false);
+  assert.equal(FilterRules.matches(createRecord(150, 10, 'Someone'), 100, blocked), true);
+  page.close();
+});
+
+test('under AND, every rule and the threshold have to match', function() {
+  const page = loadScanner();
+  const { FilterRules } = page.internals;
+  const rules = { combinator: 'AND', conditions: [{ type: 'reactions', operator: '>=', value: 300 }] };
+
+  assert.equal(FilterRules.matches(createRecord(150, 500, 'Someone'), 100, rules), true);
+  assert.equal(FilterRules.matches(createRecord(150, 10, 'Someone'), 100, rules), false);
+  assert.equal(FilterRules.matches(createRecord(50, 500, 'Someone'), 100, rules), false);
+  assert.equal(FilterRules.matches(createRecord(100, 0, 'Someone'), 100, { combinator: 'OR', conditions: [] }), true);
+  page.close();
+});
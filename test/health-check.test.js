@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScanner, createPost } = require('./helpers/scanner');
+
+function createFeed() {
+  return [
+    createPost(1),
+    createPost(2, { comments: null, actionBar: true }),
+    createPost(3),
+    createPost(4, { comments: null, actionBar: true })
+  ];
+}
+
+test('posts without comments do not count as a selector fallback', async function() {
+  const page = loadScanner({ posts: createFeed() });
+  const { HealthCheck } = page.internals;
+  await page.ready();
+
+  const report = HealthCheck.run(page.scanner.page);
+  assert.equal(report.posts, 4);
+  assert.equal(report.strategies.commentButton.class, 2);
+  assert.equal(report.strategies.commentButton.aria, 2);
+  assert.equal(report.status, 'ok');
+  page.close();
+});
+
+test('reports a fallback once the class strategy finds no count button on any post', async function() {
+  const page = loadScanner({ posts: createFeed() });
+  const { HealthCheck } = page.internals;
+  await page.ready();
+
+  page.document.querySelectorAll('.social-details-social-counts__btn').forEach(function(button) {
+    button.classList.remove('social-details-social-counts__btn');
+  });
+  const report = HealthCheck.run(page.scanner.page);
+  assert.equal(report.strategies.commentButton.class, undefined);
+  assert.equal(report.status, 'fallback');
+  page.close();
+});
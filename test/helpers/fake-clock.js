@@ -0,0 +1,78 @@
+'use strict';
+
+// Replaces the timers and Date of a jsdom window, so scan cycles run on demand instead of in real time.
+// Promises and IndexedDB still settle for real - tick() lets them finish after every timer it fires.
+class FakeClock {
+  constructor(now) {
+    this.now = now || Date.UTC(2026, 0, 5, 9, 0, 0);
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  install(window) {
+    const clock = this;
+    const RealDate = window.Date;
+
+    window.setTimeout = function(fn, ms) {
+      return clock.schedule(fn, ms, false);
+    };
+    window.setInterval = function(fn, ms) {
+      return clock.schedule(fn, ms, true);
+    };
+    window.clearTimeout = window.clearInterval = function(id) {
+      clock.timers.delete(id);
+    };
+
+    class FakeDate extends RealDate {
+      constructor(...args) {
+        if (args.length) super(...args);
+        else super(clock.now);
+      }
+
+      static now() {
+        return clock.now;
+      }
+    }
+    window.Date = FakeDate;
+    return this;
+  }
+
+  schedule(fn, ms, repeat) {
+    const id = this.nextId++;
+    this.timers.set(id, { fn: fn, at: this.now + Math.max(0, ms || 0), interval: repeat ? Math.max(1, ms || 0) : 0 });
+    return id;
+  }
+
+  // Fires every timer due within ms, in order, letting promise chains settle in between
+  async tick(ms) {
+    const end = this.now + ms;
+    await settle();
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      for (const [id, timer] of this.timers) {
+        if (timer.at <= end && (!next || timer.at < next.at)) {
+          nextId = id;
+          next = timer;
+        }
+      }
+      if (!next) break;
+
+      this.now = next.at;
+      if (next.interval) next.at += next.interval;
+      else this.timers.delete(nextId);
+      next.fn();
+      await settle();
+    }
+    this.now = end;
+  }
+}
+
+// Lets pending promise callbacks and IndexedDB requests (scheduled with the real setImmediate) run
+async function settle(rounds) {
+  for (let i = 0; i < (rounds || 5); i++) {
+    await new Promise(function(resolve) { setImmediate(resolve); });
+  }
+}
+
+module.exports = { FakeClock, settle };
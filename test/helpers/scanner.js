@@ -0,0 +1,164 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { FakeClock, settle } = require('./fake-clock');
+
+const SOURCE_PATH = path.join(__dirname, '..', '..', 'linkedin-comments-scanner_v0.6.0.js');
+const SOURCE = fs.readFileSync(SOURCE_PATH, 'utf8');
+const POST_HEIGHT = 400;
+const VIEWPORT_HEIGHT = 800;
+
+function getPostId(index) {
+  return 'urn:li:activity:74000000000' + String(index).padStart(8, '0');
+}
+
+// One feed post with the parts the scanner reads, marked up like LinkedIn renders them.
+// comments / reposts are counts for the English labels (comments: null leaves the button out);
+// commentText / repostText replace the whole button text for other languages
+function createPost(index, options) {
+  options = options || {};
+  const author = options.author || 'Author ' + index;
+  const comments = options.comments !== undefined ? options.comments : String(index * 10);
+  const reposts = options.reposts !== undefined ? options.reposts : String(index);
+  const commentText = options.commentText || comments + ' comments';
+  const repostText = options.repostText || reposts + ' reposts';
+  return '<div data-id="' + getPostId(index) + '"><div class="feed-shared-update-v2">' +
+    '<div class="update-components-actor">' +
+      '<a class="update-components-actor__meta-link" href="https://www.linkedin.com/in/author' + index + '?miniProfile=x">' +
+        '<span class="update-components-actor__title"><span aria-hidden="true">' + author + '</span></span>' +
+      '</a>' +
+      '<span class="update-components-actor__description"><span aria-hidden="true">Headline ' + index + '</span></span>' +
+      '<span class="update-components-actor__sub-description"><span aria-hidden="true">' + (options.time || '3h • ') + '</span></span>' +
+    '</div>' +
+    '<div class="update-components-text">' + (options.text || 'Post text ' + index + ' about #AI') + '</div>' +
+    '<ul class="social-details-social-counts">' +
+      '<li><button data-reaction-details class="social-details-social-counts__reactions-count">' + (options.reactions || index * 30) + '</button></li>' +
+      (comments === null ? '' :
+        '<li><button class="social-details-social-counts__btn" aria-label="' + commentText + ' on ' + author + '\'s post">' +
+        '<span aria-hidden="true">' + commentText + '</span></button></li>') +
+      '<li><button class="social-details-social-counts__btn" aria-label="' + repostText + ' of ' + author + '\'s post">' +
+        '<span aria-hidden="true">' + repostText + '</span></button></li>' +
+    '</ul>' +
+    (options.actionBar ? '<div class="feed-shared-social-action-bar">' +
+      '<button aria-label="Like">Like</button><button aria-label="Comment">Comment</button></div>' : '') +
+  '</div></div>';
+}
+
+function createComment(index) {
+  return '<article class="comments-comment-entity">' +
+    '<span class="comments-comment-meta__description-title">Commenter ' + index + '</span>' +
+    '<span class="comments-comment-item__main-content">Comment ' + index + '</span>' +
+  '</article>';
+}
+
+// Loads the scanner into a fresh page. The simulated feed is as tall as its posts; scrolling to its end
+// appends the next page of posts until options.pages are shown, clicking a comment count opens two comments.
+//   posts     - markup of the initial posts (default: options.pageSize generated posts)
+//   pageSize  - posts per page (default 5), pages - pages in the feed (default 1)
+//   blocked   - scrollTo() has no effect, like a page that swallows scrolling
+//   clock     - run on a FakeClock (default true), now - its start time
+//   lang, url - page language and address
+//   setup     - called with the window before the scanner runs (localStorage, stubs)
+//   source    - script to load instead of the current one (e.g. an older version for comparison)
+function loadScanner(options) {
+  options = options || {};
+  const pageSize = options.pageSize || 5;
+  let shown = 0;
+  const morePosts = function(count) {
+    const markup = [];
+    for (let i = 0; i < count; i++) markup.push(createPost(++shown));
+    return markup.join('');
+  };
+  const posts = options.posts ? options.posts.join('') : morePosts(pageSize);
+
+  const dom = new JSDOM('<!doctype html><html lang="' + (options.lang || 'en') + '"><body>' +
+    '<main class="scaffold-layout__main">' + posts + '</main></body></html>', {
+    url: options.url || 'https://www.linkedin.com/feed/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const window = dom.window;
+  const document = window.document;
+  const main = document.querySelector('main');
+  const feed = { pages: options.pages || 1, loaded: 1, scrollY: 0, scrolls: 0, opened: [], blocked: !!options.blocked };
+  const errors = [];
+
+  const getHeight = function() {
+    return main.querySelectorAll('[data-id]').length * POST_HEIGHT;
+  };
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() { return this.textContent; }
+  });
+  Object.defineProperty(document.documentElement, 'scrollHeight', { configurable: true, get: getHeight });
+  Object.defineProperty(window, 'innerHeight', { configurable: true, value: VIEWPORT_HEIGHT });
+  Object.defineProperty(window, 'scrollY', { configurable: true, get() { return feed.scrollY; } });
+  Object.defineProperty(window, 'pageYOffset', { configurable: true, get() { return feed.scrollY; } });
+
+  window.scrollTo = function(target, y) {
+    feed.scrolls++;
+    if (feed.blocked) return;
+    const top = typeof target === 'object' ? target.top : y;
+    feed.scrollY = Math.max(0, Math.min(top, getHeight() - VIEWPORT_HEIGHT));
+    if (feed.scrollY + VIEWPORT_HEIGHT >= getHeight() && feed.loaded < feed.pages) {
+      feed.loaded++;
+      main.insertAdjacentHTML('beforeend', morePosts(pageSize));
+    }
+  };
+  document.addEventListener('click', function(event) {
+    const button = event.target.closest && event.target.closest('button[aria-label*=" on "]');
+    if (!button) return;
+    const post = button.closest('[data-id]');
+    feed.opened.push(post.getAttribute('data-id'));
+    post.firstElementChild.insertAdjacentHTML('beforeend', '<div class="comments-comments-list">' +
+      createComment(1) + createComment(2) + '</div>');
+  });
+
+  window.alert = function() {};
+  window.confirm = function() { return !!options.confirm; };
+  window.prompt = function() { return null; };
+  window.console = {
+    log() {}, info() {}, warn() {}, debug() {},
+    error() { errors.push(Array.prototype.slice.call(arguments)); }
+  };
+  window.indexedDB = options.indexedDB || new IDBFactory();
+  window.IDBKeyRange = IDBKeyRange;
+
+  const clock = options.clock === false ? null : new FakeClock(options.now).install(window);
+  if (options.setup) options.setup(window);
+  window.eval(options.source || SOURCE);
+
+  // Versions before the public API exposed the scanner itself as window.linkedInScanner
+  const scanner = window.linkedInScannerDebug || window.linkedInScanner;
+  return {
+    window: window,
+    document: document,
+    clock: clock,
+    feed: feed,
+    errors: errors,
+    scanner: scanner,
+    api: window.linkedInScanner,
+    internals: window.linkedInScannerInternals,
+    // Resolves once the session is restored and the first scan cycle runs
+    ready() {
+      return waitFor(function() { return scanner.loop.active; });
+    },
+    close() {
+      scanner.close();
+      window.close();
+    }
+  };
+}
+
+async function waitFor(condition, rounds) {
+  for (let i = 0; i < (rounds || 50); i++) {
+    if (condition()) return;
+    await settle(1);
+  }
+  throw new Error('Condition not met: ' + condition);
+}
+
+module.exports = { SOURCE, SOURCE_PATH, loadScanner, createPost, getPostId, waitFor, settle };
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScanner, getPostId } = require('./helpers/scanner');
+
+const POSTED_AT = '2026-01-05T07:30:00.000Z';
+
+function createResult(index) {
+  return {
+    postId: getPostId(index).replace(/\D/g, ''),
+    link: 'https://www.linkedin.com/feed/update/' + getPostId(index),
+    comments: index * 10,
+    reactions: index * 30,
+    reposts: index,
+    author: { name: 'Author ' + index, profileUrl: '', headline: '' },
+    postedRelative: '3h',
+    postedAt: POSTED_AT,
+    text: 'Post text ' + index,
+    hashtags: [],
+    mentions: []
+  };
+}
+
+function loadPage() {
+  return loadScanner();
+}
+
+test('a JSON Lines export with a single post is read as that post', function() {
+  const page = loadPage();
+  const { Exporters, Importers } = page.internals;
+  const text = Exporters.build('jsonl', [createResult(1)], ['postId', 'link', 'comments', 'postedAt']);
+  assert.equal(text.split('\n').length, 1);
+
+  const records = Importers.parse(text);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].postId, createResult(1).postId);
+  assert.equal(records[0].comments, 10);
+  assert.equal(records[0].postedAt, POSTED_AT);
+  page.close();
+});
+
+test('JSON Lines with several posts, and JSON with or without indentation', function() {
+  const page = loadPage();
+  const { Exporters, Importers } = page.internals;
+  const results = [createResult(1), createResult(2)];
+  const keys = ['postId', 'comments'];
+
+  assert.equal(Importers.parse(Exporters.build('jsonl', results, keys)).length, 2);
+  const json = Exporters.build('json', results, keys, { scannedAt: POSTED_AT });
+  assert.equal(Importers.parse(json).length, 2);
+  assert.equal(Importers.parse(JSON.stringify(JSON.parse(json))).length, 2);
+  assert.throws(function() { Importers.parse('{"meta": {}}\n{"results": 1}'); }, /No posts/);
+  page.close();
+});
+
+test('CSVs with localized dates keep the post date through an ISO column', function() {
+  const page = loadPage();
+  const { Exporters, Importers } = page.internals;
+  const csv = Object.assign(Exporters.getDefaultCsvOptions('de'), { locale: 'de-DE' });
+  assert.equal(csv.dateFormat, 'locale');
+
+  const text = Exporters.build('csv', [createResult(1)], ['postId', 'postedAt', 'text'], null, { csv: csv });
+  const header = text.split('\r\n')[0];
+  assert.equal(header, '"Post ID";"Posted At (approx.)";"Posted At (ISO)";"Text"');
+  assert.ok(text.indexOf(new Date(POSTED_AT).toLocaleString('de-DE')) !== -1);
+
+  const records = Importers.parse(text);
+  assert.equal(records[0].postedAt, POSTED_AT);
+  assert.equal(records[0].text, 'Post text 1');
+  page.close();
+});
+
+test('CSVs with ISO dates have no extra column', function() {
+  const page = loadPage();
+  const { Exporters, Importers } = page.internals;
+  const text = Exporters.build('csv', [createResult(1)], ['postId', 'postedAt'], null, { csv: Exporters.getDefaultCsvOptions('en') });
+  assert.equal(text.split('\n')[0], '"Post ID","Posted At (approx.)"');
+  assert.equal(Importers.parse(text)[0].postedAt, POSTED_AT);
+  page.close();
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SOURCE, loadScanner, createPost } = require('./helpers/scanner');
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+
+// Page text as LinkedIn shows it in each language, with the values the pack has to read from it
+const FIXTURES = {
+  en: { comments: ['1.2K comments', 1200], reactions: ['2,345', 2345], reposts: ['12 reposts', 12], time: ['3h', 3 * HOUR], zero: 'Be the first to comment' },
+  de: { comments: ['1,2 Tsd. Kommentare', 1200], reactions: ['2.345', 2345], reposts: ['12 Reposts', 12], time: ['3 Std.', 3 * HOUR], zero: 'Keine Kommentare' },
+  fr: { comments: ['2,3 k commentaires', 2300], reactions: ['2 345', 2345], reposts: ['12 republications', 12], time: ['2 j', 2 * DAY], zero: 'Aucun commentaire' },
+  es: { comments: ['1,5 mil comentarios', 1500], reactions: ['2.345', 2345], reposts: ['12 veces compartido', 12], time: ['5 d', 5 * DAY], zero: 'Sin comentarios' },
+  it: { comments: ['1,2 mila commenti', 1200], reactions: ['2.345', 2345], reposts: ['12 diffusioni', 12], time: ['4 g', 4 * DAY], zero: 'Nessun commento' },
+  nl: { comments: ['1,2K opmerkingen', 1200], reactions: ['2.345', 2345], reposts: ['12 keer gedeeld', 12], time: ['3 u', 3 * HOUR], zero: 'Geen opmerkingen' },
+  pt: { comments: ['1,2 mil comentários', 1200], reactions: ['2.345', 2345], reposts: ['12 compartilhamentos', 12], time: ['2 sem', 14 * DAY], zero: 'Nenhum comentário' },
+  pl: { comments: ['1,2 tys. komentarzy', 1200], reactions: ['2 345', 2345], reposts: ['12 udostępnień', 12], time: ['3 godz.', 3 * HOUR], zero: 'Brak komentarzy' },
+  sv: { comments: ['1,2 tn kommentarer', 1200], reactions: ['2 345', 2345], reposts: ['12 delningar', 12], time: ['3 tim', 3 * HOUR], zero: 'Inga kommentarer' },
+  tr: { comments: ['1,2B yorum', 1200], reactions: ['2.345', 2345], reposts: ['12 yeniden paylaşım', 12], time: ['3 sa', 3 * HOUR], zero: 'Yorum yok' }
+};
+
+function loadPage(language, posts) {
+  return loadScanner({
+    lang: language,
+    posts: posts,
+    setup(window) {
+      window.localStorage.setItem('scannerCommentThreshold', '0');
+    }
+  });
+}
+
+// Dot paths of all strings below a ui node
+function getStringPaths(node, prefix) {
+  return Object.keys(node).reduce(function(paths, key) {
+    const value = node[key];
+    const path = prefix ? prefix + '.' + key : key;
+    return paths.concat(typeof value === 'string' ? [path] : getStringPaths(value, path));
+  }, []);
+}
+
+function getPlaceholders(text) {
+  return (text.match(/\{\w+\}/g) || []).sort().join(' ');
+}
+
+test('every language pack has a fixture', function() {
+  const page = loadPage('en');
+  assert.deepEqual(Object.keys(page.internals.LANGUAGE_PACKS).sort(), Object.keys(FIXTURES).sort());
+  page.close();
+});
+
+for (const language of Object.keys(FIXTURES)) {
+  const fixture = FIXTURES[language];
+
+  test(language + ': reads counts and post time from a feed post', async function() {
+    const page = loadPage(language, [createPost(1, {
+      commentText: fixture.comments[0],
+      reactions: fixture.reactions[0],
+      repostText: fixture.reposts[0],
+      time: fixture.time[0] + ' • '
+    })]);
+    await page.ready();
+    assert.equal(page.internals.I18n.getLanguage(), language);
+
+    page.scanner.scanPosts();
+    const record = Array.from(page.scanner.state.observedPosts.values())[0];
+    assert.equal(record.comments, fixture.comments[1]);
+    assert.equal(record.reactions, fixture.reactions[1]);
+    assert.equal(record.reposts, fixture.reposts[1]);
+    assert.equal(record.postedRelative, fixture.time[0]);
+    assert.equal(page.clock.now - Date.parse(record.postedAt), fixture.time[1]);
+    page.close();
+  });
+
+  test(language + ': zero-count label and load-more button', async function() {
+    const page = loadPage(language);
+    const { CountParser, LANGUAGE_PACKS } = page.internals;
+    const pack = LANGUAGE_PACKS[language];
+    assert.equal(CountParser.parse(fixture.zero, language), 0);
+    // Zero labels are only checked on comment counts - a reactions label there would be a mix-up
+    for (const label of pack.zeroCountLabels) {
+      assert.ok(pack.labels.comment.test(label), label);
+      assert.ok(!pack.labels.reaction.test(label), label);
+    }
+    await page.ready();
+
+    const button = page.document.createElement('button');
+    button.className = 'artdeco-button artdeco-button--secondary';
+    button.textContent = pack.loadMoreTexts[0];
+    let clicked = 0;
+    button.addEventListener('click', function() { clicked++; });
+    page.document.querySelector('main').appendChild(button);
+    assert.equal(page.scanner.clickLoadMoreButton(), true);
+    assert.equal(clicked, 1);
+    page.close();
+  });
+}
+
+test('pack strings exist in English and keep its placeholders', function() {
+  const page = loadPage('en');
+  const { LANGUAGE_PACKS, I18n } = page.internals;
+  const english = LANGUAGE_PACKS.en.ui;
+
+  for (const language of Object.keys(LANGUAGE_PACKS)) {
+    for (const path of getStringPaths(LANGUAGE_PACKS[language].ui)) {
+      const text = I18n.lookup(LANGUAGE_PACKS[language].ui, path);
+      const original = I18n.lookup(english, path);
+      assert.equal(typeof original, 'string', language + ': ' + path + ' is not an English string');
+      assert.equal(getPlaceholders(text), getPlaceholders(original), language + ': placeholders of ' + path);
+    }
+  }
+  page.close();
+});
+
+test('nl: "reacties" are reactions, not comments', async function() {
+  const page = loadPage('nl', [createPost(1, { comments: null, reactions: '25 reacties', repostText: '3 keer gedeeld' })]);
+  await page.ready();
+
+  page.scanner.scanPosts();
+  const record = Array.from(page.scanner.state.observedPosts.values())[0];
+  assert.equal(record.comments, 0);
+  assert.equal(record.reactions, 25);
+  page.close();
+});
+
+test('a pack with only labels and a few strings gets everything else from English', async function() {
+  const page = loadScanner({
+    lang: 'da',
+    posts: [createPost(1, { commentText: '1.2K kommentarer', time: '3h • ' })],
+    // Added the way the README describes, with most entries left out
+    source: SOURCE.replace('  const LANGUAGE_PACKS = {\n', '  const LANGUAGE_PACKS = {\n' +
+      "    da: { name: 'Dansk', labels: { comment: /\\bkommentarer?\\b/i }, ui: { controls: { pause: 'Pause scanning' } } },\n"),
+    setup(window) {
+      window.localStorage.setItem('scannerCommentThreshold', '0');
+    }
+  });
+  const { CountParser, I18n } = page.internals;
+  await page.ready();
+  assert.equal(I18n.getLanguage(), 'da');
+  assert.equal(CountParser.parse('Be the first to comment'), 0);
+  assert.equal(I18n.hasLabel('25 reactions', 'reaction'), true);
+
+  page.scanner.scanPosts();
+  const record = Array.from(page.scanner.state.observedPosts.values())[0];
+  assert.equal(record.comments, 1200);
+  assert.equal(page.clock.now - Date.parse(record.postedAt), 3 * HOUR);
+  assert.equal(page.errors.length, 0);
+  page.close();
+});
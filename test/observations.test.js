@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScanner, getPostId } = require('./helpers/scanner');
+
+// Changes the comment count LinkedIn shows for a post
+function setComments(page, index, count) {
+  const button = page.document.querySelector('[data-id="' + getPostId(index) + '"] button[aria-label*=" on "]');
+  button.setAttribute('aria-label', count + ' comments on Author ' + index + '\'s post');
+  button.firstElementChild.textContent = count + ' comments';
+}
+
+function getCounts(page) {
+  return page.api.getResults().map(function(post) { return post.comments; }).sort(function(a, b) { return a - b; }).join(' ');
+}
+
+test('refreshed counts add posts that now qualify and remove those that no longer do', async function() {
+  const page = loadScanner({
+    setup(window) {
+      window.localStorage.setItem('scannerCommentThreshold', '25');
+    }
+  });
+  const { CONFIG } = page.internals;
+  await page.ready();
+  await page.clock.tick(CONFIG.SCROLL_DETECTION_DELAY);
+  assert.equal(getCounts(page), '30 40 50');
+
+  setComments(page, 1, 60);
+  setComments(page, 3, 5);
+  await page.clock.tick(CONFIG.OBSERVATION_INTERVAL_MS);
+  page.scanner.scanPosts();
+  assert.equal(getCounts(page), '40 50 60');
+  const links = function(index) {
+    return page.scanner.ui.results.list.querySelectorAll('a[href$="' + getPostId(index) + '"]').length;
+  };
+  assert.ok(links(1) > 0);
+  assert.equal(links(3), 0);
+  page.close();
+});
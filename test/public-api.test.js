@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScanner, settle } = require('./helpers/scanner');
+
+test('start() and resume() after stop() neither restart nor overwrite the saved session', async function() {
+  const page = loadScanner({
+    pages: 3,
+    setup(window) {
+      window.localStorage.setItem('scannerCommentThreshold', '0');
+    }
+  });
+  const { CONFIG, SessionStore } = page.internals;
+  await page.ready();
+  await page.clock.tick(CONFIG.SCROLL_DETECTION_DELAY);
+  assert.equal(page.api.getResults().length, 10);
+
+  page.api.stop();
+  await settle();
+  const saved = (await SessionStore.list())[0];
+  assert.equal(saved.results.length, 10);
+  assert.equal(page.api.getStatus(), 'finished');
+
+  assert.throws(function() { page.api.start(); }, /stopped/);
+  assert.throws(function() { page.api.resume(); }, /stopped/);
+  page.scanner.resumeScanning();
+  page.scanner.updateOverlay();
+  await page.scanner.persistSession();
+  await page.clock.tick(60000);
+
+  assert.equal(page.scanner.loop.active, false);
+  assert.equal(page.feed.scrolls, 1);
+  assert.equal(page.document.getElementById(CONFIG.OVERLAY_ID), null);
+  const sessions = await SessionStore.list();
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].updatedAt, saved.updatedAt);
+  assert.equal(sessions[0].results.length, 10);
+  page.window.close();
+});
+
+test('stop() can be called twice', async function() {
+  const page = loadScanner();
+  await page.ready();
+  page.api.stop();
+  page.api.stop();
+  assert.equal(page.api.getStatus(), 'finished');
+  page.window.close();
+});
+
+test('posts brought back by a lower threshold are announced once', async function() {
+  const page = loadScanner({
+    setup(window) {
+      window.localStorage.setItem('scannerCommentThreshold', '25');
+    }
+  });
+  const found = [];
+  page.document.addEventListener('linkedinscanner:postfound', function(event) {
+    found.push(event.detail.post.comments);
+  });
+  await page.ready();
+  await page.clock.tick(page.internals.CONFIG.SCROLL_DETECTION_DELAY);
+  assert.equal(page.api.getResults().length, 3);
+  assert.equal(found.length, 3);
+
+  page.api.setFilters({ threshold: 0 });
+  assert.equal(page.api.getResults().length, 5);
+  assert.equal(found.length, 5);
+  assert.equal(found.slice(3).sort().join(' '), '10 20');
+
+  page.api.setFilters({ threshold: 1000 });
+  page.api.setFilters({ threshold: 0 });
+  assert.equal(page.api.getResults().length, 5);
+  assert.equal(found.length, 5);
+  page.close();
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScanner, settle } = require('./helpers/scanner');
+
+function recordStatuses(loop) {
+  const statuses = [];
+  loop.onStateChange(function(status, previous, detail) {
+    statuses.push(detail.reason ? status + ': ' + detail.reason : status);
+  });
+  return statuses;
+}
+
+test('each cycle scrolls, waits for content, scans and idles until the interval is over', async function() {
+  const page = loadScanner({ pages: 3 });
+  const { CONFIG } = page.internals;
+  const statuses = recordStatuses(page.scanner.loop);
+  await page.ready();
+
+  assert.deepEqual(statuses, ['scrolling', 'waiting-for-content']);
+  await page.clock.tick(CONFIG.SCROLL_DETECTION_DELAY);
+  assert.deepEqual(statuses.slice(2), ['scanning', 'idle']);
+  assert.equal(page.scanner.state.observedPosts.size, 10);
+
+  // The interval counts from the start of the cycle
+  await page.clock.tick(CONFIG.SCROLL_INTERVAL_MS - CONFIG.SCROLL_DETECTION_DELAY - 1);
+  assert.equal(page.feed.scrolls, 1);
+  await page.clock.tick(1);
+  assert.equal(page.feed.scrolls, 2);
+  assert.deepEqual(statuses.slice(4), ['scrolling', 'waiting-for-content']);
+  page.close();
+});
+
+test('cancel() rejects the pending wait and no step of the run continues', async function() {
+  const page = loadScanner({ pages: 3 });
+  const { ScanLoop } = page.internals;
+  await page.ready();
+
+  const loop = new ScanLoop(page.scanner);
+  const waiting = loop.wait(1000);
+  loop.cancel('paused');
+  await assert.rejects(waiting, function(e) { return e === ScanLoop.CANCELLED; });
+  assert.equal(loop.pendingWait, null);
+  assert.equal(loop.status, 'paused');
+
+  // Same for the scanner's own loop, paused while waiting for content
+  page.scanner.pauseScanning();
+  assert.equal(page.scanner.loop.status, 'paused');
+  assert.equal(page.scanner.loop.pendingWait, null);
+  await page.clock.tick(60000);
+  assert.equal(page.feed.scrolls, 1);
+  assert.equal(page.scanner.state.observedPosts.size, 0);
+  assert.equal(page.scanner.loop.status, 'paused');
+  page.close();
+});
+
+test('starting again while a cycle is under way never runs two cycles at once', async function() {
+  const page = loadScanner({ pages: 20 });
+  const loop = page.scanner.loop;
+  const running = new Set();
+  const overlaps = [];
+  // Steps of a cancelled run must not go on, and a run starts its next cycle only after the last one
+  ['cycle', 'validateScroll', 'deepScan', 'loadMore'].forEach(function(name) {
+    const step = loop[name];
+    loop[name] = function(runId) {
+      if (runId !== loop.runId) overlaps.push(name + ' of cancelled run ' + runId);
+      if (name !== 'cycle') return step.apply(loop, arguments);
+
+      if (running.has(runId)) overlaps.push('second cycle of run ' + runId);
+      running.add(runId);
+      const done = function() { running.delete(runId); };
+      const result = step.apply(loop, arguments);
+      result.then(done, done);
+      return result;
+    };
+  });
+  await page.ready();
+
+  loop.start();
+  page.api.start();
+  await page.clock.tick(1000);
+  page.api.pause();
+  page.api.resume();
+  page.api.resume();
+  await page.clock.tick(3000);
+  page.scanner.togglePause();
+  page.scanner.togglePause();
+  loop.start();
+  await page.clock.tick(30000);
+
+  assert.deepEqual(overlaps, []);
+  assert.equal(loop.active, true);
+  // One scroll per interval after the last restart, plus the restarted cycles
+  assert.ok(page.feed.scrolls <= 3 + Math.ceil(30000 / page.internals.CONFIG.SCROLL_INTERVAL_MS), page.feed.scrolls);
+  assert.deepEqual(page.errors, []);
+  page.close();
+});
+
+test('ends as finished after the retries at the end of the feed', async function() {
+  const page = loadScanner({ pages: 1 });
+  const { CONFIG } = page.internals;
+  const statuses = recordStatuses(page.scanner.loop);
+  const events = [];
+  page.document.addEventListener('linkedinscanner:finished', function(e) { events.push(e.detail); });
+  await page.ready();
+
+  await page.clock.tick(60000);
+  assert.equal(page.scanner.loop.status, 'finished');
+  assert.equal(page.scanner.loop.active, false);
+  assert.equal(page.scanner.state.scrollRetryCount, CONFIG.MAX_SCROLL_RETRIES);
+  // First scroll moves the page, then one scroll per retry
+  assert.equal(page.feed.scrolls, 1 + CONFIG.MAX_SCROLL_RETRIES);
+  assert.match(statuses[statuses.length - 1], /^finished: /);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].total, 0);
+
+  await page.clock.tick(60000);
+  assert.equal(page.feed.scrolls, 1 + CONFIG.MAX_SCROLL_RETRIES);
+  page.close();
+});
+
+test('ends as error after the retries when the page does not scroll', async function() {
+  const page = loadScanner({ pageSize: 10, blocked: true });
+  const { CONFIG } = page.internals;
+  await page.ready();
+
+  await page.clock.tick(60000);
+  assert.equal(page.scanner.loop.status, 'error');
+  assert.equal(page.scanner.loop.active, false);
+  assert.equal(page.feed.scrolls, CONFIG.MAX_SCROLL_RETRIES);
+  // Posts in view are still scanned on every retry
+  assert.equal(page.scanner.state.observedPosts.size, 10);
+  page.close();
+});
+
+test('deep scan opens a limited number of posts per cycle', async function() {
+  const page = loadScanner({
+    pages: 1,
+    setup(window) {
+      window.localStorage.setItem('scannerCommentThreshold', '0');
+      window.localStorage.setItem('scannerScanSettings', JSON.stringify({ deepScanPages: 1 }));
+    }
+  });
+  const { CONFIG } = page.internals;
+  const state = page.scanner.state;
+  await page.ready();
+
+  await page.clock.tick(CONFIG.SCROLL_DETECTION_DELAY);
+  assert.equal(state.results.length, 5);
+  assert.equal(page.scanner.loop.status, 'expanding-comments');
+
+  await page.clock.tick(CONFIG.DEEP_SCAN_POSTS_PER_CYCLE * CONFIG.COMMENT_LOAD_DELAY);
+  assert.equal(page.feed.opened.length, CONFIG.DEEP_SCAN_POSTS_PER_CYCLE);
+  assert.equal(state.deepScanQueue.length, 5 - CONFIG.DEEP_SCAN_POSTS_PER_CYCLE);
+  const deepScanned = state.results.filter(function(record) { return record.scannedComments; });
+  assert.equal(deepScanned.length, CONFIG.DEEP_SCAN_POSTS_PER_CYCLE);
+  assert.equal(deepScanned[0].scannedComments.length, 2);
+  // The cycle took longer than the interval, so the next one scrolls right away
+  assert.equal(page.feed.scrolls, 2);
+
+  // The next cycles scroll again and work through the rest of the queue
+  await page.clock.tick(30000);
+  await settle();
+  assert.equal(page.feed.opened.length, 5);
+  assert.equal(state.deepScanQueue.length, 0);
+  assert.ok(page.feed.scrolls > 1);
+  page.close();
+});
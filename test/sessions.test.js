@@ -0,0 +1,163 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { SOURCE, loadScanner, waitFor, settle } = require('./helpers/scanner');
+
+function loadPage(indexedDB, options) {
+  return loadScanner(Object.assign({
+    indexedDB: indexedDB,
+    setup(window) {
+      window.localStorage.setItem('scannerCommentThreshold', '0');
+      window.confirm = function() { throw new Error('confirm() blocks the tab'); };
+    }
+  }, options));
+}
+
+// Leaves a session with the first page of the feed in the given database
+async function recordSession(indexedDB) {
+  const page = loadPage(indexedDB, { pages: 3 });
+  await page.ready();
+  await page.clock.tick(page.internals.CONFIG.SCROLL_DETECTION_DELAY);
+  const sessionId = page.scanner.state.sessionId;
+  const count = page.scanner.state.results.length;
+  page.close();
+  await settle();
+  return { sessionId: sessionId, count: count };
+}
+
+function getResumeButton(page, index) {
+  return page.scanner.ui.resume.querySelectorAll('button')[index];
+}
+
+test('SessionStore.run() rejects when the transaction is aborted', async function() {
+  const page = loadPage(new IDBFactory());
+  const { SessionStore } = page.internals;
+  await page.ready();
+
+  await assert.rejects(SessionStore.run('readwrite', function(store) {
+    const request = store.put({ id: 'aborted' });
+    store.transaction.abort();
+    return request;
+  }), /aborted/i);
+  assert.equal(await SessionStore.get('aborted'), undefined);
+  page.close();
+});
+
+test('the overlay asks whether to resume, and scanning waits for the answer', async function() {
+  const indexedDB = new IDBFactory();
+  const recorded = await recordSession(indexedDB);
+  assert.ok(recorded.count > 0);
+
+  const page = loadPage(indexedDB, { pages: 3 });
+  await waitFor(function() { return page.scanner.resumeOffer; });
+  assert.match(page.scanner.ui.resume.textContent, /Resume your last Comments Scanner session\?/);
+  assert.match(page.scanner.ui.resume.textContent, new RegExp('Found: ' + recorded.count + ' posts'));
+
+  page.api.start();
+  await page.clock.tick(10000);
+  assert.equal(page.scanner.loop.active, false);
+  assert.equal(page.feed.scrolls, 0);
+
+  getResumeButton(page, 0).click();
+  await page.ready();
+  assert.equal(page.scanner.state.sessionId, recorded.sessionId);
+  assert.equal(page.scanner.state.results.length, recorded.count);
+  assert.equal(page.scanner.ui.resume.textContent, '');
+  page.close();
+});
+
+test('"New session" starts over', async function() {
+  const indexedDB = new IDBFactory();
+  const recorded = await recordSession(indexedDB);
+
+  const page = loadPage(indexedDB, { pages: 3, now: Date.UTC(2026, 0, 6, 9, 0, 0) });
+  await waitFor(function() { return page.scanner.resumeOffer; });
+  getResumeButton(page, 1).click();
+  await page.ready();
+  assert.notEqual(page.scanner.state.sessionId, recorded.sessionId);
+  assert.equal(page.scanner.state.results.length, 0);
+  assert.equal(page.scanner.resumeOffer, null);
+  page.close();
+});
+
+test('sessions are saved at most once per interval and right away on close', async function() {
+  const page = loadPage(new IDBFactory(), { pages: 40 });
+  const { CONFIG, SessionStore } = page.internals;
+  const save = SessionStore.save;
+  let saves = 0;
+  SessionStore.save = function() {
+    saves++;
+    return save.apply(SessionStore, arguments);
+  };
+  await page.ready();
+
+  await page.clock.tick(60000);
+  assert.ok(page.feed.scrolls >= 10, page.feed.scrolls);
+  assert.ok(saves <= 60000 / CONFIG.SESSION_SAVE_INTERVAL_MS + 1, saves);
+
+  const count = page.scanner.state.results.length;
+  page.api.stop();
+  await settle();
+  const sessions = await SessionStore.list();
+  assert.equal(sessions[0].results.length, count);
+  SessionStore.save = save;
+  page.window.close();
+});
+
+test('running the script again closes the scanner that is already on the page', async function() {
+  const page = loadPage(new IDBFactory(), { pages: 3 });
+  await page.ready();
+  await page.clock.tick(page.internals.CONFIG.SCROLL_DETECTION_DELAY);
+  const first = page.scanner;
+  const count = first.state.results.length;
+  assert.ok(count > 0);
+
+  page.window.eval(SOURCE);
+  const second = page.window.linkedInScannerDebug;
+  assert.notEqual(second, first);
+  assert.equal(first.closed, true);
+  assert.equal(first.loop.active, false);
+
+  await waitFor(function() { return second.resumeOffer; });
+  assert.match(second.ui.resume.textContent, new RegExp('Found: ' + count + ' posts'));
+  const scrolls = page.feed.scrolls;
+  await page.clock.tick(30000);
+  assert.equal(page.feed.scrolls, scrolls);
+  assert.equal(page.document.querySelectorAll('#' + page.internals.CONFIG.OVERLAY_ID).length, 1);
+  assert.ok(second.ui.overlay.isConnected);
+
+  second.close();
+  page.window.close();
+});
+
+test('deleting a saved session asks in the overlay', async function() {
+  const indexedDB = new IDBFactory();
+  const recorded = await recordSession(indexedDB);
+
+  const page = loadPage(indexedDB, { pages: 3, now: Date.UTC(2026, 0, 6, 9, 0, 0) });
+  const { SessionStore } = page.internals;
+  await waitFor(function() { return page.scanner.resumeOffer; });
+  getResumeButton(page, 1).click();
+  await page.ready();
+  const getButton = function(text) {
+    return Array.from(page.scanner.ui.panels.querySelectorAll('button')).filter(function(button) {
+      return button.textContent === text;
+    })[0];
+  };
+
+  page.scanner.toggleSessions();
+  await waitFor(function() { return getButton('Delete'); });
+  getButton('Delete').click();
+  assert.match(page.scanner.ui.panels.textContent, /Delete this saved session\?/);
+  getButton('Keep').click();
+  assert.doesNotMatch(page.scanner.ui.panels.textContent, /Delete this saved session\?/);
+  assert.ok(await SessionStore.get(recorded.sessionId));
+
+  getButton('Delete').click();
+  getButton('Delete').click();
+  await waitFor(function() { return !getButton('Delete'); });
+  assert.equal(await SessionStore.get(recorded.sessionId), undefined);
+  page.close();
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScanner, getPostId, settle } = require('./helpers/scanner');
+
+// A page with two queued posts from an earlier run and a fetch() whose responses the test settles
+function loadPage() {
+  const requests = [];
+  const page = loadScanner({
+    setup(window) {
+      window.localStorage.setItem('scannerWebhook', JSON.stringify({ enabled: true, url: 'https://hooks.example.com/scanner', batchSize: 1 }));
+      window.localStorage.setItem('scannerWebhookQueue', JSON.stringify([{ postId: getPostId(1) }, { postId: getPostId(2) }]));
+      window.fetch = function(url, init) {
+        return new Promise(function(resolve, reject) {
+          requests.push({ url: url, body: JSON.parse(init.body), resolve: resolve, reject: reject });
+        });
+      };
+    }
+  });
+  page.requests = requests;
+  return page;
+}
+
+test('a failed push after close() is not retried', async function() {
+  const page = loadPage();
+  assert.equal(page.requests.length, 1);
+
+  page.scanner.close();
+  page.requests[0].reject(new Error('Failed to fetch'));
+  await settle();
+  await page.clock.tick(10 * 60 * 1000);
+  assert.equal(page.requests.length, 1);
+  assert.equal(page.scanner.webhook.retryTimer, null);
+  assert.equal(JSON.parse(page.window.localStorage.getItem('scannerWebhookQueue')).length, 2);
+  page.window.close();
+});
+
+test('a push that succeeds after close() does not send the rest of the queue', async function() {
+  const page = loadPage();
+  assert.equal(page.requests.length, 1);
+
+  page.scanner.close();
+  page.requests[0].resolve({ ok: true, status: 200 });
+  await settle();
+  await page.clock.tick(10 * 60 * 1000);
+  assert.equal(page.requests.length, 1);
+  // The delivered post leaves the queue, the other one waits for the next run
+  assert.equal(JSON.parse(page.window.localStorage.getItem('scannerWebhookQueue')).length, 1);
+  page.window.close();
+});